@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Invoice from './models/Invoice.js';
+import Ledger from './models/Ledger.js';
+
+dotenv.config();
+
+/**
+ * Migration Script: Post Sales Entries of Paid Invoices to Accounts Receivable
+ *
+ * Sales entries used to debit Cash/Bank (instead of Accounts Receivable) for invoices
+ * that were PAID when posted. The money received is also posted by the invoice's payment
+ * entries (Cash/Bank Dr, Accounts Receivable Cr), so those invoices counted the cash twice
+ * and left a matching credit balance on Accounts Receivable.
+ * Sales entries are now always posted to Accounts Receivable.
+ *
+ * This script will:
+ * 1. Find sales entries (referenceType INVOICE) debiting CASH / BANK for the invoice grand total
+ * 2. Move them to ACCOUNTS_RECEIVABLE when the invoice has payment ledger entries
+ * 3. Leave invoices without payment ledger entries untouched and list them for manual review
+ *
+ * Entry amounts, dates and financial years are not changed - only the account head.
+ * Cash shift Z-reports for already closed shifts keep their stored figures.
+ *
+ * Run with --dry-run to list the entries without changing them.
+ * Backup your database before running.
+ */
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrateSalesLedger = async () => {
+  try {
+    console.log(`🚀 Starting sales ledger migration${dryRun ? ' (dry run)' : ''}...\n`);
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    const salesDebits = await Ledger.find({
+      referenceType: 'INVOICE',
+      referenceModel: 'Invoice',
+      type: 'DEBIT',
+      account: { $in: ['CASH', 'BANK'] }
+    }).lean();
+
+    console.log(`📊 Found ${salesDebits.length} sales entr${salesDebits.length === 1 ? 'y' : 'ies'} debiting Cash/Bank\n`);
+
+    let totalUpdated = 0;
+    const needsReview = [];
+
+    for (const entry of salesDebits) {
+      const invoice = await Invoice.findById(entry.referenceId)
+        .select('invoiceNumber grandTotal payments ledgerEntries')
+        .lean();
+
+      // Only the sales entry itself - it is linked from the invoice and carries the grand total
+      const isSalesEntry = invoice &&
+        (invoice.ledgerEntries || []).some(id => id.toString() === entry._id.toString()) &&
+        Math.abs(entry.amount - invoice.grandTotal) < 0.01;
+      if (!isSalesEntry) continue;
+
+      const paymentPosted = (invoice.payments || []).some(payment => payment.ledgerEntries?.length > 0);
+      if (!paymentPosted) {
+        needsReview.push(`${invoice.invoiceNumber} (${entry.account} ${entry.amount})`);
+        continue;
+      }
+
+      if (!dryRun) {
+        await Ledger.updateOne(
+          { _id: entry._id },
+          {
+            $set: {
+              account: 'ACCOUNTS_RECEIVABLE',
+              description: `Sale - ${invoice.invoiceNumber}`
+            }
+          }
+        );
+      }
+
+      totalUpdated++;
+      console.log(`   ✅ ${invoice.invoiceNumber}: ${entry.account} Dr ${entry.amount} → ACCOUNTS_RECEIVABLE`);
+    }
+
+    console.log('\n' + '═'.repeat(60));
+    console.log(`📊 ${dryRun ? 'Would update' : 'Updated'}: ${totalUpdated}`);
+    if (needsReview.length > 0) {
+      console.log(`⚠️  Left for manual review (no payment ledger entries): ${needsReview.length}`);
+      needsReview.forEach(line => console.log(`   - ${line}`));
+    }
+    console.log('═'.repeat(60));
+
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+    console.error(error.stack);
+    process.exit(1);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Disconnected from MongoDB');
+    process.exit(0);
+  }
+};
+
+migrateSalesLedger();
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+// Prescription (or other) document uploaded against an invoice or customer
+// The file itself lives in the storage adapter under storageKey
+const attachmentSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  invoiceNumber: String,
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  category: {
+    type: String,
+    enum: ['PRESCRIPTION', 'OTHER'],
+    default: 'PRESCRIPTION'
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  checksum: String, // SHA-256 of the file
+  storage: {
+    type: String,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  notes: String,
+  // Retention - cannot be deleted before retainUntil, purged after it
+  retainUntil: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'DELETED', 'PURGED'],
+    default: 'ACTIVE'
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  deletedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for multi-tenant queries
+attachmentSchema.index({ organizationId: 1, invoice: 1, status: 1 });
+attachmentSchema.index({ organizationId: 1, customer: 1, status: 1 });
+attachmentSchema.index({ organizationId: 1, status: 1, retainUntil: 1 });
+
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+export default Attachment;
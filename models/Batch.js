@@ -67,6 +67,16 @@ const batchSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Manufacturer barcode printed on this batch (when it differs from the product barcodes)
+  barcode: {
+    type: String,
+    trim: true
+  },
+  // In-store label code for items without a manufacturer barcode (EAN-13, 200 prefix)
+  labelCode: {
+    type: String,
+    trim: true
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -83,6 +93,9 @@ const batchSchema = new mongoose.Schema({
 batchSchema.index({ organizationId: 1, product: 1, expiryDate: 1, createdAt: 1 });
 batchSchema.index({ organizationId: 1, isActive: 1 });
 batchSchema.index({ product: 1, expiryDate: 1, createdAt: 1 });
+// Scan-to-bill lookup
+batchSchema.index({ organizationId: 1, barcode: 1 });
+batchSchema.index({ organizationId: 1, labelCode: 1 }, { unique: true, partialFilterExpression: { labelCode: { $type: 'string' } } });
 
 // Virtual for expiry status
 batchSchema.virtual('isExpired').get(function () {
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+// Cashier shift - cash float in, counted cash out, variance against CASH ledger
+const cashShiftSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  // Cashier running the shift (all CASH ledger entries by this user during the shift count)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  terminal: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['OPEN', 'CLOSED'],
+    default: 'OPEN'
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  openingFloat: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  closedAt: Date,
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Cash counted in the drawer at close
+  countedCash: Number,
+  denominations: [{
+    value: Number,
+    count: Number
+  }],
+  // Opening float + net CASH ledger movement during the shift
+  expectedCash: Number,
+  // countedCash - expectedCash (negative = short, positive = excess)
+  variance: Number,
+  // Z-report snapshot taken at close
+  zReport: mongoose.Schema.Types.Mixed,
+  notes: String,
+  closingNotes: String
+}, {
+  timestamps: true
+});
+
+// Indexes for multi-tenant queries
+cashShiftSchema.index({ organizationId: 1, openedAt: -1 });
+cashShiftSchema.index({ organizationId: 1, userId: 1, status: 1 });
+// Only one open shift per cashier
+cashShiftSchema.index(
+  { organizationId: 1, userId: 1 },
+  { unique: true, partialFilterExpression: { status: 'OPEN' } }
+);
+
+const CashShift = mongoose.model('CashShift', cashShiftSchema);
+export default CashShift;
@@ -9,12 +9,13 @@ const counterSchema = new mongoose.Schema({
     type: {
         type: String,
         required: true,
-        enum: ['invoice', 'purchase', 'salesReturn', 'purchaseReturn']
+        enum: ['invoice', 'purchase', 'salesReturn', 'purchaseReturn', 'quotation', 'batchLabel']
     },
     yearMonth: {
         type: String,
         required: true,
-        // Format: YYYYMM (e.g., "202512")
+        // Period key: "YYYY" for built-in formats,
+        // "<seriesId>_<period>" for configured numbering series (e.g. "65a..._2025-2026")
     },
     sequence: {
         type: Number,
@@ -30,19 +31,32 @@ counterSchema.index({ organizationId: 1, type: 1, yearMonth: 1 }, { unique: true
 /**
  * Get next sequence number atomically
  * @param {ObjectId} organizationId - Organization ID
- * @param {String} type - Counter type (invoice, purchase, salesReturn, purchaseReturn)
+ * @param {String} type - Counter type (invoice, purchase, salesReturn, purchaseReturn, quotation)
  * @param {String} yearMonth - Year and month (YYYYMM)
+ * @param {Object} session - MongoDB session - the number is only used up when the transaction commits (optional)
  * @returns {Number} - Next sequence number
  */
-counterSchema.statics.getNextSequence = async function (organizationId, type, yearMonth) {
+counterSchema.statics.getNextSequence = async function (organizationId, type, yearMonth, session = null) {
     const counter = await this.findOneAndUpdate(
         { organizationId, type, yearMonth },
         { $inc: { sequence: 1 } },
-        { new: true, upsert: true, setDefaultsOnInsert: true }
+        { new: true, upsert: true, setDefaultsOnInsert: true, session }
     );
 
     return counter.sequence;
 };
 
+/**
+ * Read current sequence number without incrementing it
+ * @param {ObjectId} organizationId - Organization ID
+ * @param {String} type - Counter type
+ * @param {String} yearMonth - Period key
+ * @returns {Number} - Last issued sequence (0 if none)
+ */
+counterSchema.statics.getCurrentSequence = async function (organizationId, type, yearMonth) {
+    const counter = await this.findOne({ organizationId, type, yearMonth });
+    return counter ? counter.sequence : 0;
+};
+
 const Counter = mongoose.model('Counter', counterSchema);
 export default Counter;
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+// Credit limit / overdue override - audit record of every credit sale allowed past the customer's limits
+// PENDING (requested by staff) -> APPROVED / REJECTED (by owner) -> USED (consumed by an invoice)
+const creditOverrideSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  // Requested by
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  customerName: String,
+  status: {
+    type: String,
+    enum: ['PENDING', 'APPROVED', 'REJECTED', 'USED'],
+    default: 'PENDING'
+  },
+  // Unpaid amount of the invoice the override is for
+  amount: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Credit position when requested
+  violations: [{
+    type: String,
+    enum: ['CREDIT_LIMIT', 'OVERDUE']
+  }],
+  creditLimit: Number,
+  outstandingBalance: Number,
+  overdueAmount: Number,
+  overdueInvoices: [String],
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  rejectionReason: String,
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  invoiceNumber: String,
+  usedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for multi-tenant queries
+creditOverrideSchema.index({ organizationId: 1, status: 1, createdAt: -1 });
+creditOverrideSchema.index({ organizationId: 1, customer: 1, createdAt: -1 });
+
+const CreditOverride = mongoose.model('CreditOverride', creditOverrideSchema);
+export default CreditOverride;
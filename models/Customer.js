@@ -47,6 +47,31 @@ const customerSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Price list used on invoices for this customer (Batch.sellingPrice when not set)
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList'
+  },
+  loyaltyPoints: {
+    type: Number,
+    default: 0
+  },
+  // Store credit wallet (credited by sales returns, spent as CREDIT_NOTE payments)
+  creditBalance: {
+    type: Number,
+    default: 0
+  },
+  // Credit control - 0 means no limit / no credit period
+  creditLimit: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  creditDays: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
   outstandingBalance: {
     type: Number,
     default: 0
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+// Prescribing doctor - invoices link here instead of only storing doctorName as text
+const doctorSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Medical council registration number
+  registrationNumber: {
+    type: String,
+    trim: true
+  },
+  qualification: {
+    type: String,
+    trim: true
+  },
+  specialization: {
+    type: String,
+    trim: true
+  },
+  clinicName: {
+    type: String,
+    trim: true
+  },
+  clinicAddress: String,
+  city: String,
+  phone: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Referral commission on taxable sales (0 = none)
+  commissionPercent: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  notes: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for multi-tenant queries
+doctorSchema.index({ organizationId: 1, name: 1 });
+doctorSchema.index({ organizationId: 1, isActive: 1 });
+doctorSchema.index({ name: 'text', clinicName: 'text', phone: 'text' });
+
+const Doctor = mongoose.model('Doctor', doctorSchema);
+export default Doctor;
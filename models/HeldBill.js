@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+// Cart line as entered at the counter - prices/GST are only fixed on finalize
+const heldBillItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: String,
+  // Batch chosen by the cashier (optional - FIFO picks one on finalize)
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch'
+  },
+  batchNo: String,
+  quantity: {
+    type: Number,
+    required: true
+  },
+  sellingPrice: Number,
+  discount: {
+    type: Number,
+    default: 0
+  },
+  gstRate: Number
+});
+
+// Parked (held) POS bill - no stock deducted, no invoice number consumed
+const heldBillSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Short label shown on the held bills list (e.g. customer name or token number)
+  label: {
+    type: String,
+    trim: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  customerName: String,
+  customerPhone: String,
+  customerAddress: String,
+  customerCity: String,
+  customerState: String,
+  customerGstin: String,
+  items: [heldBillItemSchema],
+  // Remaining invoice fields (discount, paymentMethod, doctorName, ...) passed through on finalize
+  invoiceData: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  notes: String,
+  status: {
+    type: String,
+    enum: ['HELD', 'FINALIZED'],
+    default: 'HELD'
+  },
+  // Last terminal/user that picked the bill up
+  resumedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resumedAt: Date,
+  // Set on finalize
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  invoiceNumber: String,
+  finalizedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for multi-tenant queries
+heldBillSchema.index({ organizationId: 1, status: 1, createdAt: -1 });
+
+const HeldBill = mongoose.model('HeldBill', heldBillSchema);
+export default HeldBill;
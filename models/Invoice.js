@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { generateDocumentNumber } from '../utils/documentNumbering.js';
 
 const invoiceItemSchema = new mongoose.Schema({
   product: {
@@ -15,6 +16,7 @@ const invoiceItemSchema = new mongoose.Schema({
   batchNo: String,
   expiryDate: Date,
   hsnCode: String,
+  drugSchedule: String, // Product schedule at billing time (Schedule H1 register)
   quantity: {
     type: Number,
     required: true
@@ -34,6 +36,26 @@ const invoiceItemSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Promotion applied to the line (discount holds the promotion percent)
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion'
+  },
+  promotionName: String,
+  promotionDiscount: {
+    type: Number,
+    default: 0
+  },
+  // Free units of a buy X get Y promotion - zero price, promotionDiscount holds their value
+  isFree: {
+    type: Boolean,
+    default: false
+  },
+  // Line counts towards loyalty points (not excluded by the program)
+  loyaltyEligible: {
+    type: Boolean,
+    default: false
+  },
   gstRate: {
     type: Number,
     required: true
@@ -51,6 +73,30 @@ const invoiceItemSchema = new mongoose.Schema({
   }
 });
 
+// Extra charges billed with the items (delivery, packing, cold chain handling)
+const invoiceChargeSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['DELIVERY', 'PACKING', 'COLD_CHAIN', 'SERVICE', 'OTHER'],
+    default: 'OTHER'
+  },
+  description: String,
+  sacCode: String,
+  gstRate: {
+    type: Number,
+    default: 0
+  },
+  taxableAmount: {
+    type: Number,
+    required: true
+  },
+  cgst: Number,
+  sgst: Number,
+  igst: Number,
+  totalTax: Number,
+  totalAmount: Number
+});
+
 const invoiceSchema = new mongoose.Schema({
   // Multi-tenant Organization Link
   organizationId: {
@@ -67,6 +113,18 @@ const invoiceSchema = new mongoose.Schema({
     type: String
     // Unique constraint is on compound index (organizationId + invoiceNumber)
   },
+  // Bill number in the previous billing software (bulk import)
+  importReference: String,
+  // Quotation the invoice was converted from
+  quotation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quotation'
+  },
+  // Numbering series used for the number (optional - default series or built-in format otherwise)
+  numberingSeries: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NumberingSeries'
+  },
   customer: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Customer'
@@ -81,14 +139,30 @@ const invoiceSchema = new mongoose.Schema({
   customerState: String,
   customerGstin: String,
   items: [invoiceItemSchema],
+  charges: [invoiceChargeSchema],
   // Prescription tracking for Schedule H/H1/X drugs
   prescriptionRequired: {
     type: Boolean,
     default: false
   },
   prescriptionNumber: String,
+  // Prescribing doctor (doctorName is kept for invoices typed without the doctor master)
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor'
+  },
   doctorName: String,
   prescriptionDate: Date,
+  // Marked once a prescription attachment has been checked against the bill
+  prescriptionCompliant: {
+    type: Boolean,
+    default: false
+  },
+  prescriptionVerifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  prescriptionVerifiedAt: Date,
   taxType: {
     type: String,
     enum: ['CGST_SGST', 'IGST'],
@@ -109,6 +183,41 @@ const invoiceSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Taxable value of the charges (their GST is in totalTax)
+  additionalCharges: {
+    type: Number,
+    default: 0
+  },
+  // Price list used for line prices
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList'
+  },
+  priceListName: String,
+  // Loyalty points (pointValue is the rupee value per point at invoice time)
+  loyaltyPointsEarned: {
+    type: Number,
+    default: 0
+  },
+  loyaltyPointsReversed: {
+    type: Number,
+    default: 0
+  },
+  loyaltyPointsRedeemed: {
+    type: Number,
+    default: 0
+  },
+  loyaltyPointValue: Number,
+  // Bill value slab promotion (included in discount)
+  billPromotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion'
+  },
+  billPromotionName: String,
+  billPromotionDiscount: {
+    type: Number,
+    default: 0
+  },
   roundOff: {
     type: Number,
     default: 0
@@ -124,7 +233,7 @@ const invoiceSchema = new mongoose.Schema({
   },
   paymentMethod: {
     type: String,
-    enum: ['CASH', 'UPI', 'CARD', 'CHEQUE', 'BANK_TRANSFER', 'SPLIT'],
+    enum: ['CASH', 'UPI', 'CARD', 'CHEQUE', 'BANK_TRANSFER', 'LOYALTY', 'CREDIT_NOTE', 'SPLIT'],
     default: 'CASH'
   },
   paidAmount: {
@@ -143,7 +252,7 @@ const invoiceSchema = new mongoose.Schema({
     },
     paymentMethod: {
       type: String,
-      enum: ['CASH', 'UPI', 'CARD', 'CHEQUE', 'BANK_TRANSFER', 'CREDIT_NOTE', 'OTHER'],
+      enum: ['CASH', 'UPI', 'CARD', 'CHEQUE', 'BANK_TRANSFER', 'LOYALTY', 'CREDIT_NOTE', 'OTHER'],
       required: true
     },
     paymentDate: {
@@ -177,6 +286,41 @@ const invoiceSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Payment due date (invoice date + customer credit days unless given)
+  dueDate: Date,
+  // Payment reminders sent to the customer - lastReminderFor is the schedule date of the latest one
+  lastReminderFor: Date,
+  reminders: [{
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReminderRule'
+    },
+    ruleName: String, // 'Manual' when sent by hand
+    scheduledFor: Date,
+    sentAt: {
+      type: Date,
+      default: Date.now
+    },
+    balanceAmount: Number,
+    daysOverdue: Number, // Negative before the due date
+    status: {
+      type: String,
+      enum: ['QUEUED', 'SKIPPED'] // SKIPPED - no active template or customer contact
+    },
+    notifications: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Notification'
+    }],
+    sentBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  // Credit limit / overdue override approved for this invoice
+  creditOverride: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditOverride'
+  },
   // For returns tracking
   isReturned: {
     type: Boolean,
@@ -190,6 +334,22 @@ const invoiceSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Cancellation (void) - invoice keeps its number, stock and ledger are reversed
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'CANCELLED'],
+    default: 'ACTIVE'
+  },
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancellationReason: String,
+  cancellationLedgerEntries: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger'
+  }],
   // E-way bill (for inter-state sales > 50000)
   eWayBillRequired: {
     type: Boolean,
@@ -197,9 +357,58 @@ const invoiceSchema = new mongoose.Schema({
   },
   eWayBillNumber: String,
   eWayBillDate: Date,
+  eWayBillValidUntil: Date,
+  transporterId: String, // Transporter GSTIN / TRANSIN
   transporterName: String,
+  transportMode: {
+    type: String,
+    enum: ['1', '2', '3', '4'], // 1 Road, 2 Rail, 3 Air, 4 Ship
+    default: '1'
+  },
+  transportDocNumber: String,
+  transportDocDate: Date,
   vehicleNumber: String,
   distance: Number,
+  // Part-B (vehicle) updates made on the portal after the e-way bill was generated
+  eWayBillVehicleUpdates: [{
+    vehicleNumber: String,
+    fromPlace: String,
+    fromState: String,
+    reasonCode: {
+      type: String,
+      enum: ['1', '2', '3', '4'] // 1 Break down, 2 Transhipment, 3 Others, 4 First time
+    },
+    reasonRemark: String,
+    transportDocNumber: String,
+    transportDocDate: Date,
+    validUntil: Date,
+    updatedAt: {
+      type: Date,
+      default: Date.now
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  // E-invoice (IRN from IRP, for B2B invoices)
+  irn: String,
+  irnStatus: {
+    type: String,
+    enum: ['GENERATING', 'GENERATED', 'CANCELLED'] // GENERATING while the IRP request is in flight
+  },
+  irnClaimedAt: Date,
+  irnProvider: String,
+  ackNumber: String,
+  ackDate: Date,
+  signedInvoice: String,
+  signedQRCode: String,
+  irnCancelledAt: Date,
+  irnCancelReason: {
+    type: String,
+    enum: ['1', '2', '3', '4'] // 1 Duplicate, 2 Data entry mistake, 3 Order cancelled, 4 Others
+  },
+  irnCancelRemark: String,
   // For accounting - double entry ledger references
   ledgerEntries: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -231,39 +440,26 @@ invoiceSchema.index({ organizationId: 1, invoiceDate: -1 });
 invoiceSchema.index({ organizationId: 1, invoiceNumber: 1 }, { unique: true }); // UNIQUE per organization
 invoiceSchema.index({ organizationId: 1, customer: 1 });
 invoiceSchema.index({ organizationId: 1, paymentStatus: 1 });
+invoiceSchema.index({ organizationId: 1, paymentStatus: 1, customer: 1, dueDate: 1 }); // Payment reminders
+invoiceSchema.index({ organizationId: 1, status: 1 });
+invoiceSchema.index({ organizationId: 1, doctor: 1, invoiceDate: -1 });
+invoiceSchema.index({ organizationId: 1, importReference: 1 }, { sparse: true });
+invoiceSchema.index({ organizationId: 1, quotation: 1 }, { sparse: true });
+invoiceSchema.index({ organizationId: 1, eWayBillRequired: 1, eWayBillNumber: 1 });
 
 // Auto-increment invoice number using atomic counter (per organization)
-// Format: INV-YYYY-OO-XXXX (OO = first 2 chars of org name, continuous sequence)
+// Default format: INV-YYYY-OO-XXXX (OO = first 2 chars of org name, continuous sequence)
 invoiceSchema.pre('save', async function (next) {
   if (this.isNew && !this.invoiceNumber) {
-    const Counter = mongoose.model('Counter');
-    const Organization = mongoose.model('Organization');
-
-    // Get organization details
-    const org = await Organization.findById(this.organizationId).select('organizationName');
-    if (!org) {
-      throw new Error('Organization not found');
-    }
-
-    // Extract first 2 characters of organization name (uppercase)
-    const orgInitials = org.organizationName
-      .trim()
-      .substring(0, 2)
-      .toUpperCase()
-      .replace(/[^A-Z0-9]/g, '') || 'XX'; // Fallback to 'XX' if no valid chars
-
-    const date = this.invoiceDate || new Date();
-    const year = date.getFullYear();
-
-    // Get next sequence number atomically - continuous, never resets
-    const sequence = await Counter.getNextSequence(
+    // Configured numbering series, else the built-in format (e.g. INV-2026-RA-000001)
+    // Taken in the save's transaction so an aborted sale leaves no gap in the serials
+    this.invoiceNumber = await generateDocumentNumber(
       this.organizationId,
       'invoice',
-      String(year) // Counter uses year only for continuous numbering
+      this.invoiceDate || new Date(),
+      this.numberingSeries,
+      this.$session()
     );
-
-    // Format: INV-2026-RA-0001 (for "Ramesh Medicals")
-    this.invoiceNumber = `INV-${year}-${orgInitials}-${String(sequence).padStart(6, '0')}`;
   }
   next();
 });
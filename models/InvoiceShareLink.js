@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// Public link to an invoice (shared on WhatsApp / SMS)
+// The URL carries a signed token naming this record, so a link stops working once revoked or expired
+const invoiceShareLinkSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true
+  },
+  invoiceNumber: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for multi-tenant queries
+invoiceShareLinkSchema.index({ organizationId: 1, invoice: 1 });
+
+const InvoiceShareLink = mongoose.model('InvoiceShareLink', invoiceShareLinkSchema);
+export default InvoiceShareLink;
@@ -35,6 +35,8 @@ const ledgerSchema = new mongoose.Schema({
       'GST_PAYABLE_IGST',
       'LOANS_PAYABLE',
       'OTHER_LIABILITIES',
+      'LOYALTY_POINTS_LIABILITY',
+      'CUSTOMER_CREDIT',
       // Capital
       'CAPITAL',
       'DRAWINGS',
@@ -62,6 +64,7 @@ const ledgerSchema = new mongoose.Schema({
       'REPAIRS_EXPENSE',
       'ADVERTISING_EXPENSE',
       'MISCELLANEOUS_EXPENSE',
+      'LOYALTY_EXPENSE',
       // GST Input Tax Credit
       'GST_INPUT_CGST',
       'GST_INPUT_SGST',
@@ -85,7 +88,7 @@ const ledgerSchema = new mongoose.Schema({
   // Reference to source transaction
   referenceType: {
     type: String,
-    enum: ['INVOICE', 'PURCHASE', 'EXPENSE', 'PAYMENT', 'SALES_RETURN', 'PURCHASE_RETURN', 'OPENING_BALANCE', 'ADJUSTMENT'],
+    enum: ['INVOICE', 'INVOICE_CANCELLATION', 'PURCHASE', 'EXPENSE', 'PAYMENT', 'SALES_RETURN', 'PURCHASE_RETURN', 'OPENING_BALANCE', 'ADJUSTMENT'],
     required: true
   },
   referenceId: {
@@ -130,6 +133,7 @@ ledgerSchema.index({ organizationId: 1, date: -1 });
 ledgerSchema.index({ organizationId: 1, account: 1, date: -1 });
 ledgerSchema.index({ organizationId: 1, financialYear: 1 });
 ledgerSchema.index({ referenceType: 1, referenceId: 1 });
+ledgerSchema.index({ organizationId: 1, account: 1, userId: 1, createdAt: 1 }); // Cash shift reports
 
 // Static method to create double entry (multi-tenant)
 ledgerSchema.statics.createDoubleEntry = async function (organizationId, userId, entries, options = {}, session = null) {
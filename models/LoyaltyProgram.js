@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+// Loyalty program - one per organization
+// Earn: pointsPerRupee on the value of eligible lines (excluded products / categories earn nothing)
+// Burn: points redeemed as the LOYALTY tender at pointValue rupees per point
+const loyaltyProgramSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: 'Loyalty Points'
+  },
+  // Earn rules
+  pointsPerRupee: {
+    type: Number,
+    min: 0,
+    default: 0.01
+  },
+  minBillAmount: {
+    type: Number,
+    default: 0
+  },
+  excludedProducts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  excludedCategories: [{
+    type: String,
+    trim: true
+  }],
+  // Burn rules
+  pointValue: {
+    type: Number,
+    min: 0,
+    default: 1
+  },
+  minRedeemPoints: {
+    type: Number,
+    default: 0
+  },
+  // Maximum share of the bill that can be paid with points
+  maxRedeemPercent: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 100
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// One loyalty program per organization
+loyaltyProgramSchema.index({ organizationId: 1 }, { unique: true });
+
+const LoyaltyProgram = mongoose.model('LoyaltyProgram', loyaltyProgramSchema);
+export default LoyaltyProgram;
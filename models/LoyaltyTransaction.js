@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+// Loyalty points statement line - points are signed (+ earned / - redeemed or reversed)
+const loyaltyTransactionSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['EARN', 'REDEEM', 'EARN_REVERSAL', 'REDEEM_REVERSAL', 'ADJUSTMENT'],
+    required: true
+  },
+  points: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  // Rupee value of the points (points x point value at the time)
+  value: {
+    type: Number,
+    default: 0
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  invoiceNumber: String,
+  salesReturn: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SalesReturn'
+  },
+  description: String
+}, {
+  timestamps: true
+});
+
+// Indexes for multi-tenant queries
+loyaltyTransactionSchema.index({ organizationId: 1, customer: 1, createdAt: -1 });
+loyaltyTransactionSchema.index({ organizationId: 1, invoice: 1 });
+
+const LoyaltyTransaction = mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
+export default LoyaltyTransaction;
@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+// Outbox - every message is stored before it is sent and retried until delivered or out of attempts
+const notificationSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['SMS', 'WHATSAPP', 'EMAIL'],
+    required: true
+  },
+  // Recipient
+  partyType: {
+    type: String,
+    enum: ['CUSTOMER', 'SUPPLIER']
+  },
+  party: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'partyModel'
+  },
+  partyModel: {
+    type: String,
+    enum: ['Customer', 'Supplier']
+  },
+  partyName: String,
+  to: {
+    type: String,
+    required: true
+  },
+  subject: String,
+  body: {
+    type: String,
+    required: true
+  },
+  // Document that triggered the message
+  referenceType: String,
+  referenceId: mongoose.Schema.Types.ObjectId,
+  referenceNumber: String,
+  // Delivery
+  status: {
+    type: String,
+    enum: ['PENDING', 'SENDING', 'SENT', 'FAILED'],
+    default: 'PENDING'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  sentAt: Date,
+  transport: String,
+  providerMessageId: String,
+  lastError: String,
+  deliveryLog: [{
+    attemptedAt: Date,
+    transport: String,
+    success: Boolean,
+    providerMessageId: String,
+    error: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for multi-tenant queries
+notificationSchema.index({ organizationId: 1, createdAt: -1 });
+notificationSchema.index({ organizationId: 1, party: 1, createdAt: -1 });
+notificationSchema.index({ status: 1, nextAttemptAt: 1 }); // Outbox worker
+
+const Notification = mongoose.model('Notification', notificationSchema);
+export default Notification;
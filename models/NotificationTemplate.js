@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// Message template for an event on one channel - a notification is only sent
+// for the events and channels the organization has an active template for
+const notificationTemplateSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: String,
+    enum: ['INVOICE_CREATED', 'PAYMENT_RECEIVED', 'SALES_RETURN', 'SUPPLIER_PAYMENT', 'PAYMENT_REMINDER'],
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['SMS', 'WHATSAPP', 'EMAIL'],
+    required: true
+  },
+  subject: String, // Email only
+  // Text with {{placeholders}} - the built-in text for the event is used when empty
+  body: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for multi-tenant queries
+notificationTemplateSchema.index({ organizationId: 1, event: 1, channel: 1 }, { unique: true });
+
+const NotificationTemplate = mongoose.model('NotificationTemplate', notificationTemplateSchema);
+export default NotificationTemplate;
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+// Per-organization document numbering series (drives Counter)
+// Prefix is a template - supported tokens: {YYYY}, {YY}, {MM}, {FY}, {ORG}
+// e.g. prefix "INV-{YYYY}-{ORG}-" + padding 6 => INV-2026-RA-000001
+const numberingSeriesSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  documentType: {
+    type: String,
+    enum: ['invoice', 'purchase', 'salesReturn', 'purchaseReturn', 'quotation'],
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  prefix: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  padding: {
+    type: Number,
+    default: 6,
+    min: 1,
+    max: 12
+  },
+  startNumber: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  resetPolicy: {
+    type: String,
+    enum: ['NEVER', 'FINANCIAL_YEAR'],
+    default: 'FINANCIAL_YEAR'
+  },
+  // Default series is used when a document does not ask for a specific one
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for multi-tenant queries
+numberingSeriesSchema.index({ organizationId: 1, documentType: 1, isActive: 1 });
+numberingSeriesSchema.index({ organizationId: 1, documentType: 1, name: 1 }, { unique: true });
+
+const NumberingSeries = mongoose.model('NumberingSeries', numberingSeriesSchema);
+export default NumberingSeries;
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+// Price list - overrides Batch.sellingPrice for customers linked to it
+// Each product rule is either a FIXED price or a MARKUP on the batch purchase price;
+// products without a rule use defaultMarkupPercent (if set) or the batch selling price.
+const priceListSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['RETAIL', 'WHOLESALE', 'HOSPITAL', 'CUSTOMER'],
+    default: 'WHOLESALE'
+  },
+  description: String,
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    method: {
+      type: String,
+      enum: ['FIXED', 'MARKUP'],
+      default: 'FIXED'
+    },
+    // FIXED - selling price (before GST, same as Batch.sellingPrice)
+    price: Number,
+    // MARKUP - percentage over the batch purchase price
+    markupPercent: Number
+  }],
+  // Markup on purchase price for products not listed in items (optional)
+  defaultMarkupPercent: Number,
+  // Never sell above the batch MRP
+  capAtMrp: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for multi-tenant queries
+priceListSchema.index({ organizationId: 1, name: 1 }, { unique: true });
+priceListSchema.index({ organizationId: 1, isActive: 1 });
+
+const PriceList = mongoose.model('PriceList', priceListSchema);
+export default PriceList;
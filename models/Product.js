@@ -24,10 +24,20 @@ const productSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  category: {
+    type: String,
+    trim: true
+  },
   composition: {
     type: String,
     trim: true
   },
+  // Drugs and Cosmetics Rules schedule - H, H1 and X need a prescription at billing
+  drugSchedule: {
+    type: String,
+    enum: ['NONE', 'G', 'H', 'H1', 'X'],
+    default: 'NONE'
+  },
   batchNo: {
     type: String,
     trim: true
@@ -39,6 +49,11 @@ const productSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Manufacturer barcodes (EAN/UPC etc.) - a product can carry several
+  barcodes: [{
+    type: String,
+    trim: true
+  }],
   gstRate: {
     type: Number,
     required: false,
@@ -86,6 +101,7 @@ const productSchema = new mongoose.Schema({
 productSchema.index({ organizationId: 1, name: 1 });
 productSchema.index({ organizationId: 1, isActive: 1 });
 productSchema.index({ organizationId: 1, stockQuantity: 1 });
+productSchema.index({ organizationId: 1, barcodes: 1 }); // Scan-to-bill lookup
 productSchema.index({ name: 'text', genericName: 'text', manufacturer: 'text' });
 
 const Product = mongoose.model('Product', productSchema);
@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+
+// Sales promotion / scheme - applied automatically on invoice creation
+// BUY_X_GET_Y: for every buyQuantity units billed, freeQuantity units are added free (zero-priced line)
+// PERCENT_OFF: percentage off lines matching products / manufacturers / categories
+// BILL_SLAB:   bill-level discount by bill value slab
+const promotionSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  type: {
+    type: String,
+    enum: ['BUY_X_GET_Y', 'PERCENT_OFF', 'BILL_SLAB'],
+    required: true
+  },
+  // Line promotions - a line matches if its product, manufacturer or category is listed
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  manufacturers: [{
+    type: String,
+    trim: true
+  }],
+  categories: [{
+    type: String,
+    trim: true
+  }],
+  // BUY_X_GET_Y
+  buyQuantity: {
+    type: Number,
+    min: 1
+  },
+  freeQuantity: {
+    type: Number,
+    min: 1
+  },
+  // PERCENT_OFF
+  discountPercent: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  // BILL_SLAB - highest slab reached applies
+  slabs: [{
+    minAmount: {
+      type: Number,
+      required: true
+    },
+    discountPercent: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0
+    },
+    // Flat amount instead of / on top of percentage
+    discountAmount: {
+      type: Number,
+      default: 0
+    },
+    maxDiscount: Number
+  }],
+  validFrom: {
+    type: Date,
+    required: true
+  },
+  validTo: {
+    type: Date,
+    required: true
+  },
+  // Higher priority wins when two line promotions give the same discount
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for multi-tenant queries
+promotionSchema.index({ organizationId: 1, isActive: 1, validFrom: 1, validTo: 1 });
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+export default Promotion;
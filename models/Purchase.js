@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { generateDocumentNumber } from '../utils/documentNumbering.js';
 
 const purchaseItemSchema = new mongoose.Schema({
   product: {
@@ -84,6 +85,11 @@ const purchaseSchema = new mongoose.Schema({
     type: String
     // Unique constraint is on compound index (organizationId + purchaseNumber)
   },
+  // Numbering series used for the number (optional - default series or built-in format otherwise)
+  numberingSeries: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NumberingSeries'
+  },
   supplier: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Supplier',
@@ -250,37 +256,16 @@ purchaseSchema.index({ organizationId: 1, supplier: 1 });
 purchaseSchema.index({ organizationId: 1, paymentStatus: 1 });
 
 // Auto-increment purchase number using atomic counter (per organization)
-// Format: PUR-YYYY-OO-XXXX (OO = first 2 chars of org name, continuous sequence)
+// Default format: PUR-YYYY-OO-XXXX (OO = first 2 chars of org name, continuous sequence)
 purchaseSchema.pre('save', async function (next) {
   if (this.isNew && !this.purchaseNumber) {
-    const Counter = mongoose.model('Counter');
-    const Organization = mongoose.model('Organization');
-
-    // Get organization details
-    const org = await Organization.findById(this.organizationId).select('organizationName');
-    if (!org) {
-      throw new Error('Organization not found');
-    }
-
-    // Extract first 2 characters of organization name (uppercase)
-    const orgInitials = org.organizationName
-      .trim()
-      .substring(0, 2)
-      .toUpperCase()
-      .replace(/[^A-Z0-9]/g, '') || 'XX'; // Fallback to 'XX' if no valid chars
-
-    const date = this.purchaseDate || new Date();
-    const year = date.getFullYear();
-
-    // Get next sequence number atomically - continuous, never resets
-    const sequence = await Counter.getNextSequence(
+    // Configured numbering series, else the built-in format (e.g. PUR-2026-RA-000001)
+    this.purchaseNumber = await generateDocumentNumber(
       this.organizationId,
       'purchase',
-      String(year) // Use year only for continuous numbering
+      this.purchaseDate || new Date(),
+      this.numberingSeries
     );
-
-    // Format: PUR-2026-RA-0001 (for "Ramesh Medicals")
-    this.purchaseNumber = `PUR-${year}-${orgInitials}-${String(sequence).padStart(6, '0')}`;
   }
   next();
 });
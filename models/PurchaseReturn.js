@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { generateDocumentNumber } from '../utils/documentNumbering.js';
 
 const purchaseReturnItemSchema = new mongoose.Schema({
   product: {
@@ -50,6 +51,11 @@ const purchaseReturnSchema = new mongoose.Schema({
     type: String
     // Unique constraint is on compound index (organizationId + debitNoteNumber)
   },
+  // Numbering series used for the number (optional - default series or built-in format otherwise)
+  numberingSeries: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NumberingSeries'
+  },
   supplier: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Supplier',
@@ -135,38 +141,16 @@ purchaseReturnSchema.index({ organizationId: 1, supplier: 1 });
 
 // Auto-increment debit note number (per organization)
 // Auto-increment debit note number using atomic counter (per organization)
-// Format: DN-YYYY-OO-XXXX (OO = first 2 chars of org name, continuous sequence)
+// Default format: DN-YYYY-OO-XXXX (OO = first 2 chars of org name, continuous sequence)
 purchaseReturnSchema.pre('save', async function (next) {
   if (this.isNew && !this.debitNoteNumber) {
-    const Counter = mongoose.model('Counter');
-    const Organization = mongoose.model('Organization');
-
-    // Get organization details
-    const org = await Organization.findById(this.organizationId).select('organizationName');
-    if (!org) {
-      throw new Error('Organization not found');
-    }
-
-    // Extract first 2 characters of organization name (uppercase)
-    const orgInitials = org.organizationName
-      .trim()
-      .substring(0, 2)
-      .toUpperCase()
-      .replace(/[^A-Z0-9]/g, '') || 'XX'; // Fallback to 'XX' if no valid chars
-
-    const date = this.returnDate || new Date();
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-
-    // Get next sequence number atomically - continuous, never resets
-    const sequence = await Counter.getNextSequence(
+    // Configured numbering series, else the built-in format (e.g. DN-2026-01-RA-0001)
+    this.debitNoteNumber = await generateDocumentNumber(
       this.organizationId,
       'purchaseReturn',
-      String(year) // Use year only for continuous numbering
+      this.returnDate || new Date(),
+      this.numberingSeries
     );
-
-    // Format: DN-2026-01-RA-0001 (for "Ramesh Medicals" in January)
-    this.debitNoteNumber = `DN-${year}-${month}-${orgInitials}-${String(sequence).padStart(4, '0')}`;
   }
   next();
 });
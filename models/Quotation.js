@@ -0,0 +1,162 @@
+import mongoose from 'mongoose';
+import { generateDocumentNumber } from '../utils/documentNumbering.js';
+
+// Same item/GST structure as invoice items, but nothing is reserved or deducted
+const quotationItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: String,
+  // Optional preferred batch - when empty, FIFO picks batches at conversion time
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch'
+  },
+  batchNo: String,
+  expiryDate: Date,
+  hsnCode: String,
+  quantity: {
+    type: Number,
+    required: true
+  },
+  unit: String,
+  mrp: Number,
+  sellingPrice: {
+    type: Number,
+    required: true
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  gstRate: {
+    type: Number,
+    required: true
+  },
+  taxableAmount: Number,
+  taxAmount: Number,
+  cgst: Number,
+  sgst: Number,
+  igst: Number,
+  totalAmount: Number
+});
+
+const quotationSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  quotationNumber: {
+    type: String
+    // Unique constraint is on compound index (organizationId + quotationNumber)
+  },
+  // Numbering series used for the number (optional - default series or built-in format otherwise)
+  numberingSeries: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NumberingSeries'
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  customerName: {
+    type: String,
+    required: true
+  },
+  customerPhone: String,
+  customerAddress: String,
+  customerCity: String,
+  customerState: String,
+  customerGstin: String,
+  items: [quotationItemSchema],
+  taxType: {
+    type: String,
+    enum: ['CGST_SGST', 'IGST'],
+    required: true
+  },
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  totalTax: {
+    type: Number,
+    required: true
+  },
+  totalCGST: Number,
+  totalSGST: Number,
+  totalIGST: Number,
+  discount: {
+    type: Number,
+    default: 0
+  },
+  roundOff: {
+    type: Number,
+    default: 0
+  },
+  grandTotal: {
+    type: Number,
+    required: true
+  },
+  quotationDate: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['DRAFT', 'SENT', 'ACCEPTED', 'REJECTED', 'EXPIRED', 'CONVERTING', 'CONVERTED'], // CONVERTING while the invoice is created
+    default: 'DRAFT'
+  },
+  notes: {
+    type: String
+  },
+  // Set once the quotation has been turned into a real invoice
+  convertedInvoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  convertedInvoiceNumber: String,
+  convertedAt: Date,
+  // When the CONVERTING claim was taken (a stale claim can be taken over)
+  convertingAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for multi-tenant queries
+quotationSchema.index({ organizationId: 1, quotationDate: -1 });
+quotationSchema.index({ organizationId: 1, quotationNumber: 1 }, { unique: true }); // UNIQUE per organization
+quotationSchema.index({ organizationId: 1, customer: 1 });
+quotationSchema.index({ organizationId: 1, status: 1 });
+
+// Auto-increment quotation number using atomic counter (per organization)
+// Default format: QT-YYYY-OO-XXXXXX (OO = first 2 chars of org name, continuous sequence)
+quotationSchema.pre('save', async function (next) {
+  if (this.isNew && !this.quotationNumber) {
+    // Configured numbering series, else the built-in format (e.g. QT-2026-RA-000001)
+    this.quotationNumber = await generateDocumentNumber(
+      this.organizationId,
+      'quotation',
+      this.quotationDate || new Date(),
+      this.numberingSeries
+    );
+  }
+  next();
+});
+
+const Quotation = mongoose.model('Quotation', quotationSchema);
+export default Quotation;
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+// Payment reminder schedule for unpaid customer invoices
+// offsetDays is counted from the due date: -3 = 3 days before, 0 = on the due date, 7 = a week after.
+// With repeatEveryDays the reminder is sent again at that interval until the invoice is paid.
+const reminderRuleSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  offsetDays: {
+    type: Number,
+    required: true,
+    min: -365,
+    max: 365
+  },
+  repeatEveryDays: {
+    type: Number,
+    min: 0,
+    default: 0 // 0 = send once
+  },
+  // Invoices with a smaller balance are not chased
+  minBalance: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for multi-tenant queries
+reminderRuleSchema.index({ organizationId: 1, isActive: 1 });
+
+const ReminderRule = mongoose.model('ReminderRule', reminderRuleSchema);
+export default ReminderRule;
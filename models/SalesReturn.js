@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { generateDocumentNumber } from '../utils/documentNumbering.js';
 
 const salesReturnItemSchema = new mongoose.Schema({
   product: {
@@ -59,6 +60,11 @@ const salesReturnSchema = new mongoose.Schema({
     type: String
     // Unique constraint is on compound index (organizationId + creditNoteNumber)
   },
+  // Numbering series used for the number (optional - default series or built-in format otherwise)
+  numberingSeries: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NumberingSeries'
+  },
   customer: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Customer'
@@ -134,6 +140,11 @@ const salesReturnSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Loyalty points taken back from the customer for the returned lines
+  loyaltyPointsReversed: {
+    type: Number,
+    default: 0
+  },
   notes: String,
   // For accounting
   ledgerEntries: [{
@@ -151,38 +162,16 @@ salesReturnSchema.index({ organizationId: 1, customer: 1 });
 
 // Auto-increment credit note number using atomic counter (per organization)
 // Auto-increment credit note number using atomic counter (per organization)
-// Format: CN-YYYY-OO-XXXX (OO = first 2 chars of org name, continuous sequence)
+// Default format: CN-YYYY-OO-XXXX (OO = first 2 chars of org name, continuous sequence)
 salesReturnSchema.pre('save', async function (next) {
   if (this.isNew && !this.creditNoteNumber) {
-    const Counter = mongoose.model('Counter');
-    const Organization = mongoose.model('Organization');
-
-    // Get organization details
-    const org = await Organization.findById(this.organizationId).select('organizationName');
-    if (!org) {
-      throw new Error('Organization not found');
-    }
-
-    // Extract first 2 characters of organization name (uppercase)
-    const orgInitials = org.organizationName
-      .trim()
-      .substring(0, 2)
-      .toUpperCase()
-      .replace(/[^A-Z0-9]/g, '') || 'XX'; // Fallback to 'XX' if no valid chars
-
-    const date = this.returnDate || new Date();
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-
-    // Get next sequence number atomically - continuous, never resets
-    const sequence = await Counter.getNextSequence(
+    // Configured numbering series, else the built-in format (e.g. CN-2026-01-RA-0001)
+    this.creditNoteNumber = await generateDocumentNumber(
       this.organizationId,
       'salesReturn',
-      String(year) // Use year only for continuous numbering
+      this.returnDate || new Date(),
+      this.numberingSeries
     );
-
-    // Format: CN-2026-01-RA-0001 (for "Ramesh Medicals" in January)
-    this.creditNoteNumber = `CN-${year}-${month}-${orgInitials}-${String(sequence).padStart(4, '0')}`;
   }
   next();
 });
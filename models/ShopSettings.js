@@ -68,6 +68,12 @@ const shopSettingsSchema = new mongoose.Schema({
   invoiceStartNumber: {
     type: Number,
     default: 1
+  },
+  // Prescription attachments are kept at least this long (Schedule H1 records: 3 years)
+  attachmentRetentionDays: {
+    type: Number,
+    default: 1095,
+    min: 1
   }
 }, {
   timestamps: true
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// Store credit wallet statement line - amount is signed (+ credited / - spent or reversed)
+const storeCreditTransactionSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['SALES_RETURN', 'REDEEM', 'REDEEM_REVERSAL'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  invoiceNumber: String,
+  salesReturn: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SalesReturn'
+  },
+  creditNoteNumber: String,
+  description: String
+}, {
+  timestamps: true
+});
+
+// Indexes for multi-tenant queries
+storeCreditTransactionSchema.index({ organizationId: 1, customer: 1, createdAt: -1 });
+storeCreditTransactionSchema.index({ organizationId: 1, invoice: 1 });
+
+const StoreCreditTransaction = mongoose.model('StoreCreditTransaction', storeCreditTransactionSchema);
+export default StoreCreditTransaction;
@@ -0,0 +1,272 @@
+import express from 'express';
+import crypto from 'crypto';
+import Attachment from '../models/Attachment.js';
+import Invoice from '../models/Invoice.js';
+import Customer from '../models/Customer.js';
+import ShopSettings from '../models/ShopSettings.js';
+import { protect } from '../middleware/auth.js';
+import { tenantIsolation, addOrgFilter } from '../middleware/tenantIsolation.js';
+import { requireOwner } from '../middleware/requireSuperAdmin.js';
+import { getStorageAdapter } from '../utils/attachmentStorage.js';
+
+const router = express.Router();
+
+// Apply authentication and tenant isolation to all routes
+router.use(protect);
+router.use(tenantIsolation);
+
+// Accepted files - content type with the leading bytes every such file starts with
+const FILE_TYPES = {
+  'application/pdf': { extension: '.pdf', signature: '25504446' }, // %PDF
+  'image/jpeg': { extension: '.jpg', signature: 'ffd8ff' },
+  'image/png': { extension: '.png', signature: '89504e47' },
+  'image/webp': { extension: '.webp', signature: '52494646', formatAt8: '57454250' } // RIFF....WEBP
+};
+
+// Check the file's magic bytes against its declared type
+const matchesSignature = (buffer, fileType) => {
+  if (!buffer.subarray(0, fileType.signature.length / 2).toString('hex').startsWith(fileType.signature)) {
+    return false;
+  }
+  return !fileType.formatAt8 || buffer.subarray(8, 12).toString('hex') === fileType.formatAt8;
+};
+
+// File name from the X-File-Name header (URI encoded) - malformed names fall back to the default
+const getUploadFileName = (header, fileType) => {
+  const defaultName = `attachment${fileType.extension}`;
+  if (!header) return defaultName;
+
+  try {
+    return decodeURIComponent(header) || defaultName;
+  } catch (error) {
+    return defaultName;
+  }
+};
+
+// Wrongly uploaded files can be deleted this long after upload, otherwise only after retention ends
+const CORRECTION_WINDOW_HOURS = 24;
+
+const DEFAULT_RETENTION_DAYS = 1095;
+
+// Files are sent as the raw request body (Content-Type = file type), not inside the JSON body
+const rawUpload = express.raw({ type: Object.keys(FILE_TYPES), limit: '10mb' });
+
+// @route   POST /api/attachments?invoice=&customer=&category=&notes=
+// @desc    Upload a prescription image / PDF (raw body, file name in X-File-Name header)
+// @access  Private
+router.post('/', rawUpload, async (req, res) => {
+  try {
+    const { invoice: invoiceId, customer: customerId, category = 'PRESCRIPTION', notes } = req.query;
+    const mimeType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const fileType = FILE_TYPES[mimeType];
+
+    if (!fileType || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ message: `Please upload a file. Allowed types: ${Object.keys(FILE_TYPES).join(', ')}` });
+    }
+
+    if (!matchesSignature(req.body, fileType)) {
+      return res.status(400).json({ message: `File content does not match ${mimeType}` });
+    }
+
+    if (!['PRESCRIPTION', 'OTHER'].includes(category)) {
+      return res.status(400).json({ message: 'Invalid category. Allowed: PRESCRIPTION, OTHER' });
+    }
+
+    if (!invoiceId && !customerId) {
+      return res.status(400).json({ message: 'Please select the invoice or customer for the attachment' });
+    }
+
+    let invoice = null;
+    if (invoiceId) {
+      invoice = await Invoice.findOne(addOrgFilter(req, { _id: invoiceId })).select('invoiceNumber customer');
+      if (!invoice) {
+        return res.status(404).json({ message: 'Invoice not found' });
+      }
+    }
+
+    let customer = invoice ? invoice.customer : null;
+    if (customerId) {
+      const customerRecord = await Customer.findOne(addOrgFilter(req, { _id: customerId }));
+      if (!customerRecord) {
+        return res.status(404).json({ message: 'Customer not found' });
+      }
+      customer = customerRecord._id;
+    }
+
+    const organizationId = req.organizationId || req.user.organizationId;
+    const shopSettings = await ShopSettings.findOne(addOrgFilter(req));
+    const retentionDays = shopSettings?.attachmentRetentionDays || DEFAULT_RETENTION_DAYS;
+    const retainUntil = new Date();
+    retainUntil.setDate(retainUntil.getDate() + retentionDays);
+
+    const now = new Date();
+    const storageKey = `${organizationId}/${now.getFullYear()}/${String(now.getMonth() + 1).padStart(2, '0')}/${crypto.randomUUID()}${fileType.extension}`;
+    const fileName = getUploadFileName(req.headers['x-file-name'], fileType);
+
+    const storage = getStorageAdapter();
+    await storage.save(storageKey, req.body, { mimeType });
+
+    try {
+      const attachment = await Attachment.create({
+        organizationId,
+        userId: req.user._id,
+        invoice: invoice ? invoice._id : undefined,
+        invoiceNumber: invoice ? invoice.invoiceNumber : undefined,
+        customer: customer || undefined,
+        category,
+        fileName,
+        mimeType,
+        size: req.body.length,
+        checksum: crypto.createHash('sha256').update(req.body).digest('hex'),
+        storage: storage.name,
+        storageKey,
+        notes,
+        retainUntil
+      });
+
+      res.status(201).json(attachment);
+    } catch (error) {
+      // Don't leave an orphan file behind when the record could not be saved
+      await storage.remove(storageKey);
+      throw error;
+    }
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/attachments?invoice=&customer=&category=
+// @desc    List attachments of an invoice or customer
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { invoice, customer, category, status = 'ACTIVE' } = req.query;
+    const filter = { status };
+
+    if (invoice) filter.invoice = invoice;
+    if (customer) filter.customer = customer;
+    if (category) filter.category = category;
+
+    const attachments = await Attachment.find(addOrgFilter(req, filter))
+      .populate('userId', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json(attachments);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/attachments/purge
+// @desc    Remove files whose retention period has ended
+// @access  Private (owner only)
+router.post('/purge', requireOwner, async (req, res) => {
+  try {
+    const expired = await Attachment.find(addOrgFilter(req, {
+      status: 'ACTIVE',
+      retainUntil: { $lt: new Date() }
+    }));
+
+    for (const attachment of expired) {
+      await getStorageAdapter(attachment.storage).remove(attachment.storageKey);
+      attachment.status = 'PURGED';
+      attachment.deletedBy = req.user._id;
+      attachment.deletedAt = new Date();
+      await attachment.save();
+    }
+
+    res.json({ message: `${expired.length} expired attachment(s) purged`, purged: expired.length });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/attachments/:id
+// @desc    Get attachment details
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const attachment = await Attachment.findOne(addOrgFilter(req, { _id: req.params.id }))
+      .populate('userId', 'name')
+      .populate('deletedBy', 'name');
+
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    res.json(attachment);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/attachments/:id/download
+// @desc    Download the attachment file
+// @access  Private
+router.get('/:id/download', async (req, res) => {
+  try {
+    const attachment = await Attachment.findOne(addOrgFilter(req, { _id: req.params.id, status: 'ACTIVE' }));
+
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const stream = await getStorageAdapter(attachment.storage).getStream(attachment.storageKey);
+
+    res.setHeader('Content-Type', attachment.mimeType);
+    res.setHeader('Content-Length', attachment.size);
+    res.setHeader('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`);
+    stream.on('error', () => res.destroy());
+    stream.pipe(res);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/attachments/:id
+// @desc    Delete an attachment (wrong uploads, or after the retention period)
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const attachment = await Attachment.findOne(addOrgFilter(req, { _id: req.params.id, status: 'ACTIVE' }));
+
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const correctionEnds = new Date(attachment.createdAt.getTime() + CORRECTION_WINDOW_HOURS * 60 * 60 * 1000);
+    if (new Date() > correctionEnds && new Date() < attachment.retainUntil) {
+      return res.status(400).json({
+        message: `Attachment must be kept until ${attachment.retainUntil.toISOString().slice(0, 10)} (retention period)`
+      });
+    }
+
+    await getStorageAdapter(attachment.storage).remove(attachment.storageKey);
+    attachment.status = 'DELETED';
+    attachment.deletedBy = req.user._id;
+    attachment.deletedAt = new Date();
+    await attachment.save();
+
+    // An invoice is only compliant while a prescription is on file
+    if (attachment.invoice && attachment.category === 'PRESCRIPTION') {
+      const remaining = await Attachment.countDocuments(addOrgFilter(req, {
+        invoice: attachment.invoice,
+        category: 'PRESCRIPTION',
+        status: 'ACTIVE'
+      }));
+
+      if (remaining === 0) {
+        await Invoice.updateOne(
+          addOrgFilter(req, { _id: attachment.invoice }),
+          { prescriptionCompliant: false, $unset: { prescriptionVerifiedBy: 1, prescriptionVerifiedAt: 1 } }
+        );
+      }
+    }
+
+    res.json({ message: 'Attachment deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
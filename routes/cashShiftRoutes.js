@@ -0,0 +1,229 @@
+import express from 'express';
+import CashShift from '../models/CashShift.js';
+import { protect } from '../middleware/auth.js';
+import { tenantIsolation, addOrgFilter } from '../middleware/tenantIsolation.js';
+import { requirePermission } from '../middleware/requireSuperAdmin.js';
+import { buildShiftReport, sumDenominations } from '../utils/shiftReport.js';
+import { startOfDay, endOfDay } from '../utils/dateRange.js';
+
+const router = express.Router();
+
+// Apply authentication and tenant isolation to all routes
+router.use(protect);
+router.use(tenantIsolation);
+
+// Cashiers see their own shifts, owners/report viewers see everyone's
+const canViewAllShifts = (req) => {
+  return ['superadmin', 'owner'].includes(req.user.role) || req.user.permissions?.canViewReports;
+};
+
+// @route   POST /api/cash-shifts/open
+// @desc    Open a shift for the logged-in cashier with a cash float
+// @access  Private
+router.post('/open', async (req, res) => {
+  try {
+    const { openingFloat = 0, terminal, notes } = req.body;
+
+    if (Number(openingFloat) < 0 || Number.isNaN(Number(openingFloat))) {
+      return res.status(400).json({ message: 'Please enter a valid opening float' });
+    }
+
+    const openShift = await CashShift.findOne(addOrgFilter(req, { userId: req.user._id, status: 'OPEN' }));
+    if (openShift) {
+      return res.status(400).json({ message: 'You already have an open shift. Close it before opening a new one.' });
+    }
+
+    const shift = await CashShift.create({
+      organizationId: req.organizationId || req.user.organizationId,
+      userId: req.user._id,
+      terminal,
+      openingFloat: Number(openingFloat),
+      openedAt: new Date(),
+      notes
+    });
+
+    res.status(201).json(shift);
+  } catch (error) {
+    // Unique index on open shift per cashier (parallel open requests)
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'You already have an open shift. Close it before opening a new one.' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/cash-shifts/current
+// @desc    Get the logged-in cashier's open shift with running (X) report
+// @access  Private
+router.get('/current', async (req, res) => {
+  try {
+    const shift = await CashShift.findOne(addOrgFilter(req, { userId: req.user._id, status: 'OPEN' }));
+
+    if (!shift) {
+      return res.status(404).json({ message: 'No open shift' });
+    }
+
+    const report = await buildShiftReport(shift);
+
+    res.json({ shift, report });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/cash-shifts/day-summary?date=YYYY-MM-DD
+// @desc    Day-end summary of all shifts opened on a date with variance per cashier
+// @access  Private
+router.get('/day-summary', requirePermission('canViewReports'), async (req, res) => {
+  try {
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    const start = startOfDay(date);
+    const end = endOfDay(date);
+
+    const shifts = await CashShift.find(addOrgFilter(req, { openedAt: { $gte: start, $lte: end } }))
+      .populate('userId', 'name email')
+      .sort({ openedAt: 1 });
+
+    const closedShifts = shifts.filter(shift => shift.status === 'CLOSED');
+
+    res.json({
+      date: start,
+      shifts: shifts.map(shift => ({
+        _id: shift._id,
+        cashier: shift.userId,
+        terminal: shift.terminal,
+        status: shift.status,
+        openedAt: shift.openedAt,
+        closedAt: shift.closedAt,
+        openingFloat: shift.openingFloat,
+        expectedCash: shift.expectedCash,
+        countedCash: shift.countedCash,
+        variance: shift.variance
+      })),
+      openShifts: shifts.length - closedShifts.length,
+      totalExpected: closedShifts.reduce((sum, shift) => sum + (shift.expectedCash || 0), 0),
+      totalCounted: closedShifts.reduce((sum, shift) => sum + (shift.countedCash || 0), 0),
+      totalVariance: closedShifts.reduce((sum, shift) => sum + (shift.variance || 0), 0)
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/cash-shifts
+// @desc    Get shifts (own shifts for cashiers, all shifts for owners/report viewers)
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { status, userId, startDate, endDate } = req.query;
+    const filter = {};
+
+    if (status) filter.status = status;
+
+    if (!canViewAllShifts(req)) {
+      filter.userId = req.user._id;
+    } else if (userId) {
+      filter.userId = userId;
+    }
+
+    if (startDate && endDate) {
+      filter.openedAt = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
+    }
+
+    const shifts = await CashShift.find(addOrgFilter(req, filter))
+      .select('-zReport')
+      .populate('userId', 'name email')
+      .populate('closedBy', 'name')
+      .sort({ openedAt: -1 });
+
+    res.json(shifts);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/cash-shifts/:id
+// @desc    Get single shift with its Z-report (or running report while open)
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const shift = await CashShift.findOne(addOrgFilter(req, { _id: req.params.id }))
+      .populate('userId', 'name email')
+      .populate('closedBy', 'name');
+
+    if (!shift) {
+      return res.status(404).json({ message: 'Shift not found' });
+    }
+
+    if (!canViewAllShifts(req) && shift.userId._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied. You can only view your own shifts.' });
+    }
+
+    const report = shift.status === 'CLOSED'
+      ? shift.zReport
+      : await buildShiftReport({ ...shift.toObject(), userId: shift.userId._id });
+
+    res.json({ shift, report });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/cash-shifts/:id/close
+// @desc    Close shift with counted cash and produce the Z-report
+// @access  Private
+router.post('/:id/close', async (req, res) => {
+  try {
+    const { countedCash, denominations, closingNotes } = req.body;
+
+    const shift = await CashShift.findOne(addOrgFilter(req, { _id: req.params.id }));
+
+    if (!shift) {
+      return res.status(404).json({ message: 'Shift not found' });
+    }
+
+    if (shift.status !== 'OPEN') {
+      return res.status(400).json({ message: 'Shift is already closed' });
+    }
+
+    if (!canViewAllShifts(req) && shift.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied. You can only close your own shift.' });
+    }
+
+    const hasDenominations = Array.isArray(denominations) && denominations.length > 0;
+    if (countedCash === undefined && !hasDenominations) {
+      return res.status(400).json({ message: 'Please enter the counted cash' });
+    }
+
+    // Counted cash from denominations if given, else the entered total
+    const counted = hasDenominations ? sumDenominations(denominations) : Number(countedCash);
+
+    if (Number.isNaN(counted) || counted < 0) {
+      return res.status(400).json({ message: 'Please enter a valid counted cash amount' });
+    }
+
+    const closedAt = new Date();
+    const zReport = await buildShiftReport(shift, closedAt, counted);
+
+    shift.status = 'CLOSED';
+    shift.closedAt = closedAt;
+    shift.closedBy = req.user._id;
+    shift.countedCash = zReport.countedCash;
+    shift.denominations = hasDenominations ? denominations : [];
+    shift.expectedCash = zReport.expectedCash;
+    shift.variance = zReport.variance;
+    shift.zReport = zReport;
+    shift.closingNotes = closingNotes;
+
+    await shift.save();
+
+    res.json({ shift, report: zReport });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,184 @@
+import express from 'express';
+import CreditOverride from '../models/CreditOverride.js';
+import Customer from '../models/Customer.js';
+import { protect } from '../middleware/auth.js';
+import { tenantIsolation, addOrgFilter } from '../middleware/tenantIsolation.js';
+import { requireOwner } from '../middleware/requireSuperAdmin.js';
+import { checkCustomerCredit, getOverdueInvoices } from '../utils/creditControl.js';
+
+const router = express.Router();
+
+// Apply authentication and tenant isolation to all routes
+router.use(protect);
+router.use(tenantIsolation);
+
+// Staff see their own requests, owners see everyone's
+const canViewAllOverrides = (req) => ['superadmin', 'owner'].includes(req.user.role);
+
+// @route   GET /api/credit-overrides/check?customer=&amount=
+// @desc    Check whether a credit sale is within the customer's limits
+// @access  Private
+router.get('/check', async (req, res) => {
+  try {
+    const { customer: customerId, amount = 0 } = req.query;
+
+    const customer = await Customer.findOne(addOrgFilter(req, { _id: customerId }));
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    const creditCheck = await checkCustomerCredit(req.organizationId, customer, Number(amount) || 0);
+    const overdueInvoices = await getOverdueInvoices(req.organizationId, customer);
+
+    res.json({ ...creditCheck, overdueInvoices });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/credit-overrides
+// @desc    Get override requests and approvals (audit trail)
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { status, customer, startDate, endDate } = req.query;
+    const filter = {};
+
+    if (status) filter.status = status;
+    if (customer) filter.customer = customer;
+    if (!canViewAllOverrides(req)) filter.userId = req.user._id;
+
+    if (startDate && endDate) {
+      filter.createdAt = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
+    }
+
+    const overrides = await CreditOverride.find(addOrgFilter(req, filter))
+      .populate('userId', 'name')
+      .populate('approvedBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json(overrides);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/credit-overrides/:id
+// @desc    Get single override (staff poll this for the owner's decision)
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const override = await CreditOverride.findOne(addOrgFilter(req, { _id: req.params.id }))
+      .populate('userId', 'name')
+      .populate('approvedBy', 'name');
+
+    if (!override) {
+      return res.status(404).json({ message: 'Credit override not found' });
+    }
+
+    if (!canViewAllOverrides(req) && override.userId._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied. You can only view your own requests.' });
+    }
+
+    res.json(override);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/credit-overrides
+// @desc    Request owner approval for a credit sale past the customer's limits
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    const { customer: customerId, amount, reason } = req.body;
+
+    if (!(Number(amount) > 0)) {
+      return res.status(400).json({ message: 'Please enter the unpaid amount of the bill' });
+    }
+
+    if (!reason) {
+      return res.status(400).json({ message: 'Please enter a reason for the override' });
+    }
+
+    const customer = await Customer.findOne(addOrgFilter(req, { _id: customerId }));
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    const creditCheck = await checkCustomerCredit(req.organizationId, customer, Number(amount));
+    if (creditCheck.allowed) {
+      return res.status(400).json({ message: 'This sale is within the customer\'s credit limits - no override needed' });
+    }
+
+    const override = await CreditOverride.create({
+      organizationId: req.organizationId || req.user.organizationId,
+      userId: req.user._id,
+      customer: customer._id,
+      customerName: customer.name,
+      amount: Number(amount),
+      reason,
+      violations: creditCheck.violations,
+      creditLimit: creditCheck.creditLimit,
+      outstandingBalance: creditCheck.outstandingBalance,
+      overdueAmount: creditCheck.overdueAmount,
+      overdueInvoices: creditCheck.overdueInvoices
+    });
+
+    res.status(201).json(override);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/credit-overrides/:id/approve
+// @desc    Approve an override request
+// @access  Private (owner only)
+router.post('/:id/approve', requireOwner, async (req, res) => {
+  try {
+    const override = await CreditOverride.findOneAndUpdate(
+      addOrgFilter(req, { _id: req.params.id, status: 'PENDING' }),
+      { status: 'APPROVED', approvedBy: req.user._id, approvedAt: new Date() },
+      { new: true }
+    );
+
+    if (!override) {
+      return res.status(404).json({ message: 'Pending credit override not found' });
+    }
+
+    res.json(override);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/credit-overrides/:id/reject
+// @desc    Reject an override request
+// @access  Private (owner only)
+router.post('/:id/reject', requireOwner, async (req, res) => {
+  try {
+    const override = await CreditOverride.findOneAndUpdate(
+      addOrgFilter(req, { _id: req.params.id, status: 'PENDING' }),
+      {
+        status: 'REJECTED',
+        approvedBy: req.user._id,
+        approvedAt: new Date(),
+        rejectionReason: req.body.reason
+      },
+      { new: true }
+    );
+
+    if (!override) {
+      return res.status(404).json({ message: 'Pending credit override not found' });
+    }
+
+    res.json(override);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -1,8 +1,12 @@
 import express from 'express';
 import Customer from '../models/Customer.js';
+import PriceList from '../models/PriceList.js';
+import ShopSettings from '../models/ShopSettings.js';
 import { protect } from '../middleware/auth.js';
 import tenantIsolation, { addOrgFilter } from '../middleware/tenantIsolation.js';
 import { requirePermission } from '../middleware/requireSuperAdmin.js';
+import { getCustomerStatement, generateStatementCSV } from '../utils/customerStatement.js';
+import { renderStatementHTML } from '../utils/printTemplates.js';
 
 const router = express.Router();
 
@@ -10,6 +14,12 @@ const router = express.Router();
 router.use(protect);
 router.use(tenantIsolation);
 
+// Linked price list must belong to the organization
+const isValidPriceList = async (req, priceListId) => {
+  if (!priceListId) return true;
+  return Boolean(await PriceList.findOne(addOrgFilter(req, { _id: priceListId })));
+};
+
 // @route   GET /api/customers
 // @desc    Get all customers
 // @access  Private
@@ -36,7 +46,7 @@ router.get('/:id', async (req, res) => {
   try {
     const customer = await Customer.findOne(
       addOrgFilter(req, { _id: req.params.id })
-    );
+    ).populate('priceList', 'name type');
 
     if (!customer) {
       return res.status(404).json({ message: 'Customer not found' });
@@ -48,13 +58,59 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// @route   GET /api/customers/:id/statement?from=&to=&format=json|csv|html
+// @desc    Statement of account - opening balance, transactions with running balance, closing balance and ageing
+// @access  Private
+router.get('/:id/statement', async (req, res) => {
+  try {
+    const { from, to, format = 'json' } = req.query;
+
+    if (!['json', 'csv', 'html'].includes(format)) {
+      return res.status(400).json({ message: 'Format must be json, csv or html' });
+    }
+
+    if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+      return res.status(400).json({ message: 'Invalid from / to date' });
+    }
+
+    const customer = await Customer.findOne(addOrgFilter(req, { _id: req.params.id }));
+
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    const statement = await getCustomerStatement(req.organizationId || req.user.organizationId, customer, { from, to });
+
+    if (format === 'csv') {
+      res.attachment(`statement-${customer.name.replace(/[^\w-]+/g, '_')}-${statement.to.toISOString().split('T')[0]}.csv`);
+      return res.type('text/csv').send(generateStatementCSV(statement));
+    }
+
+    if (format === 'html') {
+      const shopSettings = await ShopSettings.findOne(addOrgFilter(req));
+      return res.type('html').send(renderStatementHTML(statement, shopSettings));
+    }
+
+    res.json(statement);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // @route   POST /api/customers
 // @desc    Create customer
 // @access  Private (requires permission)
 router.post('/', requirePermission('canManageCustomers'), async (req, res) => {
   try {
+    if (!(await isValidPriceList(req, req.body.priceList))) {
+      return res.status(400).json({ message: 'Price list not found' });
+    }
+
+    // Points and store credit only change through their statements
+    const { loyaltyPoints, creditBalance, ...customerData } = req.body;
+
     const customer = await Customer.create({
-      ...req.body,
+      ...customerData,
       organizationId: req.organizationId,
       userId: req.user._id
     });
@@ -69,9 +125,16 @@ router.post('/', requirePermission('canManageCustomers'), async (req, res) => {
 // @access  Private (requires permission)
 router.put('/:id', requirePermission('canManageCustomers'), async (req, res) => {
   try {
+    if (!(await isValidPriceList(req, req.body.priceList))) {
+      return res.status(400).json({ message: 'Price list not found' });
+    }
+
+    // Points and store credit only change through their statements
+    const { loyaltyPoints, creditBalance, ...customerData } = req.body;
+
     const customer = await Customer.findOneAndUpdate(
       addOrgFilter(req, { _id: req.params.id }),
-      req.body,
+      customerData,
       { new: true, runValidators: true }
     );
 
@@ -0,0 +1,215 @@
+import express from 'express';
+import Doctor from '../models/Doctor.js';
+import Invoice from '../models/Invoice.js';
+import { protect } from '../middleware/auth.js';
+import { tenantIsolation, addOrgFilter } from '../middleware/tenantIsolation.js';
+import { requirePermission } from '../middleware/requireSuperAdmin.js';
+import { endOfDay } from '../utils/dateRange.js';
+
+const router = express.Router();
+
+// Apply authentication and tenant isolation to all routes
+router.use(protect);
+router.use(tenantIsolation);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// @route   GET /api/doctors
+// @desc    Get all doctors
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { search } = req.query;
+    let query = addOrgFilter(req, { isActive: true });
+
+    if (search) {
+      query.$text = { $search: search };
+    }
+
+    const doctors = await Doctor.find(query).sort({ name: 1 });
+    res.json(doctors);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/doctors/report?startDate=&endDate=&doctor=
+// @desc    Sales, margin, prescriptions and referral commission per doctor
+//          (net of returned quantities; unlinked invoices are grouped by the typed doctor name)
+// @access  Private
+router.get('/report', requirePermission('canViewReports'), async (req, res) => {
+  try {
+    const { startDate, endDate, doctor } = req.query;
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({ message: 'Start date and end date are required' });
+    }
+
+    const filter = {
+      status: { $ne: 'CANCELLED' },
+      invoiceDate: {
+        $gte: new Date(startDate),
+        $lte: endOfDay(endDate)
+      }
+    };
+
+    if (doctor) {
+      filter.doctor = doctor;
+    } else {
+      filter.$or = [
+        { doctor: { $ne: null } },
+        { doctorName: { $nin: [null, ''] } }
+      ];
+    }
+
+    const invoices = await Invoice.find(addOrgFilter(req, filter))
+      .populate('doctor', 'name registrationNumber clinicName commissionPercent');
+
+    const rows = {};
+    invoices.forEach(invoice => {
+      const typedName = (invoice.doctorName || '').trim();
+      const key = invoice.doctor ? invoice.doctor._id.toString() : `name:${typedName.toUpperCase()}`;
+
+      if (!rows[key]) {
+        rows[key] = {
+          doctor: invoice.doctor ? invoice.doctor._id : null,
+          doctorName: invoice.doctor ? invoice.doctor.name : typedName,
+          registrationNumber: invoice.doctor ? invoice.doctor.registrationNumber : undefined,
+          clinicName: invoice.doctor ? invoice.doctor.clinicName : undefined,
+          commissionPercent: invoice.doctor ? invoice.doctor.commissionPercent || 0 : 0,
+          invoiceCount: 0,
+          prescriptions: new Set(),
+          grossSales: 0,
+          returns: 0,
+          netSales: 0,
+          cost: 0,
+          margin: 0,
+          invoiceValue: 0
+        };
+      }
+
+      const row = rows[key];
+      row.invoiceCount += 1;
+      row.invoiceValue += invoice.grandTotal;
+      row.prescriptions.add(invoice.prescriptionNumber || invoice._id.toString());
+
+      invoice.items.forEach(item => {
+        const soldQuantity = item.quantity - (item.returnedQuantity || 0);
+        const returnedShare = item.quantity > 0 ? (item.returnedQuantity || 0) / item.quantity : 0;
+
+        row.grossSales += item.taxableAmount || 0;
+        row.returns += (item.taxableAmount || 0) * returnedShare;
+        row.cost += (item.purchasePrice || 0) * soldQuantity;
+      });
+    });
+
+    const doctors = Object.values(rows).map(({ prescriptions, ...row }) => {
+      const netSales = row.grossSales - row.returns;
+      const margin = netSales - row.cost;
+
+      return {
+        ...row,
+        prescriptionCount: prescriptions.size,
+        grossSales: round(row.grossSales),
+        returns: round(row.returns),
+        netSales: round(netSales),
+        cost: round(row.cost),
+        margin: round(margin),
+        marginPercent: netSales > 0 ? round((margin / netSales) * 100) : 0,
+        invoiceValue: round(row.invoiceValue),
+        commission: round((netSales * row.commissionPercent) / 100)
+      };
+    }).sort((a, b) => b.netSales - a.netSales);
+
+    res.json({
+      doctors,
+      summary: {
+        totalDoctors: doctors.length,
+        totalInvoices: doctors.reduce((sum, row) => sum + row.invoiceCount, 0),
+        totalPrescriptions: doctors.reduce((sum, row) => sum + row.prescriptionCount, 0),
+        totalNetSales: round(doctors.reduce((sum, row) => sum + row.netSales, 0)),
+        totalMargin: round(doctors.reduce((sum, row) => sum + row.margin, 0)),
+        totalCommission: round(doctors.reduce((sum, row) => sum + row.commission, 0))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/doctors/:id
+// @desc    Get single doctor
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const doctor = await Doctor.findOne(addOrgFilter(req, { _id: req.params.id }));
+
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    res.json(doctor);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/doctors
+// @desc    Create doctor
+// @access  Private (requires permission)
+router.post('/', requirePermission('canManageCustomers'), async (req, res) => {
+  try {
+    const doctor = await Doctor.create({
+      ...req.body,
+      organizationId: req.organizationId,
+      userId: req.user._id
+    });
+    res.status(201).json(doctor);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   PUT /api/doctors/:id
+// @desc    Update doctor
+// @access  Private (requires permission)
+router.put('/:id', requirePermission('canManageCustomers'), async (req, res) => {
+  try {
+    const doctor = await Doctor.findOneAndUpdate(
+      addOrgFilter(req, { _id: req.params.id }),
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    res.json(doctor);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/doctors/:id
+// @desc    Delete doctor (soft delete - invoices keep the link)
+// @access  Private (requires permission)
+router.delete('/:id', requirePermission('canManageCustomers'), async (req, res) => {
+  try {
+    const doctor = await Doctor.findOneAndUpdate(
+      addOrgFilter(req, { _id: req.params.id }),
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    res.json({ message: 'Doctor deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,272 @@
+import express from 'express';
+import Invoice from '../models/Invoice.js';
+import Customer from '../models/Customer.js';
+import ShopSettings from '../models/ShopSettings.js';
+import { protect } from '../middleware/auth.js';
+import { tenantIsolation, addOrgFilter } from '../middleware/tenantIsolation.js';
+import { requirePermission } from '../middleware/requireSuperAdmin.js';
+import {
+  E_INVOICE_SERIES,
+  isValidIrpDocumentNumber,
+  IRN_CANCEL_WINDOW_HOURS,
+  IRN_CANCEL_REASONS,
+  validateEInvoice,
+  generateEInvoicePayload,
+  canCancelIRN,
+  decodeSignedQRCode
+} from '../utils/eInvoiceGenerator.js';
+import { getIrpClient } from '../utils/irpClient.js';
+import { resolveNumberingConfig, previewNextNumber } from '../utils/documentNumbering.js';
+
+const router = express.Router();
+
+// A GENERATING claim older than this is from a request that never finished and can be taken over
+const IRN_CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Apply authentication and tenant isolation to all routes
+router.use(protect);
+router.use(tenantIsolation);
+
+// Load invoice with the data needed for the INV-01 payload
+const loadEInvoiceData = async (req) => {
+  const invoice = await Invoice.findOne(addOrgFilter(req, { _id: req.params.invoiceId }));
+  if (!invoice) {
+    return { invoice: null };
+  }
+
+  const shopSettings = await ShopSettings.findOne(addOrgFilter(req));
+  const customer = invoice.customer
+    ? await Customer.findOne(addOrgFilter(req, { _id: invoice.customer }))
+    : null;
+
+  return { invoice, shopSettings, customer };
+};
+
+// Invoice numbering the next invoice would get, and whether the IRP accepts it
+const getNumberingSetup = async (req) => {
+  const organizationId = req.organizationId || req.user.organizationId;
+  const config = await resolveNumberingConfig(organizationId, 'invoice');
+  const nextNumber = await previewNextNumber(organizationId, 'invoice', config);
+  const ready = isValidIrpDocumentNumber(nextNumber);
+
+  return {
+    ready,
+    seriesId: config.seriesId,
+    nextNumber,
+    ...(!ready && {
+      message: 'Invoice numbers must be at most 16 characters (letters, digits, / and -) for e-invoicing. ' +
+        'Create a default invoice numbering series (POST /api/numbering-series) such as the suggested one.',
+      suggestedSeries: { documentType: 'invoice', ...E_INVOICE_SERIES, isDefault: true }
+    })
+  };
+};
+
+// @route   GET /api/e-invoices/setup
+// @desc    E-invoicing setup check - the default invoice numbering must give IRP-compatible numbers
+// @access  Private
+router.get('/setup', async (req, res) => {
+  try {
+    res.json({ numbering: await getNumberingSetup(req) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/e-invoices/:invoiceId/payload
+// @desc    Preview the e-invoice JSON (with validation errors) before reporting to IRP
+// @access  Private
+router.get('/:invoiceId/payload', async (req, res) => {
+  try {
+    const { invoice, shopSettings, customer } = await loadEInvoiceData(req);
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    const errors = validateEInvoice(invoice, shopSettings, customer);
+    if (errors.length > 0) {
+      const numbering = isValidIrpDocumentNumber(invoice.invoiceNumber) ? undefined : await getNumberingSetup(req);
+      return res.status(400).json({ message: 'Invoice is not ready for e-invoicing', errors, numbering });
+    }
+
+    res.json(generateEInvoicePayload(invoice, shopSettings, customer));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/e-invoices/:invoiceId/generate
+// @desc    Report invoice to IRP and store IRN, Ack number and signed QR
+// @access  Private
+router.post('/:invoiceId/generate', requirePermission('canCreateInvoice'), async (req, res) => {
+  try {
+    const { invoice, shopSettings, customer } = await loadEInvoiceData(req);
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (invoice.irnStatus === 'GENERATED') {
+      return res.status(400).json({ message: `IRN already generated for ${invoice.invoiceNumber}` });
+    }
+
+    // The IRP never accepts a document number again once its IRN is cancelled
+    if (invoice.irnStatus === 'CANCELLED') {
+      return res.status(400).json({
+        message: `The IRN of ${invoice.invoiceNumber} was cancelled and its number cannot be reported again. ` +
+          'Bill the sale on a new invoice (or issue a credit note) and generate the IRN for that.'
+      });
+    }
+
+    const errors = validateEInvoice(invoice, shopSettings, customer);
+    if (errors.length > 0) {
+      const numbering = isValidIrpDocumentNumber(invoice.invoiceNumber) ? undefined : await getNumberingSetup(req);
+      return res.status(400).json({ message: 'Invoice is not ready for e-invoicing', errors, numbering });
+    }
+
+    const payload = generateEInvoicePayload(invoice, shopSettings, customer);
+
+    // Claim the invoice first so two requests cannot report it to the IRP twice
+    const claimed = await Invoice.findOneAndUpdate(
+      addOrgFilter(req, {
+        _id: invoice._id,
+        $or: [
+          { irnStatus: null },
+          { irnStatus: 'GENERATING', irnClaimedAt: { $lt: new Date(Date.now() - IRN_CLAIM_TIMEOUT_MS) } }
+        ]
+      }),
+      { irnStatus: 'GENERATING', irnClaimedAt: new Date() },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(409).json({ message: `IRN generation for ${invoice.invoiceNumber} is already in progress` });
+    }
+
+    const irpClient = getIrpClient();
+    let result;
+    try {
+      result = await irpClient.generateIRN(payload);
+    } catch (error) {
+      // Release the claim so the invoice can be corrected and reported again
+      await Invoice.updateOne(
+        { _id: claimed._id, irnStatus: 'GENERATING' },
+        { $unset: { irnStatus: 1, irnClaimedAt: 1 } }
+      );
+      throw error;
+    }
+
+    claimed.irn = result.irn;
+    claimed.irnStatus = 'GENERATED';
+    claimed.irnProvider = irpClient.name;
+    claimed.ackNumber = result.ackNumber;
+    claimed.ackDate = result.ackDate;
+    claimed.signedInvoice = result.signedInvoice;
+    claimed.signedQRCode = result.signedQRCode;
+    claimed.irnCancelledAt = undefined;
+    claimed.irnCancelReason = undefined;
+    claimed.irnCancelRemark = undefined;
+    claimed.irnClaimedAt = undefined;
+
+    await claimed.save();
+
+    res.json({
+      invoiceNumber: claimed.invoiceNumber,
+      irn: claimed.irn,
+      ackNumber: claimed.ackNumber,
+      ackDate: claimed.ackDate,
+      signedQRCode: claimed.signedQRCode
+    });
+  } catch (error) {
+    console.error('IRN generation error:', error);
+    res.status(error.statusCode || 500).json({ message: error.message, irpCode: error.irpCode });
+  }
+});
+
+// @route   POST /api/e-invoices/:invoiceId/cancel
+// @desc    Cancel IRN on IRP (allowed within 24 hours of generation)
+// @access  Private
+router.post('/:invoiceId/cancel', requirePermission('canDeleteInvoice'), async (req, res) => {
+  try {
+    const { reasonCode, remark } = req.body;
+
+    const invoice = await Invoice.findOne(addOrgFilter(req, { _id: req.params.invoiceId }));
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (invoice.irnStatus !== 'GENERATED') {
+      return res.status(400).json({ message: 'Invoice has no active IRN' });
+    }
+
+    if (!IRN_CANCEL_REASONS[reasonCode]) {
+      return res.status(400).json({ message: 'Reason code must be 1 (duplicate), 2 (data entry mistake), 3 (order cancelled) or 4 (others)' });
+    }
+
+    if (!remark || !remark.trim()) {
+      return res.status(400).json({ message: 'Cancellation remark is required' });
+    }
+
+    if (!canCancelIRN(invoice.ackDate)) {
+      return res.status(400).json({
+        message: `IRN can only be cancelled within ${IRN_CANCEL_WINDOW_HOURS} hours of generation. Issue a credit note instead.`
+      });
+    }
+
+    const irpClient = getIrpClient(invoice.irnProvider || undefined);
+    const result = await irpClient.cancelIRN({
+      irn: invoice.irn,
+      reasonCode: String(reasonCode),
+      remark: remark.trim().substring(0, 100)
+    });
+
+    invoice.irnStatus = 'CANCELLED';
+    invoice.irnCancelledAt = result.cancelDate || new Date();
+    invoice.irnCancelReason = String(reasonCode);
+    invoice.irnCancelRemark = remark.trim();
+
+    await invoice.save();
+
+    res.json({
+      message: 'IRN cancelled',
+      irn: invoice.irn,
+      irnCancelledAt: invoice.irnCancelledAt
+    });
+  } catch (error) {
+    console.error('IRN cancellation error:', error);
+    res.status(error.statusCode || 500).json({ message: error.message, irpCode: error.irpCode });
+  }
+});
+
+// @route   GET /api/e-invoices/:invoiceId/qr
+// @desc    Get signed QR code (for printing) and its decoded contents
+// @access  Private
+router.get('/:invoiceId/qr', async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne(addOrgFilter(req, { _id: req.params.invoiceId }))
+      .select('invoiceNumber irn irnStatus ackNumber ackDate signedQRCode');
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (!invoice.signedQRCode) {
+      return res.status(404).json({ message: 'No IRN generated for this invoice' });
+    }
+
+    res.json({
+      invoiceNumber: invoice.invoiceNumber,
+      irn: invoice.irn,
+      irnStatus: invoice.irnStatus,
+      ackNumber: invoice.ackNumber,
+      ackDate: invoice.ackDate,
+      signedQRCode: invoice.signedQRCode,
+      qrData: decodeSignedQRCode(invoice.signedQRCode)
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
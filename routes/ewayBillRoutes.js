@@ -0,0 +1,270 @@
+import express from 'express';
+import Invoice from '../models/Invoice.js';
+import ShopSettings from '../models/ShopSettings.js';
+import { protect } from '../middleware/auth.js';
+import { tenantIsolation, addOrgFilter } from '../middleware/tenantIsolation.js';
+import { requirePermission } from '../middleware/requireSuperAdmin.js';
+import {
+  generateEWayBill,
+  generateBulkEWayBills,
+  generateEWayBillCSV,
+  generateBulkEWayBillCSV
+} from '../utils/ewayBillGenerator.js';
+
+const router = express.Router();
+
+// Apply authentication and tenant isolation to all routes
+router.use(protect);
+router.use(tenantIsolation);
+
+const VEHICLE_NUMBER_REGEX = /^[A-Z]{2}[0-9A-Z]{1,3}[0-9]{4}$/;
+
+const normalizeVehicleNumber = (vehicleNumber) => String(vehicleNumber || '').replace(/[\s-]/g, '').toUpperCase();
+
+// Invoices for bulk download - explicit ids, or every pending e-way bill invoice in a date range
+const findBulkInvoices = (req) => {
+  const { invoiceIds, startDate, endDate, includeGenerated } = req.query;
+  const filter = { eWayBillRequired: true, status: { $ne: 'CANCELLED' } };
+
+  if (invoiceIds) {
+    filter._id = { $in: invoiceIds.split(',').map(id => id.trim()).filter(Boolean) };
+  } else if (includeGenerated !== 'true') {
+    filter.eWayBillNumber = { $in: [null, ''] };
+  }
+
+  if (startDate && endDate) {
+    filter.invoiceDate = {
+      $gte: new Date(startDate),
+      $lte: new Date(endDate)
+    };
+  }
+
+  return Invoice.find(addOrgFilter(req, filter)).sort({ invoiceDate: 1 });
+};
+
+// @route   GET /api/eway-bills/pending
+// @desc    Get invoices that require an e-way bill but have none recorded yet
+// @access  Private
+router.get('/pending', async (req, res) => {
+  try {
+    const invoices = await Invoice.find(addOrgFilter(req, {
+      eWayBillRequired: true,
+      status: { $ne: 'CANCELLED' },
+      eWayBillNumber: { $in: [null, ''] }
+    }))
+      .select('invoiceNumber invoiceDate customerName customerGstin customerState grandTotal transporterName vehicleNumber distance')
+      .sort({ invoiceDate: 1 });
+
+    res.json(invoices);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/eway-bills/bulk?format=json|csv
+// @desc    Download e-way bill data for multiple invoices
+// @access  Private
+router.get('/bulk', async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ message: 'Format must be json or csv' });
+    }
+
+    const shopSettings = await ShopSettings.findOne(addOrgFilter(req));
+    if (!shopSettings || !shopSettings.gstin) {
+      return res.status(400).json({ message: 'Shop GSTIN is required to generate e-way bills' });
+    }
+
+    const invoices = await findBulkInvoices(req);
+    const result = generateBulkEWayBills(invoices, shopSettings);
+
+    if (format === 'csv') {
+      const readyBills = result.bills.filter(bill => bill.status === 'ready').map(bill => bill.ewayBill);
+      res.attachment(`eway-bills-${new Date().toISOString().split('T')[0]}.csv`);
+      return res.type('text/csv').send(generateBulkEWayBillCSV(readyBills));
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/eway-bills/:invoiceId?format=json|csv
+// @desc    Download e-way bill data for a single invoice
+// @access  Private
+router.get('/:invoiceId', async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ message: 'Format must be json or csv' });
+    }
+
+    const invoice = await Invoice.findOne(addOrgFilter(req, { _id: req.params.invoiceId }));
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (invoice.status === 'CANCELLED') {
+      return res.status(400).json({ message: 'Cannot generate e-way bill for a cancelled invoice' });
+    }
+
+    if (!invoice.eWayBillRequired) {
+      return res.status(400).json({ message: 'E-Way Bill not required for this invoice' });
+    }
+
+    const shopSettings = await ShopSettings.findOne(addOrgFilter(req));
+    if (!shopSettings || !shopSettings.gstin) {
+      return res.status(400).json({ message: 'Shop GSTIN is required to generate e-way bills' });
+    }
+
+    const ewayBill = generateEWayBill(invoice, shopSettings);
+
+    if (format === 'csv') {
+      res.attachment(`eway-bill-${invoice.invoiceNumber}.csv`);
+      return res.type('text/csv').send(generateEWayBillCSV(ewayBill));
+    }
+
+    res.json(ewayBill);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   PUT /api/eway-bills/:invoiceId
+// @desc    Record the e-way bill generated on the portal (EWB number, validity, transport details)
+// @access  Private
+router.put('/:invoiceId', requirePermission('canEditInvoice'), async (req, res) => {
+  try {
+    const {
+      eWayBillNumber,
+      eWayBillDate,
+      eWayBillValidUntil,
+      transporterId,
+      transporterName,
+      transportMode,
+      transportDocNumber,
+      transportDocDate,
+      vehicleNumber,
+      distance
+    } = req.body;
+
+    const invoice = await Invoice.findOne(addOrgFilter(req, { _id: req.params.invoiceId }));
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (invoice.status === 'CANCELLED') {
+      return res.status(400).json({ message: 'Cannot record e-way bill for a cancelled invoice' });
+    }
+
+    // EWB numbers are 12 digits
+    if (!eWayBillNumber || !/^\d{12}$/.test(String(eWayBillNumber).trim())) {
+      return res.status(400).json({ message: 'E-Way Bill number must be 12 digits' });
+    }
+
+    const duplicate = await Invoice.findOne(addOrgFilter(req, {
+      _id: { $ne: invoice._id },
+      eWayBillNumber: String(eWayBillNumber).trim()
+    })).select('invoiceNumber');
+    if (duplicate) {
+      return res.status(400).json({ message: `E-Way Bill number already recorded on ${duplicate.invoiceNumber}` });
+    }
+
+    if (vehicleNumber && !VEHICLE_NUMBER_REGEX.test(normalizeVehicleNumber(vehicleNumber))) {
+      return res.status(400).json({ message: 'Invalid vehicle number' });
+    }
+
+    invoice.eWayBillNumber = String(eWayBillNumber).trim();
+    invoice.eWayBillDate = eWayBillDate || new Date();
+    if (eWayBillValidUntil !== undefined) invoice.eWayBillValidUntil = eWayBillValidUntil;
+    if (transporterId !== undefined) invoice.transporterId = transporterId;
+    if (transporterName !== undefined) invoice.transporterName = transporterName;
+    if (transportMode !== undefined) invoice.transportMode = transportMode;
+    if (transportDocNumber !== undefined) invoice.transportDocNumber = transportDocNumber;
+    if (transportDocDate !== undefined) invoice.transportDocDate = transportDocDate;
+    if (vehicleNumber !== undefined) invoice.vehicleNumber = normalizeVehicleNumber(vehicleNumber);
+    if (distance !== undefined) invoice.distance = distance;
+
+    await invoice.save();
+
+    res.json(invoice);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/eway-bills/:invoiceId/vehicle
+// @desc    Record a Part-B (vehicle) update made on the portal
+// @access  Private
+router.post('/:invoiceId/vehicle', requirePermission('canEditInvoice'), async (req, res) => {
+  try {
+    const {
+      vehicleNumber,
+      fromPlace,
+      fromState,
+      reasonCode,
+      reasonRemark,
+      transportDocNumber,
+      transportDocDate,
+      validUntil
+    } = req.body;
+
+    const invoice = await Invoice.findOne(addOrgFilter(req, { _id: req.params.invoiceId }));
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (invoice.status === 'CANCELLED') {
+      return res.status(400).json({ message: 'Cannot update the vehicle of a cancelled invoice' });
+    }
+
+    if (!invoice.eWayBillNumber) {
+      return res.status(400).json({ message: 'Record the e-way bill number before updating the vehicle' });
+    }
+
+    const normalizedVehicle = normalizeVehicleNumber(vehicleNumber);
+    if (!VEHICLE_NUMBER_REGEX.test(normalizedVehicle)) {
+      return res.status(400).json({ message: 'Invalid vehicle number' });
+    }
+
+    if (!['1', '2', '3', '4'].includes(String(reasonCode))) {
+      return res.status(400).json({ message: 'Reason code must be 1 (break down), 2 (transhipment), 3 (others) or 4 (first time)' });
+    }
+
+    if (String(reasonCode) === '3' && !reasonRemark) {
+      return res.status(400).json({ message: 'Remark is required when reason is Others' });
+    }
+
+    invoice.eWayBillVehicleUpdates.push({
+      vehicleNumber: normalizedVehicle,
+      fromPlace,
+      fromState,
+      reasonCode: String(reasonCode),
+      reasonRemark,
+      transportDocNumber,
+      transportDocDate,
+      validUntil,
+      updatedBy: req.user._id
+    });
+
+    invoice.vehicleNumber = normalizedVehicle;
+    if (transportDocNumber !== undefined) invoice.transportDocNumber = transportDocNumber;
+    if (transportDocDate !== undefined) invoice.transportDocDate = transportDocDate;
+    if (validUntil) invoice.eWayBillValidUntil = validUntil;
+
+    await invoice.save();
+
+    res.json(invoice);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,304 @@
+import express from 'express';
+import HeldBill from '../models/HeldBill.js';
+import Product from '../models/Product.js';
+import Batch from '../models/Batch.js';
+import Customer from '../models/Customer.js';
+import { protect } from '../middleware/auth.js';
+import { tenantIsolation, addOrgFilter } from '../middleware/tenantIsolation.js';
+import { createInvoice } from '../utils/invoiceService.js';
+
+const router = express.Router();
+
+// Apply authentication and tenant isolation to all routes
+router.use(protect);
+router.use(tenantIsolation);
+
+const CUSTOMER_FIELDS = ['customerName', 'customerPhone', 'customerAddress', 'customerCity', 'customerState', 'customerGstin'];
+
+// Validate cart lines against this organization's products/batches (stock is NOT checked or touched)
+const buildHeldItems = async (req, items = []) => {
+  const heldItems = [];
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+
+    if (!item.product || item.product === '') {
+      return { error: `Please select a product for item #${i + 1}` };
+    }
+
+    if (!item.quantity || item.quantity <= 0) {
+      return { error: `Please enter a valid quantity for item #${i + 1}` };
+    }
+
+    const product = await Product.findOne(addOrgFilter(req, { _id: item.product })).select('name');
+    if (!product) {
+      return { error: `Product not found for item #${i + 1}. Please select a valid product.` };
+    }
+
+    let batch = null;
+    if (item.batch) {
+      batch = await Batch.findOne(addOrgFilter(req, { _id: item.batch, product: product._id })).select('batchNo');
+      if (!batch) {
+        return { error: `Batch not found for ${product.name}` };
+      }
+    }
+
+    heldItems.push({
+      product: product._id,
+      productName: product.name,
+      batch: batch ? batch._id : undefined,
+      batchNo: batch ? batch.batchNo : undefined,
+      quantity: item.quantity,
+      sellingPrice: item.sellingPrice,
+      discount: item.discount || 0,
+      gstRate: item.gstRate
+    });
+  }
+
+  return { heldItems };
+};
+
+// Split request body into held bill fields and pass-through invoice fields
+const splitHeldBillBody = (body) => {
+  const { items, customer, label, notes, ...rest } = body;
+  const customerData = {};
+  const invoiceData = {};
+
+  Object.keys(rest).forEach(key => {
+    if (CUSTOMER_FIELDS.includes(key)) {
+      customerData[key] = rest[key];
+    } else if (key !== 'organizationId' && key !== 'userId' && key !== 'status') {
+      invoiceData[key] = rest[key];
+    }
+  });
+
+  return { items, customer, label, notes, customerData, invoiceData };
+};
+
+// @route   GET /api/held-bills
+// @desc    Get all held bills of the organization (visible to every terminal)
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const heldBills = await HeldBill.find(addOrgFilter(req, { status: status || 'HELD' }))
+      .populate('userId', 'name')
+      .populate('customer', 'name phone')
+      .sort({ createdAt: -1 });
+
+    res.json(heldBills);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/held-bills/:id
+// @desc    Get single held bill
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const heldBill = await HeldBill.findOne(addOrgFilter(req, { _id: req.params.id }))
+      .populate('customer')
+      .populate('items.product')
+      .populate('items.batch');
+
+    if (!heldBill) {
+      return res.status(404).json({ message: 'Held bill not found' });
+    }
+
+    res.json(heldBill);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/held-bills
+// @desc    Park a half-built invoice
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    const { items, customer: customerId, label, notes, customerData, invoiceData } = splitHeldBillBody(req.body);
+
+    const { heldItems, error } = await buildHeldItems(req, items);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    let customer = null;
+    if (customerId) {
+      customer = await Customer.findOne(addOrgFilter(req, { _id: customerId }));
+      if (!customer) {
+        return res.status(404).json({ message: 'Customer not found' });
+      }
+    }
+
+    const heldBill = await HeldBill.create({
+      organizationId: req.organizationId || req.user.organizationId,
+      userId: req.user._id,
+      label: label || customer?.name || customerData.customerName,
+      customer: customer ? customer._id : undefined,
+      ...customerData,
+      customerName: customer ? customer.name : customerData.customerName,
+      items: heldItems,
+      invoiceData,
+      notes
+    });
+
+    res.status(201).json(heldBill);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   PUT /api/held-bills/:id
+// @desc    Update a held bill (cart changes from any terminal)
+// @access  Private
+router.put('/:id', async (req, res) => {
+  try {
+    const heldBill = await HeldBill.findOne(addOrgFilter(req, { _id: req.params.id }));
+
+    if (!heldBill) {
+      return res.status(404).json({ message: 'Held bill not found' });
+    }
+
+    if (heldBill.status !== 'HELD') {
+      return res.status(400).json({ message: `Held bill already finalized as ${heldBill.invoiceNumber}` });
+    }
+
+    const { items, customer: customerId, label, notes, customerData, invoiceData } = splitHeldBillBody(req.body);
+
+    if (items !== undefined) {
+      const { heldItems, error } = await buildHeldItems(req, items);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      heldBill.items = heldItems;
+    }
+
+    if ('customer' in req.body) {
+      if (customerId) {
+        const customer = await Customer.findOne(addOrgFilter(req, { _id: customerId }));
+        if (!customer) {
+          return res.status(404).json({ message: 'Customer not found' });
+        }
+        heldBill.customer = customer._id;
+        heldBill.customerName = customer.name;
+      } else {
+        heldBill.customer = undefined;
+      }
+    }
+
+    Object.assign(heldBill, customerData);
+    if (label !== undefined) heldBill.label = label;
+    if (notes !== undefined) heldBill.notes = notes;
+    heldBill.invoiceData = { ...(heldBill.invoiceData || {}), ...invoiceData };
+    heldBill.markModified('invoiceData');
+
+    await heldBill.save();
+
+    res.json(heldBill);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/held-bills/:id/resume
+// @desc    Pick up a held bill on this terminal
+// @access  Private
+router.post('/:id/resume', async (req, res) => {
+  try {
+    const heldBill = await HeldBill.findOneAndUpdate(
+      addOrgFilter(req, { _id: req.params.id, status: 'HELD' }),
+      { resumedBy: req.user._id, resumedAt: new Date() },
+      { new: true }
+    )
+      .populate('customer')
+      .populate('items.product')
+      .populate('items.batch');
+
+    if (!heldBill) {
+      return res.status(404).json({ message: 'Held bill not found or already finalized' });
+    }
+
+    res.json(heldBill);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/held-bills/:id/finalize
+// @desc    Turn a held bill into an invoice through the normal invoice creation flow
+// @access  Private
+router.post('/:id/finalize', async (req, res) => {
+  try {
+    // Claim the bill first so two terminals cannot finalize it twice
+    const heldBill = await HeldBill.findOneAndUpdate(
+      addOrgFilter(req, { _id: req.params.id, status: 'HELD' }),
+      { status: 'FINALIZED', finalizedAt: new Date() },
+      { new: true }
+    );
+
+    if (!heldBill) {
+      return res.status(404).json({ message: 'Held bill not found or already finalized' });
+    }
+
+    const { items, customer, ...overrides } = req.body;
+
+    let invoice;
+    try {
+      invoice = await createInvoice(req, {
+        customerName: heldBill.customerName,
+        customerPhone: heldBill.customerPhone,
+        customerAddress: heldBill.customerAddress,
+        customerCity: heldBill.customerCity,
+        customerState: heldBill.customerState,
+        customerGstin: heldBill.customerGstin,
+        notes: heldBill.notes,
+        ...(heldBill.invoiceData || {}),
+        ...overrides,
+        customer: customer !== undefined ? customer : heldBill.customer,
+        items: items || heldBill.items.map(item => ({
+          product: item.product,
+          batch: item.batch,
+          quantity: item.quantity,
+          sellingPrice: item.sellingPrice,
+          discount: item.discount,
+          gstRate: item.gstRate
+        }))
+      });
+    } catch (error) {
+      // Release the bill so it can be corrected and finalized again
+      await HeldBill.updateOne({ _id: heldBill._id }, { status: 'HELD', $unset: { finalizedAt: 1 } });
+      throw error;
+    }
+
+    heldBill.invoice = invoice._id;
+    heldBill.invoiceNumber = invoice.invoiceNumber;
+    await heldBill.save();
+
+    res.status(201).json(invoice);
+  } catch (error) {
+    console.error('Held bill finalize error:', error);
+    res.status(error.statusCode || 500).json({ message: error.message, ...error.details });
+  }
+});
+
+// @route   DELETE /api/held-bills/:id
+// @desc    Discard a held bill
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const heldBill = await HeldBill.findOneAndDelete(addOrgFilter(req, { _id: req.params.id, status: 'HELD' }));
+
+    if (!heldBill) {
+      return res.status(404).json({ message: 'Held bill not found or already finalized' });
+    }
+
+    res.json({ message: 'Held bill discarded' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
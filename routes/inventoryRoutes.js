@@ -3,12 +3,14 @@ import Batch from '../models/Batch.js';
 import Product from '../models/Product.js';
 import { protect } from '../middleware/auth.js';
 import { tenantIsolation, addOrgFilter } from '../middleware/tenantIsolation.js';
+import { requirePermission } from '../middleware/requireSuperAdmin.js';
 import {
   getAvailableBatches,
   getNearExpiryBatches,
   getExpiredBatches,
   getLowStockProducts
 } from '../utils/inventoryManager.js';
+import { normalizeBarcode, validateManufacturerBarcodes, generateLabelCode } from '../utils/barcode.js';
 
 const router = express.Router();
 
@@ -24,7 +26,7 @@ router.get('/batches', async (req, res) => {
       organizationId: req.organizationId,
       isActive: true
     })
-      .select('batchNo expiryDate quantity mrp sellingPrice purchasePrice gstRate product supplier') // Only needed fields
+      .select('batchNo expiryDate quantity mrp sellingPrice purchasePrice gstRate product supplier barcode labelCode') // Only needed fields
       .populate('product', 'name genericName unit') // Only needed product fields
       .populate('supplier', 'name')
       .lean() // Convert to plain JS objects (faster, less memory)
@@ -62,6 +64,80 @@ router.get('/batches/product/:productId', async (req, res) => {
   }
 });
 
+// Label data for printing batch labels
+const toBatchLabel = (batch) => ({
+  batchId: batch._id,
+  labelCode: batch.labelCode,
+  productName: batch.product?.name,
+  batchNo: batch.batchNo,
+  expiryDate: batch.expiryDate,
+  mrp: batch.mrp,
+  sellingPrice: batch.sellingPrice,
+  quantity: batch.quantity
+});
+
+// @route   POST /api/inventory/batches/label-codes
+// @desc    Assign in-store label codes to stocked batches that have no barcode to scan
+// @access  Private (requires permission)
+router.post('/batches/label-codes', requirePermission('canManageInventory'), async (req, res) => {
+  try {
+    const { productId } = req.body;
+
+    const filter = {
+      organizationId: req.organizationId,
+      isActive: true,
+      quantity: { $gt: 0 },
+      labelCode: { $in: [null, ''] },
+      barcode: { $in: [null, ''] }
+    };
+    if (productId) filter.product = productId;
+
+    const batches = await Batch.find(filter).populate('product', 'name barcodes');
+
+    const labelled = [];
+    for (const batch of batches) {
+      // Products with a manufacturer barcode are scanned by that code
+      if (batch.product?.barcodes?.length > 0) continue;
+
+      batch.labelCode = await generateLabelCode(req.organizationId);
+      await batch.save();
+      labelled.push(toBatchLabel(batch));
+    }
+
+    res.json({
+      message: `Label codes assigned to ${labelled.length} batch(es)`,
+      labels: labelled
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/inventory/batches/:id/label-code
+// @desc    Assign an in-store label code to a batch (returns existing code if already assigned)
+// @access  Private (requires permission)
+router.post('/batches/:id/label-code', requirePermission('canManageInventory'), async (req, res) => {
+  try {
+    const batch = await Batch.findOne({
+      _id: req.params.id,
+      organizationId: req.organizationId
+    }).populate('product', 'name');
+
+    if (!batch) {
+      return res.status(404).json({ message: 'Batch not found' });
+    }
+
+    if (!batch.labelCode) {
+      batch.labelCode = await generateLabelCode(req.organizationId);
+      await batch.save();
+    }
+
+    res.json(toBatchLabel(batch));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // @route   GET /api/inventory/batches/:id
 // @desc    Get single batch details
 // @access  Private
@@ -254,11 +330,18 @@ router.put('/batches/:id', async (req, res) => {
       return res.status(404).json({ message: 'Batch not found' });
     }
 
+    if (req.body.barcode) {
+      const barcodeError = validateManufacturerBarcodes([normalizeBarcode(req.body.barcode)]);
+      if (barcodeError) {
+        return res.status(400).json({ message: barcodeError });
+      }
+    }
+
     // Only allow updating certain fields
-    const allowedUpdates = ['sellingPrice', 'mrp', 'rack'];
+    const allowedUpdates = ['sellingPrice', 'mrp', 'rack', 'barcode'];
     allowedUpdates.forEach(field => {
       if (req.body[field] !== undefined) {
-        batch[field] = req.body[field];
+        batch[field] = field === 'barcode' ? normalizeBarcode(req.body[field]) : req.body[field];
       }
     });
 
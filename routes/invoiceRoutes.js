@@ -4,11 +4,24 @@ import Product from '../models/Product.js';
 import Customer from '../models/Customer.js';
 import ShopSettings from '../models/ShopSettings.js';
 import Batch from '../models/Batch.js';
+import Doctor from '../models/Doctor.js';
+import Attachment from '../models/Attachment.js';
+import InvoiceShareLink from '../models/InvoiceShareLink.js';
+import CreditOverride from '../models/CreditOverride.js';
 import { protect } from '../middleware/auth.js';
 import { tenantIsolation, addOrgFilter } from '../middleware/tenantIsolation.js';
+import { requirePermission } from '../middleware/requireSuperAdmin.js';
 import { calculateItemGST, calculateTotals, determineTaxType } from '../utils/gstCalculations.js';
 import { getBatchesForSale, deductBatchStock, addBatchStock, calculateCOGS } from '../utils/inventoryManager.js';
-import { postSalesToLedger } from '../utils/ledgerHelper.js';
+import { postSalesToLedger, postReversalToLedger, getCustomerPaymentAccount } from '../utils/ledgerHelper.js';
+import { renderInvoiceHTML, PRINT_FORMATS } from '../utils/printTemplates.js';
+import { createInvoice, invoiceError, processInvoiceCharges, resolveCreditOverride, PRESCRIPTION_SCHEDULES, PRESCRIPTION_FIELDS } from '../utils/invoiceService.js';
+import { checkCustomerCredit } from '../utils/creditControl.js';
+import { importInvoices, parseInvoiceCSV } from '../utils/invoiceImport.js';
+import { signInvoiceLinkToken, getInvoiceLinkUrl, DEFAULT_LINK_DAYS, MAX_LINK_DAYS } from '../utils/invoiceLinks.js';
+import { reverseInvoiceLoyalty } from '../utils/loyalty.js';
+import { notifyEvent } from '../utils/notifications.js';
+import { recordStoreCreditTransaction, validateStoreCreditSpend, reverseInvoiceStoreCredit } from '../utils/storeCredit.js';
 import Ledger from '../models/Ledger.js';
 
 const router = express.Router();
@@ -22,7 +35,7 @@ router.use(tenantIsolation);
 // @access  Private
 router.get('/', async (req, res) => {
   try {
-    const { startDate, endDate, paymentStatus, customer } = req.query;
+    const { startDate, endDate, paymentStatus, customer, status } = req.query;
     let query = addOrgFilter(req); // Use organizationId filter
 
     if (startDate && endDate) {
@@ -40,6 +53,10 @@ router.get('/', async (req, res) => {
       query.customer = customer;
     }
 
+    if (status) {
+      query.status = status;
+    }
+
     const invoices = await Invoice.find(query)
       .populate('customer', 'name phone')
       .sort({ createdAt: -1 });
@@ -62,7 +79,8 @@ router.get('/stats', async (req, res) => {
     const firstDayOfMonth = new Date(today.getFullYear(), today.getMonth(), 1);
     firstDayOfMonth.setHours(0, 0, 0, 0);
 
-    const orgFilter = addOrgFilter(req); // Use organizationId filter
+    // Cancelled invoices keep their number but do not count towards sales
+    const orgFilter = addOrgFilter(req, { status: { $ne: 'CANCELLED' } }); // Use organizationId filter
 
     const [todaySales, totalOutstanding, invoiceCount, monthlyRevenue] = await Promise.all([
       Invoice.aggregate([
@@ -142,275 +160,163 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// @route   POST /api/invoices
-// @desc    Create invoice with FIFO batch selection
+// @route   GET /api/invoices/:id/print
+// @desc    Render invoice as printable HTML (format=a4|thermal80|thermal58)
 // @access  Private
-router.post('/', async (req, res) => {
+router.get('/:id/print', async (req, res) => {
   try {
-    const { items, customer: customerId, ...invoiceData } = req.body;
-
-    // Get shop settings for tax type determination
-    const shopSettings = await ShopSettings.findOne(addOrgFilter(req));
-
-    // Determine tax type based on customer state
-    let taxType = invoiceData.taxType || 'CGST_SGST';
-    let customerData = {
-      customerName: invoiceData.customerName,
-      customerPhone: invoiceData.customerPhone,
-      customerAddress: invoiceData.customerAddress,
-      customerCity: invoiceData.customerCity,
-      customerState: invoiceData.customerState,
-      customerGstin: invoiceData.customerGstin
-    };
+    const format = req.query.format || 'a4';
 
-    // Get customer details if provided
-    let customer = null;
-    if (customerId) {
-      customer = await Customer.findOne(addOrgFilter(req, { _id: customerId }));
-
-      if (customer) {
-        customerData = {
-          customer: customer._id,
-          customerName: customer.name,
-          customerPhone: customer.phone,
-          customerAddress: customer.address,
-          customerCity: customer.city,
-          customerState: customer.state,
-          customerGstin: customer.gstin
-        };
-
-        // Determine tax type based on customer state
-        if (shopSettings && customer.state) {
-          taxType = determineTaxType(shopSettings.state, customer.state);
-        }
-      }
-    }
-
-    // Validate items array
-    if (!items || items.length === 0) {
-      return res.status(400).json({ message: 'Please add at least one item to the invoice' });
+    if (!PRINT_FORMATS[format]) {
+      return res.status(400).json({
+        message: `Invalid print format. Use one of: ${Object.keys(PRINT_FORMATS).join(', ')}`
+      });
     }
 
-    // Process items with FIFO batch selection
-    const processedItems = [];
-
-    for (let i = 0; i < items.length; i++) {
-      const item = items[i];
-
-      // Validate product is selected
-      if (!item.product || item.product === '') {
-        return res.status(400).json({ message: `Please select a product for item #${i + 1}` });
-      }
+    const invoice = await Invoice.findOne(addOrgFilter(req, { _id: req.params.id }));
 
-      // Validate quantity
-      if (!item.quantity || item.quantity <= 0) {
-        return res.status(400).json({ message: `Please enter a valid quantity for item #${i + 1}` });
-      }
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
 
-      // Validate product exists
-      const product = await Product.findOne(addOrgFilter(req, { _id: item.product }));
+    const shopSettings = await ShopSettings.findOne({ organizationId: invoice.organizationId });
 
-      if (!product) {
-        return res.status(400).json({ message: `Product not found for item #${i + 1}. Please select a valid product.` });
-      }
+    res.type('html').send(renderInvoiceHTML(invoice, shopSettings, format));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
 
-      // Check total available stock
-      if (product.stockQuantity < item.quantity) {
-        throw new Error(`Insufficient stock for ${product.name}. Available: ${product.stockQuantity}, Requested: ${item.quantity}`);
-      }
+// @route   POST /api/invoices/:id/share-links
+// @desc    Create an expiring public link to the invoice (for WhatsApp / SMS)
+// @access  Private
+router.post('/:id/share-links', async (req, res) => {
+  try {
+    const expiresInDays = Number(req.body.expiresInDays) || DEFAULT_LINK_DAYS;
 
-      // FIFO batch selection - two modes:
-      // Mode 1: User selects specific batch (item.batch provided)
-      // Mode 2: Automatic FIFO selection (item.batch not provided)
+    if (expiresInDays <= 0 || expiresInDays > MAX_LINK_DAYS) {
+      return res.status(400).json({ message: `Link validity must be between 1 and ${MAX_LINK_DAYS} days` });
+    }
 
-      if (item.batch) {
-        // Manual batch selection
-        const batch = await Batch.findOne(addOrgFilter(req, {
-          _id: item.batch,
-          product: product._id,
-          isActive: true
-        }));
+    const invoice = await Invoice.findOne(addOrgFilter(req, { _id: req.params.id })).select('invoiceNumber');
 
-        if (!batch) {
-          throw new Error(`Batch not found or inactive for ${product.name}`);
-        }
-
-        if (batch.quantity < item.quantity) {
-          throw new Error(`Insufficient stock in selected batch for ${product.name}`);
-        }
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
 
-        // Calculate GST for this item
-        // Use item.gstRate if user provided it (manual override), otherwise use batch.gstRate
-        const itemGstRate = (item.gstRate !== undefined && item.gstRate !== null) ? item.gstRate : batch.gstRate;
-        const itemWithGST = calculateItemGST({
-          quantity: item.quantity,
-          sellingPrice: item.sellingPrice || batch.sellingPrice,
-          discount: item.discount || 0,
-          gstRate: itemGstRate
-        }, taxType, 'invoice');
+    const link = await InvoiceShareLink.create({
+      organizationId: req.organizationId || req.user.organizationId,
+      userId: req.user._id,
+      invoice: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    });
 
-        // Deduct from batch
-        await deductBatchStock(batch._id, item.quantity);
+    const token = signInvoiceLinkToken(link);
 
-        processedItems.push({
-          product: product._id,
-          productName: product.name,
-          batch: batch._id,
-          batchNo: batch.batchNo,
-          expiryDate: batch.expiryDate,
-          hsnCode: product.hsnCode,
-          quantity: item.quantity,
-          unit: product.unit,
-          mrp: batch.mrp,
-          purchasePrice: batch.purchasePrice, // For COGS
-          sellingPrice: item.sellingPrice || batch.sellingPrice,
-          ...itemWithGST
-        });
+    res.status(201).json({
+      link,
+      url: getInvoiceLinkUrl(req, token),
+      printUrl: `${getInvoiceLinkUrl(req, token)}/print`
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
 
-      } else {
-        // Automatic FIFO selection
-        const batchesForSale = await getBatchesForSale(product._id, req.user._id, req.user.organizationId, item.quantity);
+// @route   GET /api/invoices/:id/share-links
+// @desc    Get the invoice's public links (URLs of active links included)
+// @access  Private
+router.get('/:id/share-links', async (req, res) => {
+  try {
+    const links = await InvoiceShareLink.find(addOrgFilter(req, { invoice: req.params.id }))
+      .populate('userId', 'name')
+      .populate('revokedBy', 'name')
+      .sort({ createdAt: -1 });
 
-        for (const batchSale of batchesForSale) {
-          // Calculate GST for this portion
-          // Use item.gstRate if user provided it (manual override), otherwise use batch.gstRate
-          const batchItemGstRate = (item.gstRate !== undefined && item.gstRate !== null) ? item.gstRate : batchSale.gstRate;
-          const itemWithGST = calculateItemGST({
-            quantity: batchSale.quantity,
-            sellingPrice: item.sellingPrice || batchSale.sellingPrice,
-            discount: item.discount || 0,
-            gstRate: batchItemGstRate
-          }, taxType, 'invoice');
+    const now = new Date();
+    res.json(links.map(link => {
+      const active = !link.revokedAt && link.expiresAt > now;
+      return {
+        ...link.toObject(),
+        active,
+        url: active ? getInvoiceLinkUrl(req, signInvoiceLinkToken(link)) : undefined
+      };
+    }));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
 
-          // Deduct from batch
-          await deductBatchStock(batchSale.batch, batchSale.quantity);
+// @route   DELETE /api/invoices/:id/share-links/:linkId
+// @desc    Revoke a public link
+// @access  Private
+router.delete('/:id/share-links/:linkId', async (req, res) => {
+  try {
+    const link = await InvoiceShareLink.findOneAndUpdate(
+      addOrgFilter(req, { _id: req.params.linkId, invoice: req.params.id, revokedAt: null }),
+      { revokedAt: new Date(), revokedBy: req.user._id },
+      { new: true }
+    );
 
-          processedItems.push({
-            product: product._id,
-            productName: product.name,
-            batch: batchSale.batch,
-            batchNo: batchSale.batchNo,
-            expiryDate: batchSale.expiryDate,
-            hsnCode: product.hsnCode,
-            quantity: batchSale.quantity,
-            unit: product.unit,
-            mrp: batchSale.mrp,
-            purchasePrice: batchSale.purchasePrice, // For COGS
-            sellingPrice: item.sellingPrice || batchSale.sellingPrice,
-            ...itemWithGST
-          });
-        }
-      }
+    if (!link) {
+      return res.status(404).json({ message: 'Active share link not found' });
     }
 
-    // Calculate invoice totals
-    const totals = calculateTotals(processedItems, {}, invoiceData.discount || 0);
-
-    // Calculate COGS (Cost of Goods Sold)
-    const cogs = await calculateCOGS(processedItems);
-
-    // Calculate payment details
-    const paidAmount = invoiceData.paidAmount || 0;
-    const balanceAmount = totals.grandTotal - paidAmount;
-    const paymentStatus = balanceAmount <= 0 ? 'PAID' : (paidAmount > 0 ? 'PARTIAL' : 'UNPAID');
+    res.json({ message: 'Share link revoked', link });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
 
-    // Check if E-way bill is required (inter-state sales > 50000)
-    const eWayBillRequired = taxType === 'IGST' && totals.grandTotal > 50000;
+// @route   POST /api/invoices
+// @desc    Create invoice with FIFO batch selection
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    const invoice = await createInvoice(req, req.body);
 
-    // Create invoice
-    const invoice = await Invoice.create({
-      userId: req.user._id,
-      organizationId: req.organizationId || req.user.organizationId,
-      ...customerData,
-      items: processedItems,
-      ...totals,
-      taxType,
-      paymentStatus,
-      paymentMethod: invoiceData.paymentMethod || 'CASH',
-      paidAmount,
-      balanceAmount,
-      paymentDetails: invoiceData.paymentDetails,
-      notes: invoiceData.notes,
-      invoiceDate: invoiceData.invoiceDate || new Date(),
-      cogs,
-      // Prescription tracking
-      prescriptionRequired: invoiceData.prescriptionRequired || false,
-      prescriptionNumber: invoiceData.prescriptionNumber,
-      doctorName: invoiceData.doctorName,
-      prescriptionDate: invoiceData.prescriptionDate,
-      // E-way bill
-      eWayBillRequired,
-      eWayBillNumber: invoiceData.eWayBillNumber,
-      eWayBillDate: invoiceData.eWayBillDate,
-      transporterName: invoiceData.transporterName,
-      vehicleNumber: invoiceData.vehicleNumber,
-      distance: invoiceData.distance
-    });
+    res.status(201).json(invoice);
+  } catch (error) {
+    console.error('Invoice creation error:', error);
+    res.status(error.statusCode || 500).json({ message: error.message, ...error.details });
+  }
+});
 
-    // Update customer outstanding
-    if (customer && paymentStatus !== 'PAID') {
-      customer.outstandingBalance += balanceAmount;
-      await customer.save();
-    }
-
-    // Post to ledger (double-entry accounting)
-    const ledgerEntries = await postSalesToLedger(invoice, req.user._id, req.organizationId || req.user.organizationId);
-    invoice.ledgerEntries = ledgerEntries.map(entry => entry._id);
-
-    // If initial payment was made during invoice creation, create payment entry with ledger
-    if (paidAmount > 0) {
-      // Create ledger entries for the initial payment
-      const paymentLedgerEntries = await Ledger.createDoubleEntry(
-        req.organizationId || req.user.organizationId,
-        req.user._id,
-        [
-          {
-            account: invoiceData.paymentMethod === 'CASH' ? 'CASH' : 'BANK',
-            type: 'DEBIT',
-            amount: paidAmount,
-            description: `Initial payment for ${invoice.invoiceNumber} via ${invoiceData.paymentMethod || 'CASH'}`
-          },
-          {
-            account: 'ACCOUNTS_RECEIVABLE',
-            type: 'CREDIT',
-            amount: paidAmount,
-            party: customer ? 'CUSTOMER' : undefined,
-            partyId: customer ? customer._id : undefined,
-            partyModel: customer ? 'Customer' : undefined,
-            partyName: customer ? customer.name : invoiceData.customerName,
-            description: `Initial payment for ${invoice.invoiceNumber}`
-          }
-        ],
-        {
-          referenceType: 'PAYMENT',
-          referenceId: invoice._id,
-          referenceModel: 'Invoice',
-          referenceNumber: invoice.invoiceNumber
-        }
-      );
+// @route   POST /api/invoices/import?dryRun=true&creditOverrideReason=
+// @desc    Bulk import invoices - JSON { invoices: [...] } or CSV (text/csv body or { csv: '...' })
+//          Layouts are documented in utils/invoiceImport.js. creditOverrideReason (owners) lets bills
+//          over a customer's credit limit through with an approved override.
+// @access  Private (requires permission)
+router.post('/import', requirePermission('canCreateInvoice'), express.text({ type: 'text/csv', limit: '10mb' }), async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === true;
 
-      const initialPayment = {
-        amount: paidAmount,
-        paymentMethod: invoiceData.paymentMethod || 'CASH',
-        paymentDate: invoiceData.invoiceDate || new Date(),
-        referenceNumber: invoiceData.billNumber || '',
-        notes: 'Initial payment during invoice creation',
-        createdBy: req.user._id,
-        createdAt: new Date(),
-        ledgerEntries: paymentLedgerEntries.map(entry => entry._id)
-      };
+    let invoices;
+    if (typeof req.body === 'string') {
+      invoices = parseInvoiceCSV(req.body);
+    } else if (req.body.csv) {
+      invoices = parseInvoiceCSV(req.body.csv);
+    } else {
+      invoices = req.body.invoices;
+    }
 
-      invoice.payments.push(initialPayment);
+    if (!Array.isArray(invoices) || invoices.length === 0) {
+      return res.status(400).json({ message: 'Please upload the invoices to import' });
     }
 
-    await invoice.save();
+    const creditOverrideReason = req.query.creditOverrideReason
+      || (typeof req.body === 'string' ? undefined : req.body.creditOverrideReason);
 
-    res.status(201).json(invoice);
+    const report = await importInvoices(req, invoices, { dryRun, creditOverrideReason });
+
+    res.status(dryRun ? 200 : 201).json(report);
   } catch (error) {
-    console.error('Invoice creation error:', error);
-    res.status(500).json({ message: error.message });
+    console.error('Invoice import error:', error);
+    res.status(error.statusCode || 500).json({ message: error.message });
   }
 });
+
 // @route   PUT /api/invoices/:id
 // @desc    Edit invoice (items, quantities, prices, customer, payment, etc.)
 // @access  Private
@@ -430,6 +336,15 @@ router.put('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Invoice not found' });
     }
 
+    if (oldInvoice.status === 'CANCELLED') {
+      return res.status(400).json({ message: 'Cancelled invoices cannot be edited' });
+    }
+
+    // Reported e-invoices cannot be amended - the IRN has to be cancelled first
+    if (['GENERATING', 'GENERATED'].includes(oldInvoice.irnStatus)) {
+      return res.status(400).json({ message: 'Invoice has an active IRN and cannot be edited. Cancel the IRN first.' });
+    }
+
     // IMPORTANT: Allow editing even with partial returns, but track returned quantities
     // Fully returned invoices should still be editable for corrections
 
@@ -508,16 +423,19 @@ router.put('/:id', async (req, res) => {
     const inventoryChanges = [];
     const newItemsMap = new Map();
 
+    // Line key - a buy X get Y free line is kept apart from the billed line of the same batch
+    const lineKey = (product, batch, isFree) => `${product}_${batch}${isFree ? '_free' : ''}`;
+
     // Build map of new items by product+batch
     for (let i = 0; i < items.length; i++) {
       const item = items[i];
-      const key = item.batch ? `${item.product}_${item.batch}` : `${item.product}_manual_${i}`;
+      const key = item.batch ? lineKey(item.product, item.batch, item.isFree) : `${item.product}_manual_${i}`;
       newItemsMap.set(key, { ...item, index: i });
     }
 
     // Check which old items were removed or quantity decreased
     for (const oldItem of oldInvoice.items) {
-      const oldKey = oldItem.batch ? `${oldItem.product._id}_${oldItem.batch._id}` : null;
+      const oldKey = oldItem.batch ? lineKey(oldItem.product._id, oldItem.batch._id, oldItem.isFree) : null;
       const newItem = oldKey && newItemsMap.get(oldKey);
 
       if (!newItem) {
@@ -582,7 +500,7 @@ router.put('/:id', async (req, res) => {
 
     // Build map of old items
     for (const oldItem of oldInvoice.items) {
-      const key = oldItem.batch ? `${oldItem.product._id}_${oldItem.batch._id}` : null;
+      const key = oldItem.batch ? lineKey(oldItem.product._id, oldItem.batch._id, oldItem.isFree) : null;
       if (key) oldItemsMap.set(key, oldItem);
     }
 
@@ -600,7 +518,7 @@ router.put('/:id', async (req, res) => {
         return res.status(400).json({ message: `Invalid quantity for item #${i + 1} (${product.name})` });
       }
 
-      const itemKey = item.batch ? `${item.product}_${item.batch}` : null;
+      const itemKey = item.batch ? lineKey(item.product, item.batch, item.isFree) : null;
       const oldItem = itemKey && oldItemsMap.get(itemKey);
 
       if (!oldItem) {
@@ -638,6 +556,7 @@ router.put('/:id', async (req, res) => {
             batchNo: batch.batchNo,
             expiryDate: batch.expiryDate,
             hsnCode: product.hsnCode,
+            drugSchedule: product.drugSchedule,
             unit: product.unit,
             mrp: batch.mrp,
             purchasePrice: batch.purchasePrice,
@@ -679,6 +598,7 @@ router.put('/:id', async (req, res) => {
               batchNo: batchSale.batchNo,
               expiryDate: batchSale.expiryDate,
               hsnCode: product.hsnCode,
+              drugSchedule: product.drugSchedule,
               unit: product.unit,
               mrp: batchSale.mrp,
               purchasePrice: batchSale.purchasePrice,
@@ -720,13 +640,21 @@ router.put('/:id', async (req, res) => {
 
         // Calculate GST with new prices
         // Use item.gstRate if user provided it (manual override), otherwise use batch.gstRate
+        // A free line stays at zero price and keeps its promotion (value re-scaled to the new quantity)
         const editItemGstRate = (item.gstRate !== undefined && item.gstRate !== null) ? item.gstRate : batch.gstRate;
-        const itemWithGST = calculateItemGST({
-          quantity: item.quantity,
-          sellingPrice: item.sellingPrice !== undefined ? item.sellingPrice : oldItem.sellingPrice,
-          discount: item.discount !== undefined ? item.discount : oldItem.discount,
-          gstRate: editItemGstRate
-        }, taxType, 'invoice');
+        const itemWithGST = oldItem.isFree
+          ? {
+            ...calculateItemGST({ quantity: item.quantity, sellingPrice: 0, gstRate: editItemGstRate, isFree: true }, taxType, 'invoice'),
+            promotion: oldItem.promotion,
+            promotionName: oldItem.promotionName,
+            promotionDiscount: Math.round((oldItem.promotionDiscount / oldItem.quantity) * item.quantity * 100) / 100
+          }
+          : calculateItemGST({
+            quantity: item.quantity,
+            sellingPrice: item.sellingPrice !== undefined ? item.sellingPrice : oldItem.sellingPrice,
+            discount: item.discount !== undefined ? item.discount : oldItem.discount,
+            gstRate: editItemGstRate
+          }, taxType, 'invoice');
 
         processedItems.push({
           product: product._id,
@@ -735,31 +663,77 @@ router.put('/:id', async (req, res) => {
           batchNo: batch.batchNo,
           expiryDate: batch.expiryDate,
           hsnCode: product.hsnCode,
+          drugSchedule: product.drugSchedule,
           unit: product.unit,
           mrp: batch.mrp,
           purchasePrice: batch.purchasePrice,
-          sellingPrice: item.sellingPrice !== undefined ? item.sellingPrice : oldItem.sellingPrice,
+          sellingPrice: oldItem.isFree ? 0 : (item.sellingPrice !== undefined ? item.sellingPrice : oldItem.sellingPrice),
           returnedQuantity: returnedQty,
           ...itemWithGST
         });
       }
     }
 
-    // Preserve other charges if not provided (default to 0 if undefined in old invoice)
-    const deliveryCharges = invoiceData.deliveryCharges !== undefined ? invoiceData.deliveryCharges : (oldInvoice.deliveryCharges || 0);
-    const packagingCharges = invoiceData.packagingCharges !== undefined ? invoiceData.packagingCharges : (oldInvoice.packagingCharges || 0);
-    const otherCharges = invoiceData.otherCharges !== undefined ? invoiceData.otherCharges : (oldInvoice.otherCharges || 0);
+    // Prescribing doctor - linking one from the doctor master copies the name
+    let doctor = oldInvoice.doctor;
+    if (invoiceData.doctor !== undefined) {
+      doctor = invoiceData.doctor || undefined;
+      if (doctor) {
+        const doctorRecord = await Doctor.findOne(addOrgFilter(req, { _id: doctor }));
+        if (!doctorRecord) {
+          return res.status(400).json({ message: 'Doctor not found' });
+        }
+        invoiceData.doctorName = doctorRecord.name;
+      }
+    }
+
+    // Schedule H / H1 / X drugs can only be sold against a prescription
+    const prescription = {};
+    PRESCRIPTION_FIELDS.forEach(field => {
+      prescription[field] = invoiceData[field] !== undefined ? invoiceData[field] : oldInvoice[field];
+    });
+    const scheduledProducts = [...new Set(processedItems
+      .filter(item => PRESCRIPTION_SCHEDULES.includes(item.drugSchedule))
+      .map(item => item.productName))];
+    const missingPrescription = Object.keys(prescription).filter(field => !prescription[field]);
+
+    if (scheduledProducts.length > 0 && missingPrescription.length > 0) {
+      return res.status(400).json({
+        message: `Prescription details are required for scheduled drugs (${scheduledProducts.join(', ')}). Please enter: ${missingPrescription.join(', ')}`,
+        code: 'PRESCRIPTION_REQUIRED',
+        scheduledProducts,
+        missing: missingPrescription
+      });
+    }
+
+    // Preserve charges if not provided - re-taxed in case the tax type changed
+    const chargesInput = invoiceData.charges !== undefined
+      ? invoiceData.charges
+      : (oldInvoice.charges || []).map(charge => ({
+        type: charge.type,
+        description: charge.description,
+        sacCode: charge.sacCode,
+        amount: charge.taxableAmount,
+        gstRate: charge.gstRate
+      }));
     const discount = invoiceData.discount !== undefined ? invoiceData.discount : (oldInvoice.discount || 0);
 
-    // Validate charges
-    if (deliveryCharges < 0 || packagingCharges < 0 || otherCharges < 0 || discount < 0) {
-      return res.status(400).json({ message: 'Charges and discount cannot be negative' });
+    let charges;
+    try {
+      charges = processInvoiceCharges(chargesInput, taxType);
+    } catch (chargeError) {
+      return res.status(chargeError.statusCode || 400).json({ message: chargeError.message });
+    }
+
+    // Validate discount
+    if (discount < 0) {
+      return res.status(400).json({ message: 'Discount cannot be negative' });
     }
 
     // Calculate new totals
     const totals = calculateTotals(
       processedItems,
-      { deliveryCharges, packagingCharges, otherCharges },
+      { charges },
       discount
     );
 
@@ -772,6 +746,19 @@ router.put('/:id', async (req, res) => {
     const balanceAmount = totals.grandTotal - paidAmount;
     const paymentStatus = balanceAmount <= 0 ? 'PAID' : (paidAmount > 0 ? 'PARTIAL' : 'UNPAID');
 
+    const customerChanged = (oldInvoice.customer?._id?.toString() !== customer?._id?.toString());
+
+    // Credit control - extra credit from the edit goes through the same check as a new sale
+    // (the whole balance for a newly linked customer, the increase for the same customer)
+    const creditIncrease = customerChanged ? balanceAmount : balanceAmount - oldInvoice.balanceAmount;
+    let creditOverride = null;
+    if (customer && creditIncrease > 0.01) {
+      const creditCheck = await checkCustomerCredit(req.organizationId || req.user.organizationId, customer, creditIncrease);
+      if (!creditCheck.allowed) {
+        creditOverride = await resolveCreditOverride(req, customer, creditIncrease, creditCheck, invoiceData);
+      }
+    }
+
     // Recalculate COGS (Cost of Goods Sold)
     const cogs = await calculateCOGS(processedItems);
 
@@ -782,6 +769,25 @@ router.put('/:id', async (req, res) => {
     session = await Invoice.startSession();
     session.startTransaction();
 
+    // Claim the override so it cannot be used twice
+    if (creditOverride && creditOverride.isNew) {
+      Object.assign(creditOverride, { status: 'USED', usedAt: new Date() });
+    } else if (creditOverride) {
+      creditOverride = await CreditOverride.findOneAndUpdate(
+        { _id: creditOverride._id, status: 'APPROVED' },
+        { status: 'USED', usedAt: new Date() },
+        { new: true, session }
+      );
+      if (!creditOverride) {
+        throw invoiceError('Credit override has already been used', 403);
+      }
+    }
+    if (creditOverride) {
+      creditOverride.invoice = oldInvoice._id;
+      creditOverride.invoiceNumber = oldInvoice.invoiceNumber;
+      await creditOverride.save({ session });
+    }
+
     // Apply inventory changes within transaction
     for (const change of inventoryChanges) {
       if (change.type === 'REMOVE' || change.type === 'DECREASE') {
@@ -794,8 +800,6 @@ router.put('/:id', async (req, res) => {
     }
 
     // Update customer balance if customer exists
-    const customerChanged = (oldInvoice.customer?._id?.toString() !== customer?._id?.toString());
-
     if (customerChanged) {
       // Reverse old customer balance
       if (oldInvoice.customer) {
@@ -835,13 +839,15 @@ router.put('/:id', async (req, res) => {
       ...customerData,
       invoiceDate: invoiceData.invoiceDate !== undefined ? invoiceData.invoiceDate : oldInvoice.invoiceDate,
       dueDate: invoiceData.dueDate !== undefined ? invoiceData.dueDate : oldInvoice.dueDate,
-      deliveryCharges,
-      packagingCharges,
-      otherCharges,
+      charges,
+      additionalCharges: totals.additionalCharges,
       discount,
       paymentMethod: invoiceData.paymentMethod !== undefined ? invoiceData.paymentMethod : oldInvoice.paymentMethod,
       paymentTerms: invoiceData.paymentTerms !== undefined ? invoiceData.paymentTerms : oldInvoice.paymentTerms,
       notes: invoiceData.notes !== undefined ? invoiceData.notes : oldInvoice.notes,
+      ...prescription,
+      doctor,
+      prescriptionRequired: oldInvoice.prescriptionRequired || scheduledProducts.length > 0,
       items: processedItems,
       taxType,
       subtotal: totals.subtotal,
@@ -854,7 +860,8 @@ router.put('/:id', async (req, res) => {
       paymentStatus,
       paidAmount,
       balanceAmount,
-      cogs
+      cogs,
+      creditOverride: creditOverride ? creditOverride._id : oldInvoice.creditOverride
     });
 
     // Create new ledger entries
@@ -900,7 +907,7 @@ router.put('/:id', async (req, res) => {
       await session.abortTransaction();
     }
     console.error('Invoice edit error:', error);
-    res.status(500).json({ message: error.message });
+    res.status(error.statusCode || 500).json({ message: error.message, ...error.details });
   } finally {
     if (session) {
       session.endSession();
@@ -922,6 +929,10 @@ router.put('/:id/payment', async (req, res) => {
       return res.status(404).json({ message: 'Invoice not found' });
     }
 
+    if (invoice.status === 'CANCELLED') {
+      return res.status(400).json({ message: 'Cannot update payment on a cancelled invoice' });
+    }
+
     const oldBalance = invoice.balanceAmount;
     const newPaidAmount = invoice.paidAmount + (paidAmount || 0);
     const newBalance = invoice.grandTotal - newPaidAmount;
@@ -950,6 +961,42 @@ router.put('/:id/payment', async (req, res) => {
   }
 });
 
+// @route   PUT /api/invoices/:id/prescription-compliance
+// @desc    Mark the prescription as verified (only with a prescription attachment on file)
+// @access  Private
+router.put('/:id/prescription-compliance', async (req, res) => {
+  try {
+    const compliant = req.body.compliant !== false;
+
+    const invoice = await Invoice.findOne(addOrgFilter(req, { _id: req.params.id }));
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (compliant) {
+      const attachments = await Attachment.countDocuments(addOrgFilter(req, {
+        invoice: invoice._id,
+        category: 'PRESCRIPTION',
+        status: 'ACTIVE'
+      }));
+
+      if (attachments === 0) {
+        return res.status(400).json({ message: 'Please upload the prescription before marking the invoice as compliant' });
+      }
+    }
+
+    invoice.prescriptionCompliant = compliant;
+    invoice.prescriptionVerifiedBy = compliant ? req.user._id : undefined;
+    invoice.prescriptionVerifiedAt = compliant ? new Date() : undefined;
+    await invoice.save();
+
+    res.json(invoice);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // @route   DELETE /api/invoices/:id
 // @desc    Delete invoice (return inventory, reverse balance, delete ledger)
 // @access  Private
@@ -967,6 +1014,15 @@ router.delete('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Invoice not found' });
     }
 
+    // Cancelled invoices have already returned stock and reversed the ledger
+    if (invoice.status === 'CANCELLED') {
+      return res.status(400).json({ message: 'Cancelled invoices cannot be deleted' });
+    }
+
+    if (['GENERATING', 'GENERATED'].includes(invoice.irnStatus)) {
+      return res.status(400).json({ message: 'Invoice has an active IRN and cannot be deleted. Cancel the IRN first.' });
+    }
+
     // Check if invoice has any returns - prevent deletion if fully/partially returned
     const hasReturns = invoice.items.some(item => (item.returnedQuantity || 0) > 0);
     if (hasReturns || invoice.isReturned || invoice.partiallyReturned) {
@@ -995,6 +1051,10 @@ router.delete('/:id', async (req, res) => {
       }
     }
 
+    // Take back earned loyalty points and return redeemed ones
+    await reverseInvoiceLoyalty(invoice, req.user._id, 'deleted', session);
+    await reverseInvoiceStoreCredit(invoice, req.user._id, 'deleted', session);
+
     // Delete ledger entries
     if (invoice.ledgerEntries && invoice.ledgerEntries.length > 0) {
       await Ledger.deleteMany({ _id: { $in: invoice.ledgerEntries } }, { session });
@@ -1021,6 +1081,113 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// @route   POST /api/invoices/:id/cancel
+// @desc    Cancel (void) invoice - keeps the number, returns stock, reverses ledger and balance
+// @access  Private (requires permission)
+router.post('/:id/cancel', requirePermission('canDeleteInvoice'), async (req, res) => {
+  let session = null;
+
+  try {
+    const { reason } = req.body;
+
+    const invoice = await Invoice.findOne(addOrgFilter(req, { _id: req.params.id }));
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (invoice.status === 'CANCELLED') {
+      return res.status(400).json({ message: 'Invoice is already cancelled' });
+    }
+
+    // IRN must be cancelled on the IRP first (only possible within 24 hours - otherwise issue a credit note)
+    if (['GENERATING', 'GENERATED'].includes(invoice.irnStatus)) {
+      return res.status(400).json({ message: 'Invoice has an active IRN. Cancel the IRN first or issue a credit note.' });
+    }
+
+    // Returned goods already have their own credit note - cancel those first
+    const hasReturns = invoice.items.some(item => (item.returnedQuantity || 0) > 0);
+    if (hasReturns || invoice.isReturned || invoice.partiallyReturned) {
+      return res.status(400).json({
+        message: 'Cannot cancel invoice with returns. Please delete the return entries first.'
+      });
+    }
+
+    const organizationId = req.organizationId || req.user.organizationId;
+
+    // Start transaction
+    session = await Invoice.startSession();
+    session.startTransaction();
+
+    // Return inventory for all items
+    for (const item of invoice.items) {
+      if (item.batch && item.quantity > 0) {
+        await addBatchStock(item.batch, item.quantity, session);
+      }
+    }
+
+    // Reverse customer balance
+    if (invoice.customer && invoice.balanceAmount > 0) {
+      const customer = await Customer.findById(invoice.customer).session(session);
+      if (customer) {
+        customer.outstandingBalance -= invoice.balanceAmount;
+        await customer.save({ session });
+      }
+    }
+
+    // Take back earned loyalty points and return redeemed ones
+    await reverseInvoiceLoyalty(invoice, req.user._id, 'cancelled', session);
+    await reverseInvoiceStoreCredit(invoice, req.user._id, 'cancelled', session);
+
+    // Reverse sales and payment ledger entries (originals are kept for the audit trail)
+    const entryIds = [
+      ...(invoice.ledgerEntries || []),
+      ...(invoice.payments || []).flatMap(payment => payment.ledgerEntries || [])
+    ];
+
+    const reversalEntries = await postReversalToLedger(
+      entryIds,
+      req.user._id,
+      organizationId,
+      {
+        referenceType: 'INVOICE_CANCELLATION',
+        referenceId: invoice._id,
+        referenceModel: 'Invoice',
+        referenceNumber: invoice.invoiceNumber,
+        description: `Cancellation of ${invoice.invoiceNumber}`
+      },
+      session
+    );
+
+    invoice.status = 'CANCELLED';
+    invoice.cancelledAt = new Date();
+    invoice.cancelledBy = req.user._id;
+    invoice.cancellationReason = reason;
+    invoice.cancellationLedgerEntries = reversalEntries.map(entry => entry._id);
+
+    await invoice.save({ session });
+
+    // Commit transaction
+    await session.commitTransaction();
+
+    res.json({
+      success: true,
+      invoice,
+      message: `Invoice ${invoice.invoiceNumber} cancelled successfully`
+    });
+  } catch (error) {
+    if (session) {
+      await session.abortTransaction();
+    }
+    console.error('Invoice cancellation error:', error);
+    res.status(500).json({ message: error.message });
+  } finally {
+    if (session) {
+      session.endSession();
+    }
+  }
+});
+
 // @route   POST /api/invoices/:id/payments
 // @desc    Add a new payment to invoice
 // @access  Private
@@ -1039,6 +1206,10 @@ router.post('/:id/payments', async (req, res) => {
       return res.status(400).json({ message: 'Payment method is required' });
     }
 
+    if (paymentMethod === 'LOYALTY') {
+      return res.status(400).json({ message: 'Loyalty points can only be redeemed when the invoice is created' });
+    }
+
     // Get invoice with tenant isolation
     const invoice = await Invoice.findOne(addOrgFilter(req, { _id: req.params.id }))
       .populate('customer');
@@ -1047,6 +1218,10 @@ router.post('/:id/payments', async (req, res) => {
       return res.status(404).json({ message: 'Invoice not found' });
     }
 
+    if (invoice.status === 'CANCELLED') {
+      return res.status(400).json({ message: 'Payments cannot be changed on a cancelled invoice' });
+    }
+
     // Validate payment amount doesn't exceed balance
     if (amount > invoice.balanceAmount) {
       return res.status(400).json({
@@ -1054,6 +1229,13 @@ router.post('/:id/payments', async (req, res) => {
       });
     }
 
+    if (paymentMethod === 'CREDIT_NOTE') {
+      const storeCreditError = validateStoreCreditSpend(invoice.customer, amount);
+      if (storeCreditError) {
+        return res.status(400).json({ message: storeCreditError });
+      }
+    }
+
     // Start transaction
     session = await Invoice.startSession();
     session.startTransaction();
@@ -1076,7 +1258,7 @@ router.post('/:id/payments', async (req, res) => {
       req.user._id,
       [
         {
-          account: paymentMethod === 'CASH' ? 'CASH' : 'BANK',
+          account: getCustomerPaymentAccount(paymentMethod),
           type: 'DEBIT',
           amount: amount,
           description: `Payment received for ${invoice.invoiceNumber} via ${paymentMethod}`
@@ -1104,6 +1286,20 @@ router.post('/:id/payments', async (req, res) => {
     // Store both ledger entry IDs (debit and credit)
     payment.ledgerEntries = ledgerEntries.map(entry => entry._id);
 
+    // Spend the customer's store credit
+    if (paymentMethod === 'CREDIT_NOTE') {
+      await recordStoreCreditTransaction({
+        organizationId: req.organizationId || req.user.organizationId,
+        userId: req.user._id,
+        customer: invoice.customer._id,
+        type: 'REDEEM',
+        amount: -amount,
+        invoice: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        description: `Store credit used on ${invoice.invoiceNumber}`
+      }, session);
+    }
+
     // Initialize payments array if it doesn't exist (for old invoices)
     if (!invoice.payments) {
       invoice.payments = [];
@@ -1141,6 +1337,12 @@ router.post('/:id/payments', async (req, res) => {
     // Commit transaction
     await session.commitTransaction();
 
+    await notifyEvent(req, 'PAYMENT_RECEIVED', {
+      party: customer,
+      reference: { type: 'INVOICE', id: invoice._id, number: invoice.invoiceNumber },
+      data: { amount, paymentMethod, date: payment.paymentDate }
+    });
+
     res.status(201).json({
       success: true,
       payment: invoice.payments[invoice.payments.length - 1],
@@ -1186,6 +1388,10 @@ router.put('/:id/payments/:paymentId', async (req, res) => {
       return res.status(404).json({ message: 'Invoice not found' });
     }
 
+    if (invoice.status === 'CANCELLED') {
+      return res.status(400).json({ message: 'Payments cannot be changed on a cancelled invoice' });
+    }
+
     // Initialize payments array if it doesn't exist (for old invoices)
     if (!invoice.payments) {
       invoice.payments = [];
@@ -1197,6 +1403,14 @@ router.put('/:id/payments/:paymentId', async (req, res) => {
       return res.status(404).json({ message: 'Payment not found' });
     }
 
+    if (payment.paymentMethod === 'LOYALTY' || paymentMethod === 'LOYALTY') {
+      return res.status(400).json({ message: 'Loyalty point payments cannot be changed. Cancel the invoice instead.' });
+    }
+
+    if (payment.paymentMethod === 'CREDIT_NOTE' || paymentMethod === 'CREDIT_NOTE') {
+      return res.status(400).json({ message: 'Store credit payments cannot be edited. Delete the payment and add it again.' });
+    }
+
     // Calculate what the new balance would be
     const oldPaymentAmount = payment.amount;
     const newPaymentAmount = amount !== undefined ? amount : oldPaymentAmount;
@@ -1236,7 +1450,7 @@ router.put('/:id/payments/:paymentId', async (req, res) => {
       req.user._id,
       [
         {
-          account: payment.paymentMethod === 'CASH' ? 'CASH' : 'BANK',
+          account: getCustomerPaymentAccount(payment.paymentMethod),
           type: 'DEBIT',
           amount: payment.amount,
           description: `Payment received for ${invoice.invoiceNumber} via ${payment.paymentMethod}`
@@ -1328,6 +1542,10 @@ router.delete('/:id/payments/:paymentId', async (req, res) => {
       return res.status(404).json({ message: 'Invoice not found' });
     }
 
+    if (invoice.status === 'CANCELLED') {
+      return res.status(400).json({ message: 'Payments cannot be changed on a cancelled invoice' });
+    }
+
     // Initialize payments array if it doesn't exist (for old invoices)
     if (!invoice.payments) {
       invoice.payments = [];
@@ -1339,6 +1557,10 @@ router.delete('/:id/payments/:paymentId', async (req, res) => {
       return res.status(404).json({ message: 'Payment not found' });
     }
 
+    if (payment.paymentMethod === 'LOYALTY') {
+      return res.status(400).json({ message: 'Loyalty point payments cannot be deleted. Cancel the invoice instead.' });
+    }
+
     const paymentAmount = payment.amount;
 
     // Start transaction
@@ -1354,6 +1576,20 @@ router.delete('/:id/payments/:paymentId', async (req, res) => {
       await Ledger.deleteMany({ _id: payment.ledgerEntry }, { session });
     }
 
+    // Give the store credit back to the customer
+    if (payment.paymentMethod === 'CREDIT_NOTE') {
+      await recordStoreCreditTransaction({
+        organizationId: invoice.organizationId,
+        userId: req.user._id,
+        customer: invoice.customer._id,
+        type: 'REDEEM_REVERSAL',
+        amount: paymentAmount,
+        invoice: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        description: `Store credit payment deleted - ${invoice.invoiceNumber}`
+      }, session);
+    }
+
     // Remove payment from array
     invoice.payments.pull(req.params.paymentId);
 
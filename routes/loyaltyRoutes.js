@@ -0,0 +1,171 @@
+import express from 'express';
+import LoyaltyProgram from '../models/LoyaltyProgram.js';
+import LoyaltyTransaction from '../models/LoyaltyTransaction.js';
+import Customer from '../models/Customer.js';
+import { protect } from '../middleware/auth.js';
+import { tenantIsolation, addOrgFilter } from '../middleware/tenantIsolation.js';
+import { requirePermission } from '../middleware/requireSuperAdmin.js';
+import { recordLoyaltyTransaction, postLoyaltyToLedger, validateLoyaltyProgram } from '../utils/loyalty.js';
+
+const router = express.Router();
+
+// Apply authentication and tenant isolation to all routes
+router.use(protect);
+router.use(tenantIsolation);
+
+const PROGRAM_FIELDS = [
+  'name', 'pointsPerRupee', 'minBillAmount', 'excludedProducts', 'excludedCategories',
+  'pointValue', 'minRedeemPoints', 'maxRedeemPercent', 'isActive'
+];
+
+// @route   GET /api/loyalty/program
+// @desc    Get the organization's loyalty program
+// @access  Private
+router.get('/program', async (req, res) => {
+  try {
+    const program = await LoyaltyProgram.findOne(addOrgFilter(req))
+      .populate('excludedProducts', 'name');
+
+    if (!program) {
+      return res.status(404).json({ message: 'Loyalty program not set up' });
+    }
+
+    res.json(program);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   PUT /api/loyalty/program
+// @desc    Create or update the loyalty program (earn and burn rules)
+// @access  Private
+router.put('/program', requirePermission('canManageSettings'), async (req, res) => {
+  try {
+    const validationError = validateLoyaltyProgram(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    let program = await LoyaltyProgram.findOne(addOrgFilter(req));
+
+    if (!program) {
+      program = new LoyaltyProgram({
+        userId: req.user._id,
+        organizationId: req.organizationId || req.user.organizationId
+      });
+    }
+
+    PROGRAM_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) program[field] = req.body[field];
+    });
+
+    await program.save();
+
+    res.json(program);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/loyalty/customers/:customerId
+// @desc    Get a customer's points statement
+// @access  Private
+router.get('/customers/:customerId', async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const customer = await Customer.findOne(addOrgFilter(req, { _id: req.params.customerId }))
+      .select('name phone loyaltyPoints');
+
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    const filter = { customer: customer._id };
+    if (startDate && endDate) {
+      filter.createdAt = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
+    }
+
+    const transactions = await LoyaltyTransaction.find(addOrgFilter(req, filter))
+      .populate('userId', 'name')
+      .sort({ createdAt: -1 });
+
+    const program = await LoyaltyProgram.findOne(addOrgFilter(req, { isActive: true }));
+
+    const summary = transactions.reduce((totals, transaction) => {
+      totals[transaction.type] = (totals[transaction.type] || 0) + transaction.points;
+      return totals;
+    }, {});
+
+    res.json({
+      customer,
+      balance: customer.loyaltyPoints,
+      balanceValue: program ? Math.round(customer.loyaltyPoints * program.pointValue * 100) / 100 : null,
+      summary,
+      transactions
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/loyalty/customers/:customerId/adjust
+// @desc    Manually add or remove points (goodwill, corrections)
+// @access  Private
+router.post('/customers/:customerId/adjust', requirePermission('canManageCustomers'), async (req, res) => {
+  try {
+    const points = Number(req.body.points);
+    const { reason } = req.body;
+
+    if (!Number.isInteger(points) || points === 0) {
+      return res.status(400).json({ message: 'Please enter the points to add or remove' });
+    }
+
+    if (!reason) {
+      return res.status(400).json({ message: 'Please enter a reason for the adjustment' });
+    }
+
+    const program = await LoyaltyProgram.findOne(addOrgFilter(req, { isActive: true }));
+    if (!program) {
+      return res.status(400).json({ message: 'Loyalty program is not active' });
+    }
+
+    const customer = await Customer.findOne(addOrgFilter(req, { _id: req.params.customerId }));
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    if (customer.loyaltyPoints + points < 0) {
+      return res.status(400).json({ message: `Cannot remove more than the available ${customer.loyaltyPoints} points` });
+    }
+
+    const organizationId = req.organizationId || req.user.organizationId;
+    const value = Math.round(points * program.pointValue * 100) / 100;
+
+    const transaction = await recordLoyaltyTransaction({
+      organizationId,
+      userId: req.user._id,
+      customer: customer._id,
+      type: 'ADJUSTMENT',
+      points,
+      value: Math.abs(value),
+      description: reason
+    });
+
+    await postLoyaltyToLedger(organizationId, req.user._id, value, {
+      referenceType: 'ADJUSTMENT',
+      referenceNumber: `LOYALTY-${customer.phone}`,
+      party: { party: 'CUSTOMER', partyId: customer._id, partyModel: 'Customer', partyName: customer.name },
+      description: `Loyalty points adjustment - ${customer.name}: ${reason}`
+    });
+
+    res.status(201).json(transaction);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
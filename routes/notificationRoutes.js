@@ -0,0 +1,203 @@
+import express from 'express';
+import Notification from '../models/Notification.js';
+import NotificationTemplate from '../models/NotificationTemplate.js';
+import { protect } from '../middleware/auth.js';
+import { tenantIsolation, addOrgFilter } from '../middleware/tenantIsolation.js';
+import { requirePermission, requireOwner } from '../middleware/requireSuperAdmin.js';
+import { NOTIFICATION_EVENTS, NOTIFICATION_CHANNELS, MAX_ATTEMPTS, processOutbox } from '../utils/notifications.js';
+
+const router = express.Router();
+
+// Apply authentication and tenant isolation to all routes
+router.use(protect);
+router.use(tenantIsolation);
+
+// Placeholders every event can use, plus the event's own values
+const COMMON_PLACEHOLDERS = ['partyName', 'shopName', 'shopPhone', 'date', 'referenceNumber'];
+const EVENT_PLACEHOLDERS = {
+  INVOICE_CREATED: ['invoiceNumber', 'grandTotal', 'balanceAmount', 'invoiceLink'],
+  PAYMENT_RECEIVED: ['amount', 'paymentMethod'],
+  SALES_RETURN: ['creditNoteNumber', 'amount', 'refundMethod'],
+  SUPPLIER_PAYMENT: ['amount', 'paymentMethod'],
+  PAYMENT_REMINDER: ['invoiceNumber', 'invoiceDate', 'dueDate', 'balanceAmount', 'daysOverdue', 'invoiceLink']
+};
+
+// @route   GET /api/notifications/events
+// @desc    Events with their built-in text and available placeholders
+// @access  Private
+router.get('/events', async (req, res) => {
+  try {
+    res.json({
+      channels: NOTIFICATION_CHANNELS,
+      events: Object.entries(NOTIFICATION_EVENTS).map(([event, config]) => ({
+        event,
+        partyType: config.partyType,
+        defaultSubject: config.subject,
+        defaultBody: config.body,
+        placeholders: [...COMMON_PLACEHOLDERS, ...EVENT_PLACEHOLDERS[event]]
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/notifications/templates
+// @desc    Get the organization's message templates
+// @access  Private
+router.get('/templates', async (req, res) => {
+  try {
+    const templates = await NotificationTemplate.find(addOrgFilter(req))
+      .sort({ event: 1, channel: 1 });
+
+    res.json(templates);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   PUT /api/notifications/templates
+// @desc    Create or update the template for an event and channel
+// @access  Private (canManageSettings)
+router.put('/templates', requirePermission('canManageSettings'), async (req, res) => {
+  try {
+    const { event, channel, subject, body, isActive } = req.body;
+
+    if (!NOTIFICATION_EVENTS[event]) {
+      return res.status(400).json({ message: `Invalid event. Allowed: ${Object.keys(NOTIFICATION_EVENTS).join(', ')}` });
+    }
+
+    if (!NOTIFICATION_CHANNELS.includes(channel)) {
+      return res.status(400).json({ message: `Invalid channel. Allowed: ${NOTIFICATION_CHANNELS.join(', ')}` });
+    }
+
+    const template = await NotificationTemplate.findOneAndUpdate(
+      addOrgFilter(req, { event, channel }),
+      {
+        subject,
+        body,
+        isActive: isActive !== undefined ? isActive : true,
+        userId: req.user._id
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json(template);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/notifications/templates/:id
+// @desc    Delete a template (stops notifications for that event and channel)
+// @access  Private (canManageSettings)
+router.delete('/templates/:id', requirePermission('canManageSettings'), async (req, res) => {
+  try {
+    const template = await NotificationTemplate.findOneAndDelete(addOrgFilter(req, { _id: req.params.id }));
+
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    res.json({ message: 'Template deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/notifications/process
+// @desc    Send the organization's due messages now instead of waiting for the outbox worker
+// @access  Private (owner only)
+router.post('/process', requireOwner, async (req, res) => {
+  try {
+    const processed = await processOutbox({ organizationId: req.organizationId || req.user.organizationId });
+
+    res.json({ message: `${processed} message(s) processed`, processed });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/notifications?status=&event=&channel=&party=&startDate=&endDate=&page=&limit=
+// @desc    Delivery log
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { status, event, channel, party, referenceId, startDate, endDate, page = 1, limit = 50 } = req.query;
+    const query = {};
+
+    if (status) query.status = status;
+    if (event) query.event = event;
+    if (channel) query.channel = channel;
+    if (party) query.party = party;
+    if (referenceId) query.referenceId = referenceId;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const total = await Notification.countDocuments(addOrgFilter(req, query));
+    const notifications = await Notification.find(addOrgFilter(req, query))
+      .select('-deliveryLog')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    res.json({
+      notifications,
+      totalPages: Math.ceil(total / limit),
+      currentPage: Number(page),
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/notifications/:id
+// @desc    Get a message with its delivery attempts
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const notification = await Notification.findOne(addOrgFilter(req, { _id: req.params.id }))
+      .populate('userId', 'name');
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json(notification);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/notifications/:id/retry
+// @desc    Queue a failed message again
+// @access  Private
+router.post('/:id/retry', async (req, res) => {
+  try {
+    const notification = await Notification.findOne(addOrgFilter(req, { _id: req.params.id }));
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (notification.status !== 'FAILED') {
+      return res.status(400).json({ message: `Only failed messages can be retried (this one is ${notification.status})` });
+    }
+
+    // Gives the message the same number of attempts again
+    notification.status = 'PENDING';
+    notification.nextAttemptAt = new Date();
+    notification.maxAttempts = notification.attempts + MAX_ATTEMPTS;
+    await notification.save();
+
+    res.json(notification);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
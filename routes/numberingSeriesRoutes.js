@@ -0,0 +1,194 @@
+import express from 'express';
+import NumberingSeries from '../models/NumberingSeries.js';
+import { protect } from '../middleware/auth.js';
+import { tenantIsolation, addOrgFilter } from '../middleware/tenantIsolation.js';
+import { requirePermission } from '../middleware/requireSuperAdmin.js';
+import {
+  DOCUMENT_TYPES,
+  resolveNumberingConfig,
+  previewNextNumber,
+  validateNumberingConfig
+} from '../utils/documentNumbering.js';
+
+const router = express.Router();
+
+// Apply authentication and tenant isolation to all routes
+router.use(protect);
+router.use(tenantIsolation);
+
+const SERIES_FIELDS = ['name', 'prefix', 'padding', 'startNumber', 'resetPolicy', 'isDefault', 'isActive'];
+
+// Numbering config as used by the Counter (see utils/documentNumbering.js)
+const toNumberingConfig = (series) => ({
+  seriesId: series._id,
+  prefix: series.prefix,
+  padding: Number(series.padding),
+  startNumber: Number(series.startNumber),
+  resetPolicy: series.resetPolicy
+});
+
+// Only one default series per document type
+const clearOtherDefaults = async (req, series) => {
+  await NumberingSeries.updateMany(
+    addOrgFilter(req, { documentType: series.documentType, _id: { $ne: series._id } }),
+    { isDefault: false }
+  );
+};
+
+// @route   GET /api/numbering-series
+// @desc    Get all numbering series with the next number each would issue
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { documentType } = req.query;
+    const filter = documentType ? { documentType } : {};
+
+    const seriesList = await NumberingSeries.find(addOrgFilter(req, filter))
+      .sort({ documentType: 1, isDefault: -1, name: 1 });
+
+    const result = [];
+    for (const series of seriesList) {
+      result.push({
+        ...series.toObject(),
+        nextNumber: await previewNextNumber(req.organizationId, series.documentType, toNumberingConfig(series))
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/numbering-series/preview/:documentType
+// @desc    Preview the next number for a document type (default series or built-in format)
+// @access  Private
+router.get('/preview/:documentType', async (req, res) => {
+  try {
+    const { documentType } = req.params;
+
+    if (!DOCUMENT_TYPES[documentType]) {
+      return res.status(400).json({ message: `Unknown document type: ${documentType}` });
+    }
+
+    const config = await resolveNumberingConfig(req.organizationId, documentType, req.query.series || null);
+    const nextNumber = await previewNextNumber(req.organizationId, documentType, config);
+
+    res.json({ documentType, seriesId: config.seriesId, nextNumber });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/numbering-series
+// @desc    Create a numbering series
+// @access  Private
+router.post('/', requirePermission('canManageSettings'), async (req, res) => {
+  try {
+    const { documentType } = req.body;
+
+    if (!DOCUMENT_TYPES[documentType]) {
+      return res.status(400).json({ message: `Unknown document type: ${documentType}` });
+    }
+
+    const series = new NumberingSeries({
+      userId: req.user._id,
+      organizationId: req.organizationId || req.user.organizationId,
+      documentType
+    });
+    SERIES_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) series[field] = req.body[field];
+    });
+
+    const duplicate = await NumberingSeries.findOne(addOrgFilter(req, { documentType, name: series.name }));
+    if (duplicate) {
+      return res.status(400).json({ message: `Numbering series "${series.name}" already exists` });
+    }
+
+    const numberingError = await validateNumberingConfig(req.organizationId, documentType, toNumberingConfig(series));
+    if (numberingError) {
+      return res.status(400).json({ message: numberingError });
+    }
+
+    await series.save();
+
+    if (series.isDefault) {
+      await clearOtherDefaults(req, series);
+    }
+
+    res.status(201).json(series);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   PUT /api/numbering-series/:id
+// @desc    Update a numbering series (validated against numbers already issued)
+// @access  Private
+router.put('/:id', requirePermission('canManageSettings'), async (req, res) => {
+  try {
+    const series = await NumberingSeries.findOne(addOrgFilter(req, { _id: req.params.id }));
+
+    if (!series) {
+      return res.status(404).json({ message: 'Numbering series not found' });
+    }
+
+    SERIES_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) series[field] = req.body[field];
+    });
+
+    if (series.isModified('name')) {
+      const duplicate = await NumberingSeries.findOne(
+        addOrgFilter(req, { documentType: series.documentType, name: series.name, _id: { $ne: series._id } })
+      );
+      if (duplicate) {
+        return res.status(400).json({ message: `Numbering series "${series.name}" already exists` });
+      }
+    }
+
+    const formatChanged = ['prefix', 'padding', 'startNumber', 'resetPolicy'].some(field => series.isModified(field));
+    if (formatChanged) {
+      const numberingError = await validateNumberingConfig(req.organizationId, series.documentType, toNumberingConfig(series));
+      if (numberingError) {
+        return res.status(400).json({ message: numberingError });
+      }
+    }
+
+    if (!series.isActive) {
+      series.isDefault = false;
+    }
+
+    await series.save();
+
+    if (series.isDefault) {
+      await clearOtherDefaults(req, series);
+    }
+
+    res.json(series);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/numbering-series/:id
+// @desc    Deactivate a numbering series (kept so issued numbers stay traceable)
+// @access  Private
+router.delete('/:id', requirePermission('canManageSettings'), async (req, res) => {
+  try {
+    const series = await NumberingSeries.findOneAndUpdate(
+      addOrgFilter(req, { _id: req.params.id }),
+      { isActive: false, isDefault: false },
+      { new: true }
+    );
+
+    if (!series) {
+      return res.status(404).json({ message: 'Numbering series not found' });
+    }
+
+    res.json({ message: 'Numbering series deactivated' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
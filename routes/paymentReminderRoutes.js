@@ -0,0 +1,203 @@
+import express from 'express';
+import ReminderRule from '../models/ReminderRule.js';
+import Invoice from '../models/Invoice.js';
+import { protect } from '../middleware/auth.js';
+import { tenantIsolation, addOrgFilter } from '../middleware/tenantIsolation.js';
+import { requirePermission } from '../middleware/requireSuperAdmin.js';
+import { runPaymentReminders, sendInvoiceReminder } from '../utils/paymentReminders.js';
+
+const router = express.Router();
+
+// Apply authentication and tenant isolation to all routes
+router.use(protect);
+router.use(tenantIsolation);
+
+const RULE_FIELDS = ['name', 'offsetDays', 'repeatEveryDays', 'minBalance', 'isActive'];
+
+// Validate rule fields, returns an error message or null
+const validateRule = (data, isNew) => {
+  if (isNew && !data.name) {
+    return 'Please enter a rule name';
+  }
+  if ((isNew || data.offsetDays !== undefined) && !Number.isInteger(Number(data.offsetDays))) {
+    return 'Days from due date must be a whole number (negative = before the due date)';
+  }
+  if (data.repeatEveryDays !== undefined && (!Number.isInteger(Number(data.repeatEveryDays)) || Number(data.repeatEveryDays) < 0)) {
+    return 'Repeat interval must be a whole number of days (0 = send once)';
+  }
+  return null;
+};
+
+// @route   GET /api/payment-reminders/rules
+// @desc    Get reminder rules
+// @access  Private
+router.get('/rules', async (req, res) => {
+  try {
+    const rules = await ReminderRule.find(addOrgFilter(req)).sort({ offsetDays: 1 });
+    res.json(rules);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/payment-reminders/rules
+// @desc    Create a reminder rule
+// @access  Private (canManageSettings)
+router.post('/rules', requirePermission('canManageSettings'), async (req, res) => {
+  try {
+    const validationError = validateRule(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const rule = new ReminderRule({
+      userId: req.user._id,
+      organizationId: req.organizationId || req.user.organizationId
+    });
+    RULE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) rule[field] = req.body[field];
+    });
+    await rule.save();
+
+    res.status(201).json(rule);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   PUT /api/payment-reminders/rules/:id
+// @desc    Update a reminder rule
+// @access  Private (canManageSettings)
+router.put('/rules/:id', requirePermission('canManageSettings'), async (req, res) => {
+  try {
+    const validationError = validateRule(req.body, false);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const rule = await ReminderRule.findOne(addOrgFilter(req, { _id: req.params.id }));
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Reminder rule not found' });
+    }
+
+    RULE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) rule[field] = req.body[field];
+    });
+    await rule.save();
+
+    res.json(rule);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/payment-reminders/rules/:id
+// @desc    Delete a reminder rule (history on invoices is kept)
+// @access  Private (canManageSettings)
+router.delete('/rules/:id', requirePermission('canManageSettings'), async (req, res) => {
+  try {
+    const rule = await ReminderRule.findOneAndDelete(addOrgFilter(req, { _id: req.params.id }));
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Reminder rule not found' });
+    }
+
+    res.json({ message: 'Reminder rule deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/payment-reminders/due?asOf=
+// @desc    Reminders that would be sent on a day (nothing is sent)
+// @access  Private
+router.get('/due', async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+
+    const result = await runPaymentReminders({
+      organizationId: req.organizationId || req.user.organizationId,
+      asOf,
+      dryRun: true
+    });
+
+    res.json({ asOf, count: result.reminders.length, reminders: result.reminders });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/payment-reminders/run
+// @desc    Send today's due reminders now instead of waiting for the scheduler
+// @access  Private (canManageSettings)
+router.post('/run', requirePermission('canManageSettings'), async (req, res) => {
+  try {
+    const result = await runPaymentReminders({ organizationId: req.organizationId || req.user.organizationId });
+
+    res.json({
+      message: `${result.queued} reminder(s) queued, ${result.skipped} skipped (no template or customer contact)`,
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/payment-reminders/invoices/:id
+// @desc    Send a reminder for one invoice now
+// @access  Private
+router.post('/invoices/:id', async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne(addOrgFilter(req, { _id: req.params.id }))
+      .select('invoiceNumber invoiceDate dueDate balanceAmount paymentStatus status customer')
+      .populate('customer', 'name phone email creditDays');
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (invoice.status === 'CANCELLED' || !(invoice.balanceAmount > 0)) {
+      return res.status(400).json({ message: 'Reminders can only be sent for unpaid invoices' });
+    }
+
+    if (!invoice.customer) {
+      return res.status(400).json({ message: 'Reminders can only be sent to a saved customer' });
+    }
+
+    const reminder = await sendInvoiceReminder(req, invoice);
+
+    if (reminder.status === 'SKIPPED') {
+      return res.status(400).json({
+        message: 'No reminder sent - set up an active PAYMENT_REMINDER template and the customer\'s phone / email',
+        reminder
+      });
+    }
+
+    res.status(201).json(reminder);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/payment-reminders/invoices/:id
+// @desc    Reminder history of an invoice
+// @access  Private
+router.get('/invoices/:id', async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne(addOrgFilter(req, { _id: req.params.id }))
+      .select('invoiceNumber invoiceDate dueDate balanceAmount paymentStatus lastReminderFor reminders')
+      .populate('reminders.notifications', 'channel to status sentAt lastError')
+      .populate('reminders.sentBy', 'name');
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    res.json(invoice);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -7,6 +7,7 @@ import Purchase from '../models/Purchase.js';
 import { protect } from '../middleware/auth.js';
 import { tenantIsolation, addOrgFilter } from '../middleware/tenantIsolation.js';
 import { postPaymentToLedger } from '../utils/ledgerHelper.js';
+import { notifyEvent } from '../utils/notifications.js';
 import mongoose from 'mongoose';
 
 const router = express.Router();
@@ -236,6 +237,18 @@ router.post('/', async (req, res) => {
     payment.ledgerEntries = ledgerEntries.map(entry => entry._id);
     await payment.save();
 
+    // Receipt to the customer / payment advice to the supplier
+    const notificationEvent = type === 'RECEIVED'
+      ? (partyType === 'CUSTOMER' ? 'PAYMENT_RECEIVED' : null)
+      : (partyType === 'SUPPLIER' ? 'SUPPLIER_PAYMENT' : null);
+    if (notificationEvent) {
+      await notifyEvent(req, notificationEvent, {
+        party,
+        reference: { type: 'PAYMENT', id: payment._id, number: referenceNumber || payment.paymentNumber },
+        data: { amount, paymentMethod, date: payment.date }
+      });
+    }
+
     res.status(201).json(payment);
   } catch (error) {
     console.error('Payment creation error:', error);
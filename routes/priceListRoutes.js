@@ -0,0 +1,189 @@
+import express from 'express';
+import PriceList from '../models/PriceList.js';
+import Customer from '../models/Customer.js';
+import Batch from '../models/Batch.js';
+import { protect } from '../middleware/auth.js';
+import { tenantIsolation, addOrgFilter } from '../middleware/tenantIsolation.js';
+import { requirePermission } from '../middleware/requireSuperAdmin.js';
+import { getPriceListForInvoice, resolveListPrice, validatePriceList } from '../utils/priceList.js';
+
+const router = express.Router();
+
+// Apply authentication and tenant isolation to all routes
+router.use(protect);
+router.use(tenantIsolation);
+
+const PRICE_LIST_FIELDS = ['name', 'type', 'description', 'items', 'defaultMarkupPercent', 'capAtMrp', 'isActive'];
+
+// @route   GET /api/price-lists
+// @desc    Get all price lists
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { type, active } = req.query;
+    const filter = {};
+
+    if (type) filter.type = type;
+    if (active === 'true') filter.isActive = true;
+
+    const priceLists = await PriceList.find(addOrgFilter(req, filter))
+      .select('-items')
+      .sort({ isActive: -1, name: 1 });
+
+    res.json(priceLists);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/price-lists/prices?product=&customer=&priceList=
+// @desc    Get in-stock batches of a product with the price each would be billed at
+// @access  Private
+router.get('/prices', async (req, res) => {
+  try {
+    const { product, customer: customerId, priceList: priceListId } = req.query;
+
+    if (!product) {
+      return res.status(400).json({ message: 'Please select a product' });
+    }
+
+    const customer = customerId
+      ? await Customer.findOne(addOrgFilter(req, { _id: customerId }))
+      : null;
+    const priceList = await getPriceListForInvoice(req.organizationId, priceListId, customer);
+
+    const batches = await Batch.find(addOrgFilter(req, { product, isActive: true, quantity: { $gt: 0 } }))
+      .select('batchNo expiryDate quantity mrp purchasePrice sellingPrice gstRate')
+      .sort({ expiryDate: 1 });
+
+    res.json({
+      priceList: priceList ? { _id: priceList._id, name: priceList.name, type: priceList.type } : null,
+      batches: batches.map(batch => {
+        const listPrice = resolveListPrice(priceList, product, batch);
+        return {
+          _id: batch._id,
+          batchNo: batch.batchNo,
+          expiryDate: batch.expiryDate,
+          quantity: batch.quantity,
+          mrp: batch.mrp,
+          gstRate: batch.gstRate,
+          batchSellingPrice: batch.sellingPrice,
+          listPrice,
+          sellingPrice: listPrice !== null ? listPrice : batch.sellingPrice
+        };
+      })
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/price-lists/:id
+// @desc    Get single price list with its product rules
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const priceList = await PriceList.findOne(addOrgFilter(req, { _id: req.params.id }))
+      .populate('items.product', 'name manufacturer unit');
+
+    if (!priceList) {
+      return res.status(404).json({ message: 'Price list not found' });
+    }
+
+    const customers = await Customer.find(addOrgFilter(req, { priceList: priceList._id, isActive: true }))
+      .select('name phone');
+
+    res.json({ ...priceList.toObject(), customers });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/price-lists
+// @desc    Create price list
+// @access  Private
+router.post('/', requirePermission('canManageProducts'), async (req, res) => {
+  try {
+    const validationError = validatePriceList(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const duplicate = await PriceList.findOne(addOrgFilter(req, { name: req.body.name.trim() }));
+    if (duplicate) {
+      return res.status(400).json({ message: `Price list "${req.body.name.trim()}" already exists` });
+    }
+
+    const priceList = new PriceList({
+      userId: req.user._id,
+      organizationId: req.organizationId || req.user.organizationId
+    });
+    PRICE_LIST_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) priceList[field] = req.body[field];
+    });
+
+    await priceList.save();
+
+    res.status(201).json(priceList);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   PUT /api/price-lists/:id
+// @desc    Update price list
+// @access  Private
+router.put('/:id', requirePermission('canManageProducts'), async (req, res) => {
+  try {
+    const priceList = await PriceList.findOne(addOrgFilter(req, { _id: req.params.id }));
+
+    if (!priceList) {
+      return res.status(404).json({ message: 'Price list not found' });
+    }
+
+    const validationError = validatePriceList({ ...priceList.toObject(), ...req.body });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    PRICE_LIST_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) priceList[field] = req.body[field];
+    });
+
+    if (priceList.isModified('name')) {
+      const duplicate = await PriceList.findOne(addOrgFilter(req, { name: priceList.name, _id: { $ne: priceList._id } }));
+      if (duplicate) {
+        return res.status(400).json({ message: `Price list "${priceList.name}" already exists` });
+      }
+    }
+
+    await priceList.save();
+
+    res.json(priceList);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/price-lists/:id
+// @desc    Deactivate price list (linked customers fall back to batch prices)
+// @access  Private
+router.delete('/:id', requirePermission('canManageProducts'), async (req, res) => {
+  try {
+    const priceList = await PriceList.findOneAndUpdate(
+      addOrgFilter(req, { _id: req.params.id }),
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!priceList) {
+      return res.status(404).json({ message: 'Price list not found' });
+    }
+
+    res.json({ message: 'Price list deactivated' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -4,7 +4,14 @@ import Batch from '../models/Batch.js';
 import { protect } from '../middleware/auth.js';
 import tenantIsolation, { addOrgFilter } from '../middleware/tenantIsolation.js';
 import { requirePermission } from '../middleware/requireSuperAdmin.js';
-import { createBatch } from '../utils/inventoryManager.js';
+import { createBatch, getAvailableBatches } from '../utils/inventoryManager.js';
+import {
+  normalizeBarcode,
+  normalizeBarcodeList,
+  validateManufacturerBarcodes,
+  findBarcodeConflict,
+  resolveBarcode
+} from '../utils/barcode.js';
 
 const router = express.Router();
 
@@ -90,18 +97,61 @@ router.get('/batches-for-invoice', async (req, res) => {
   }
 });
 
+// @route   GET /api/products/lookup/:code
+// @desc    Resolve a scanned barcode / label code to product with its FIFO batches
+// @access  Private
+router.get('/lookup/:code', async (req, res) => {
+  try {
+    const code = normalizeBarcode(req.params.code);
+    const match = await resolveBarcode(req.organizationId, code);
+
+    if (!match) {
+      return res.status(404).json({ message: `No product found for code ${code}` });
+    }
+
+    const { product, batch, matchedBy } = match;
+    const batches = await getAvailableBatches(product._id, req.user._id, req.organizationId);
+
+    // Batch-specific code: put the scanned batch first so billing picks it
+    let selectedBatch = null;
+    if (batch) {
+      selectedBatch = batches.find(b => b._id.toString() === batch._id.toString()) || null;
+      if (selectedBatch) {
+        batches.splice(batches.indexOf(selectedBatch), 1);
+        batches.unshift(selectedBatch);
+      }
+    }
+
+    res.json({
+      code,
+      matchedBy,
+      product,
+      selectedBatch,
+      // Scanned batch exists but cannot be sold (expired, empty or inactive)
+      scannedBatchUnavailable: Boolean(batch && !selectedBatch),
+      batches
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // @route   GET /api/products
 // @desc    Get all products
 // @access  Private
 router.get('/', async (req, res) => {
   try {
-    const { search, lowStock } = req.query;
+    const { search, lowStock, schedule } = req.query;
     let query = addOrgFilter(req, { isActive: true });
 
     if (search) {
       query.$text = { $search: search };
     }
 
+    if (schedule) {
+      query.drugSchedule = schedule;
+    }
+
     if (lowStock === 'true') {
       const products = await Product.find(query);
       const lowStockProducts = products.filter(p => p.stockQuantity <= p.minStockLevel);
@@ -141,6 +191,20 @@ router.post('/', requirePermission('canManageProducts'), async (req, res) => {
   try {
     const { stockQuantity, batchNo, expiryDate, ...productData } = req.body;
 
+    if (productData.barcodes !== undefined) {
+      productData.barcodes = normalizeBarcodeList(productData.barcodes);
+
+      const barcodeError = validateManufacturerBarcodes(productData.barcodes);
+      if (barcodeError) {
+        return res.status(400).json({ message: barcodeError });
+      }
+
+      const conflict = await findBarcodeConflict(req.organizationId, productData.barcodes);
+      if (conflict) {
+        return res.status(400).json({ message: `Barcode ${conflict.barcode} is already assigned to ${conflict.product.name}` });
+      }
+    }
+
     // Create product with ZERO stock initially
     const product = await Product.create({
       ...productData,
@@ -197,6 +261,20 @@ router.post('/', requirePermission('canManageProducts'), async (req, res) => {
 // @access  Private (requires permission)
 router.put('/:id', requirePermission('canManageProducts'), async (req, res) => {
   try {
+    if (req.body.barcodes !== undefined) {
+      req.body.barcodes = normalizeBarcodeList(req.body.barcodes);
+
+      const barcodeError = validateManufacturerBarcodes(req.body.barcodes);
+      if (barcodeError) {
+        return res.status(400).json({ message: barcodeError });
+      }
+
+      const conflict = await findBarcodeConflict(req.organizationId, req.body.barcodes, req.params.id);
+      if (conflict) {
+        return res.status(400).json({ message: `Barcode ${conflict.barcode} is already assigned to ${conflict.product.name}` });
+      }
+    }
+
     const product = await Product.findOneAndUpdate(
       addOrgFilter(req, { _id: req.params.id }),
       req.body,
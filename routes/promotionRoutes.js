@@ -0,0 +1,246 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Promotion from '../models/Promotion.js';
+import Invoice from '../models/Invoice.js';
+import Product from '../models/Product.js';
+import { protect } from '../middleware/auth.js';
+import { tenantIsolation, addOrgFilter } from '../middleware/tenantIsolation.js';
+import { requirePermission } from '../middleware/requireSuperAdmin.js';
+import { validatePromotion } from '../utils/promotionEngine.js';
+import { endOfDay } from '../utils/dateRange.js';
+
+const router = express.Router();
+
+// Apply authentication and tenant isolation to all routes
+router.use(protect);
+router.use(tenantIsolation);
+
+const PROMOTION_FIELDS = [
+  'name', 'description', 'type', 'products', 'manufacturers', 'categories',
+  'buyQuantity', 'freeQuantity', 'discountPercent', 'slabs',
+  'validFrom', 'validTo', 'priority', 'isActive'
+];
+
+// Products targeted by a promotion must belong to the caller's organization
+const validateProducts = async (req, products) => {
+  if (!products || products.length === 0) return null;
+
+  const ids = [...new Set(products.map(id => id.toString()))];
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return 'Invalid product in promotion';
+  }
+
+  const count = await Product.countDocuments(addOrgFilter(req, { _id: { $in: ids } }));
+  return count === ids.length ? null : 'One or more products in the promotion were not found';
+};
+
+// @route   GET /api/promotions
+// @desc    Get all promotions (?active=true for promotions valid today)
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { active, type } = req.query;
+    const filter = {};
+
+    if (type) filter.type = type;
+
+    if (active === 'true') {
+      const now = new Date();
+      filter.isActive = true;
+      filter.validFrom = { $lte: now };
+      filter.validTo = { $gte: now };
+    }
+
+    const promotions = await Promotion.find(addOrgFilter(req, filter))
+      .populate('products', 'name')
+      .sort({ isActive: -1, priority: -1, validFrom: -1 });
+
+    res.json(promotions);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/promotions/report?startDate=&endDate=
+// @desc    Discount / free goods given by each promotion on invoices in a period
+// @access  Private
+router.get('/report', requirePermission('canViewReports'), async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const orgId = new mongoose.Types.ObjectId(req.organizationId);
+    const orgMatch = { organizationId: orgId, status: { $ne: 'CANCELLED' } };
+
+    if (startDate && endDate) {
+      orgMatch.invoiceDate = {
+        $gte: new Date(startDate),
+        $lte: endOfDay(endDate)
+      };
+    }
+
+    // Line promotions - buy X get Y lines are the free units (zero price), valued at the line price
+    // in promotionDiscount and at purchase price in freeGoodsCost
+    const lineSummary = await Invoice.aggregate([
+      { $match: { ...orgMatch, 'items.promotion': { $exists: true } } },
+      { $unwind: '$items' },
+      { $match: { 'items.promotion': { $exists: true } } },
+      {
+        $group: {
+          _id: '$items.promotion',
+          promotionName: { $first: '$items.promotionName' },
+          discount: { $sum: '$items.promotionDiscount' },
+          quantity: { $sum: '$items.quantity' },
+          freeQuantity: { $sum: { $cond: ['$items.isFree', '$items.quantity', 0] } },
+          freeGoodsCost: {
+            $sum: {
+              $cond: ['$items.isFree', { $multiply: ['$items.quantity', { $ifNull: ['$items.purchasePrice', 0] }] }, 0]
+            }
+          },
+          lines: { $sum: 1 },
+          invoices: { $addToSet: '$_id' }
+        }
+      }
+    ]);
+
+    // Bill slab promotions
+    const billSummary = await Invoice.aggregate([
+      { $match: { ...orgMatch, billPromotion: { $exists: true } } },
+      {
+        $group: {
+          _id: '$billPromotion',
+          promotionName: { $first: '$billPromotionName' },
+          discount: { $sum: '$billPromotionDiscount' },
+          invoices: { $addToSet: '$_id' }
+        }
+      }
+    ]);
+
+    const promotions = [
+      ...lineSummary.map(row => ({
+        promotion: row._id,
+        promotionName: row.promotionName,
+        level: 'LINE',
+        discount: Math.round(row.discount * 100) / 100,
+        quantity: row.quantity,
+        freeQuantity: row.freeQuantity,
+        freeGoodsCost: Math.round(row.freeGoodsCost * 100) / 100,
+        lines: row.lines,
+        invoiceCount: row.invoices.length
+      })),
+      ...billSummary.map(row => ({
+        promotion: row._id,
+        promotionName: row.promotionName,
+        level: 'BILL',
+        discount: Math.round(row.discount * 100) / 100,
+        invoiceCount: row.invoices.length
+      }))
+    ].sort((a, b) => b.discount - a.discount);
+
+    res.json({
+      period: { startDate, endDate },
+      promotions,
+      totalDiscount: Math.round(promotions.reduce((sum, row) => sum + row.discount, 0) * 100) / 100
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/promotions/:id
+// @desc    Get single promotion
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const promotion = await Promotion.findOne(addOrgFilter(req, { _id: req.params.id }))
+      .populate('products', 'name manufacturer category');
+
+    if (!promotion) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    res.json(promotion);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/promotions
+// @desc    Create promotion
+// @access  Private
+router.post('/', requirePermission('canManageProducts'), async (req, res) => {
+  try {
+    const validationError = validatePromotion(req.body) || await validateProducts(req, req.body.products);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const promotion = new Promotion({
+      userId: req.user._id,
+      organizationId: req.organizationId || req.user.organizationId
+    });
+    PROMOTION_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) promotion[field] = req.body[field];
+    });
+    promotion.validTo = endOfDay(req.body.validTo);
+
+    await promotion.save();
+
+    res.status(201).json(promotion);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   PUT /api/promotions/:id
+// @desc    Update promotion
+// @access  Private
+router.put('/:id', requirePermission('canManageProducts'), async (req, res) => {
+  try {
+    const promotion = await Promotion.findOne(addOrgFilter(req, { _id: req.params.id }));
+
+    if (!promotion) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    const validationError = validatePromotion({ ...promotion.toObject(), ...req.body }) ||
+      await validateProducts(req, req.body.products);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    PROMOTION_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) promotion[field] = req.body[field];
+    });
+    if (req.body.validTo !== undefined) {
+      promotion.validTo = endOfDay(req.body.validTo);
+    }
+
+    await promotion.save();
+
+    res.json(promotion);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/promotions/:id
+// @desc    Deactivate promotion (kept so past invoices keep their scheme reference)
+// @access  Private
+router.delete('/:id', requirePermission('canManageProducts'), async (req, res) => {
+  try {
+    const promotion = await Promotion.findOneAndUpdate(
+      addOrgFilter(req, { _id: req.params.id }),
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!promotion) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    res.json({ message: 'Promotion deactivated' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,123 @@
+import express from 'express';
+import Invoice from '../models/Invoice.js';
+import ShopSettings from '../models/ShopSettings.js';
+import { renderInvoiceHTML, PRINT_FORMATS } from '../utils/printTemplates.js';
+import { resolveInvoiceLink } from '../utils/invoiceLinks.js';
+
+// Public (no login) invoice pages opened from shared links - access is granted by the signed token only
+const router = express.Router();
+
+// Share link + invoice for a token, or null
+const loadSharedInvoice = async (token) => {
+  const link = await resolveInvoiceLink(token);
+  if (!link) return null;
+
+  const invoice = await Invoice.findOne({ _id: link.invoice, organizationId: link.organizationId });
+  if (!invoice) return null;
+
+  await link.updateOne({ $inc: { viewCount: 1 }, lastViewedAt: new Date() });
+  return invoice;
+};
+
+// @route   GET /api/public/invoices/:token
+// @desc    Invoice with its payment status (customer-facing fields only)
+// @access  Public (signed link)
+router.get('/:token', async (req, res) => {
+  try {
+    const invoice = await loadSharedInvoice(req.params.token);
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'This link is invalid, has expired or has been revoked' });
+    }
+
+    const shopSettings = await ShopSettings.findOne({ organizationId: invoice.organizationId });
+
+    res.json({
+      shop: shopSettings ? {
+        shopName: shopSettings.shopName,
+        address: shopSettings.address,
+        city: shopSettings.city,
+        state: shopSettings.state,
+        phone: shopSettings.phone,
+        gstin: shopSettings.gstin,
+        logo: shopSettings.logo
+      } : null,
+      invoice: {
+        invoiceNumber: invoice.invoiceNumber,
+        invoiceDate: invoice.invoiceDate,
+        dueDate: invoice.dueDate,
+        status: invoice.status,
+        customerName: invoice.customerName,
+        customerGstin: invoice.customerGstin,
+        taxType: invoice.taxType,
+        items: invoice.items.map(item => ({
+          productName: item.productName,
+          hsnCode: item.hsnCode,
+          batchNo: item.batchNo,
+          expiryDate: item.expiryDate,
+          quantity: item.quantity,
+          mrp: item.mrp,
+          sellingPrice: item.sellingPrice,
+          discount: item.discount,
+          gstRate: item.gstRate,
+          taxableAmount: item.taxableAmount,
+          totalAmount: item.totalAmount
+        })),
+        charges: (invoice.charges || []).map(charge => ({
+          description: charge.description,
+          taxableAmount: charge.taxableAmount,
+          gstRate: charge.gstRate,
+          totalAmount: charge.totalAmount
+        })),
+        subtotal: invoice.subtotal,
+        totalCGST: invoice.totalCGST,
+        totalSGST: invoice.totalSGST,
+        totalIGST: invoice.totalIGST,
+        totalTax: invoice.totalTax,
+        discount: invoice.discount,
+        roundOff: invoice.roundOff,
+        grandTotal: invoice.grandTotal,
+        paymentStatus: invoice.paymentStatus,
+        paidAmount: invoice.paidAmount,
+        balanceAmount: invoice.balanceAmount,
+        payments: (invoice.payments || []).map(payment => ({
+          paymentDate: payment.paymentDate,
+          paymentMethod: payment.paymentMethod,
+          amount: payment.amount
+        }))
+      },
+      printUrl: `${req.baseUrl}/${req.params.token}/print`
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/public/invoices/:token/print
+// @desc    Printable invoice (format=a4|thermal80|thermal58)
+// @access  Public (signed link)
+router.get('/:token/print', async (req, res) => {
+  try {
+    const format = req.query.format || 'a4';
+
+    if (!PRINT_FORMATS[format]) {
+      return res.status(400).json({
+        message: `Invalid print format. Use one of: ${Object.keys(PRINT_FORMATS).join(', ')}`
+      });
+    }
+
+    const invoice = await loadSharedInvoice(req.params.token);
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'This link is invalid, has expired or has been revoked' });
+    }
+
+    const shopSettings = await ShopSettings.findOne({ organizationId: invoice.organizationId });
+
+    res.type('html').send(renderInvoiceHTML(invoice, shopSettings, format));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
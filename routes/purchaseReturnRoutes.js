@@ -121,7 +121,7 @@ router.get('/:id', async (req, res) => {
 // @access  Private
 router.post('/', async (req, res) => {
   try {
-    const { originalPurchase: purchaseId, items, reason, reasonDescription } = req.body;
+    const { originalPurchase: purchaseId, items, reason, reasonDescription, numberingSeries } = req.body;
 
     // Validate original purchase
     const purchase = await Purchase.findOne(addOrgFilter(req, { _id: purchaseId }))
@@ -196,6 +196,7 @@ router.post('/', async (req, res) => {
       supplierGstin: purchase.supplierGstin,
       originalPurchase: purchase._id,
       originalPurchaseNumber: purchase.purchaseNumber,
+      numberingSeries: numberingSeries || undefined,
       reason,
       reasonDescription,
       items: processedItems,
@@ -252,6 +252,7 @@ router.post('/', async (req, res) => {
       supplierInvoiceNo: purchaseData.billNumber,
       supplierInvoiceDate: purchaseData.billDate,
       purchaseDate: purchaseData.purchaseDate,
+      numberingSeries: purchaseData.numberingSeries || undefined,
       dueDate: purchaseData.dueDate,
       freight: purchaseData.freightCharges || purchaseData.freight || 0,
       packaging: purchaseData.packagingCharges || purchaseData.packaging || 0,
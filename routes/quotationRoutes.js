@@ -0,0 +1,463 @@
+import express from 'express';
+import Quotation from '../models/Quotation.js';
+import Invoice from '../models/Invoice.js';
+import Product from '../models/Product.js';
+import Customer from '../models/Customer.js';
+import ShopSettings from '../models/ShopSettings.js';
+import Batch from '../models/Batch.js';
+import { protect } from '../middleware/auth.js';
+import { tenantIsolation, addOrgFilter } from '../middleware/tenantIsolation.js';
+import { calculateItemGST, calculateTotals, determineTaxType } from '../utils/gstCalculations.js';
+import { createInvoice, PRESCRIPTION_FIELDS } from '../utils/invoiceService.js';
+
+const router = express.Router();
+
+// Apply authentication and tenant isolation to all routes
+router.use(protect);
+router.use(tenantIsolation);
+
+// A CONVERTING claim older than this is from a request that never finished and can be taken over
+const CONVERT_CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Invoice fields a conversion may set - items, customer, prices and tax always come from the quotation
+const CONVERT_FIELDS = [
+  'paidAmount', 'paymentMethod', 'paymentDetails', 'tenders', 'billNumber',
+  'invoiceDate', 'dueDate', 'creditOverrideId', 'doctor', ...PRESCRIPTION_FIELDS,
+  'transporterId', 'transporterName', 'transportMode', 'transportDocNumber', 'transportDocDate', 'vehicleNumber', 'distance'
+];
+
+// Record the invoice on the quotation
+const markConverted = (quotation, invoice) => Quotation.findOneAndUpdate(
+  { _id: quotation._id },
+  {
+    status: 'CONVERTED',
+    convertedInvoice: invoice._id,
+    convertedInvoiceNumber: invoice.invoiceNumber,
+    convertedAt: new Date(),
+    $unset: { convertingAt: 1 }
+  },
+  { new: true }
+);
+
+// Resolve customer details and tax type the same way invoice creation does
+const resolveCustomer = async (req, customerId, quotationData, shopSettings) => {
+  let taxType = quotationData.taxType || 'CGST_SGST';
+  let customerData = {
+    customer: undefined,
+    customerName: quotationData.customerName,
+    customerPhone: quotationData.customerPhone,
+    customerAddress: quotationData.customerAddress,
+    customerCity: quotationData.customerCity,
+    customerState: quotationData.customerState,
+    customerGstin: quotationData.customerGstin
+  };
+
+  if (customerId) {
+    const customer = await Customer.findOne(addOrgFilter(req, { _id: customerId }));
+
+    if (customer) {
+      customerData = {
+        customer: customer._id,
+        customerName: customer.name,
+        customerPhone: customer.phone,
+        customerAddress: customer.address,
+        customerCity: customer.city,
+        customerState: customer.state,
+        customerGstin: customer.gstin
+      };
+
+      if (shopSettings && customer.state) {
+        taxType = determineTaxType(shopSettings.state, customer.state);
+      }
+    }
+  }
+
+  return { customerData, taxType };
+};
+
+// Price quotation items from the preferred batch or product master - no stock is touched
+const buildQuotationItems = async (req, items, taxType) => {
+  if (!items || items.length === 0) {
+    return { error: 'Please add at least one item to the quotation' };
+  }
+
+  const processedItems = [];
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+
+    if (!item.product || item.product === '') {
+      return { error: `Please select a product for item #${i + 1}` };
+    }
+
+    if (!item.quantity || item.quantity <= 0) {
+      return { error: `Please enter a valid quantity for item #${i + 1}` };
+    }
+
+    const product = await Product.findOne(addOrgFilter(req, { _id: item.product }));
+
+    if (!product) {
+      return { error: `Product not found for item #${i + 1}. Please select a valid product.` };
+    }
+
+    let batch = null;
+    if (item.batch) {
+      batch = await Batch.findOne(addOrgFilter(req, { _id: item.batch, product: product._id }));
+
+      if (!batch) {
+        return { error: `Batch not found for ${product.name}` };
+      }
+    }
+
+    const source = batch || product;
+    const sellingPrice = item.sellingPrice || source.sellingPrice;
+    const gstRate = (item.gstRate !== undefined && item.gstRate !== null) ? item.gstRate : source.gstRate;
+
+    const itemWithGST = calculateItemGST({
+      quantity: item.quantity,
+      sellingPrice,
+      discount: item.discount || 0,
+      gstRate
+    }, taxType, 'invoice');
+
+    processedItems.push({
+      product: product._id,
+      productName: product.name,
+      batch: batch ? batch._id : undefined,
+      batchNo: batch ? batch.batchNo : undefined,
+      expiryDate: batch ? batch.expiryDate : undefined,
+      hsnCode: product.hsnCode,
+      unit: product.unit,
+      mrp: source.mrp,
+      ...itemWithGST
+    });
+  }
+
+  return { processedItems };
+};
+
+// @route   GET /api/quotations
+// @desc    Get all quotations
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { startDate, endDate, status, customer } = req.query;
+    let query = addOrgFilter(req);
+
+    if (startDate && endDate) {
+      query.quotationDate = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
+    }
+
+    if (status) query.status = status;
+    if (customer) query.customer = customer;
+
+    const quotations = await Quotation.find(query)
+      .populate('customer', 'name phone')
+      .sort({ createdAt: -1 });
+
+    res.json(quotations);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/quotations/:id
+// @desc    Get single quotation
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const quotation = await Quotation.findOne(addOrgFilter(req, { _id: req.params.id }))
+      .populate('customer')
+      .populate('items.product')
+      .populate('items.batch');
+
+    if (!quotation) {
+      return res.status(404).json({ message: 'Quotation not found' });
+    }
+
+    res.json(quotation);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/quotations
+// @desc    Create quotation (no stock deduction, no ledger posting)
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    const { items, customer: customerId, ...quotationData } = req.body;
+
+    const shopSettings = await ShopSettings.findOne(addOrgFilter(req));
+    const { customerData, taxType } = await resolveCustomer(req, customerId, quotationData, shopSettings);
+
+    const { processedItems, error } = await buildQuotationItems(req, items, taxType);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const totals = calculateTotals(processedItems, {}, quotationData.discount || 0);
+
+    const quotation = await Quotation.create({
+      userId: req.user._id,
+      organizationId: req.organizationId || req.user.organizationId,
+      ...customerData,
+      items: processedItems,
+      ...totals,
+      taxType,
+      quotationDate: quotationData.quotationDate || new Date(),
+      numberingSeries: quotationData.numberingSeries || undefined,
+      validUntil: quotationData.validUntil,
+      status: quotationData.status === 'SENT' ? 'SENT' : 'DRAFT',
+      notes: quotationData.notes
+    });
+
+    res.status(201).json(quotation);
+  } catch (error) {
+    console.error('Quotation creation error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   PUT /api/quotations/:id
+// @desc    Edit quotation (items, customer, validity)
+// @access  Private
+router.put('/:id', async (req, res) => {
+  try {
+    const quotation = await Quotation.findOne(addOrgFilter(req, { _id: req.params.id }));
+
+    if (!quotation) {
+      return res.status(404).json({ message: 'Quotation not found' });
+    }
+
+    if (['CONVERTING', 'CONVERTED'].includes(quotation.status)) {
+      return res.status(400).json({ message: 'Quotation has already been converted to an invoice' });
+    }
+
+    const { items, customer: customerId, ...quotationData } = req.body;
+
+    const shopSettings = await ShopSettings.findOne(addOrgFilter(req));
+    const customerProvided = 'customer' in req.body;
+    const { customerData, taxType } = await resolveCustomer(
+      req,
+      customerProvided ? customerId : quotation.customer,
+      {
+        taxType: quotationData.taxType || quotation.taxType,
+        customerName: quotationData.customerName !== undefined ? quotationData.customerName : quotation.customerName,
+        customerPhone: quotationData.customerPhone !== undefined ? quotationData.customerPhone : quotation.customerPhone,
+        customerAddress: quotationData.customerAddress !== undefined ? quotationData.customerAddress : quotation.customerAddress,
+        customerCity: quotationData.customerCity !== undefined ? quotationData.customerCity : quotation.customerCity,
+        customerState: quotationData.customerState !== undefined ? quotationData.customerState : quotation.customerState,
+        customerGstin: quotationData.customerGstin !== undefined ? quotationData.customerGstin : quotation.customerGstin
+      },
+      shopSettings
+    );
+
+    const { processedItems, error } = await buildQuotationItems(
+      req,
+      items || quotation.items.map(item => ({
+        product: item.product,
+        batch: item.batch,
+        quantity: item.quantity,
+        sellingPrice: item.sellingPrice,
+        discount: item.discount,
+        gstRate: item.gstRate
+      })),
+      taxType
+    );
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const discount = quotationData.discount !== undefined ? quotationData.discount : quotation.discount;
+    const totals = calculateTotals(processedItems, {}, discount || 0);
+
+    Object.assign(quotation, {
+      ...customerData,
+      items: processedItems,
+      ...totals,
+      taxType,
+      quotationDate: quotationData.quotationDate !== undefined ? quotationData.quotationDate : quotation.quotationDate,
+      validUntil: quotationData.validUntil !== undefined ? quotationData.validUntil : quotation.validUntil,
+      notes: quotationData.notes !== undefined ? quotationData.notes : quotation.notes
+    });
+
+    await quotation.save();
+
+    res.json(quotation);
+  } catch (error) {
+    console.error('Quotation edit error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   PUT /api/quotations/:id/status
+// @desc    Update quotation status (SENT, ACCEPTED, REJECTED, EXPIRED)
+// @access  Private
+router.put('/:id/status', async (req, res) => {
+  try {
+    const { status } = req.body;
+    const allowedStatuses = ['DRAFT', 'SENT', 'ACCEPTED', 'REJECTED', 'EXPIRED'];
+
+    if (!allowedStatuses.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of: ${allowedStatuses.join(', ')}` });
+    }
+
+    const quotation = await Quotation.findOne(addOrgFilter(req, { _id: req.params.id }));
+
+    if (!quotation) {
+      return res.status(404).json({ message: 'Quotation not found' });
+    }
+
+    if (['CONVERTING', 'CONVERTED'].includes(quotation.status)) {
+      return res.status(400).json({ message: 'Quotation has already been converted to an invoice' });
+    }
+
+    quotation.status = status;
+    await quotation.save();
+
+    res.json(quotation);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/quotations/:id/convert
+// @desc    Convert an accepted quotation into an invoice (FIFO stock deduction + ledger)
+// @access  Private
+router.post('/:id/convert', async (req, res) => {
+  try {
+    const quotation = await Quotation.findOne(addOrgFilter(req, { _id: req.params.id }));
+
+    if (!quotation) {
+      return res.status(404).json({ message: 'Quotation not found' });
+    }
+
+    if (quotation.status === 'CONVERTED') {
+      return res.status(400).json({
+        message: `Quotation already converted to invoice ${quotation.convertedInvoiceNumber}`
+      });
+    }
+
+    if (quotation.status === 'CONVERTING') {
+      // An earlier conversion created the invoice but stopped before recording it - finish that one
+      const existing = await Invoice.findOne(addOrgFilter(req, { quotation: quotation._id }));
+      if (existing) {
+        const converted = await markConverted(quotation, existing);
+        return res.json({
+          success: true,
+          quotation: converted,
+          invoice: existing,
+          message: `Quotation already converted to invoice ${existing.invoiceNumber}`
+        });
+      }
+
+      if (quotation.convertingAt && quotation.convertingAt > new Date(Date.now() - CONVERT_CLAIM_TIMEOUT_MS)) {
+        return res.status(409).json({ message: 'Quotation is already being converted to an invoice' });
+      }
+    } else if (quotation.status !== 'ACCEPTED') {
+      return res.status(400).json({ message: 'Only accepted quotations can be converted to an invoice' });
+    }
+
+    if (quotation.validUntil && quotation.validUntil < new Date()) {
+      return res.status(400).json({ message: 'Quotation validity has expired' });
+    }
+
+    // Payment, dates and prescription / transport details come from the request, everything else from the quotation
+    const overrides = {};
+    CONVERT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) overrides[field] = req.body[field];
+    });
+    const { notes } = req.body;
+
+    // Claim the quotation first so two requests cannot convert it twice (a stale claim is taken over)
+    const claimed = await Quotation.findOneAndUpdate(
+      addOrgFilter(req, {
+        _id: quotation._id,
+        $or: [
+          { status: 'ACCEPTED' },
+          { status: 'CONVERTING', convertingAt: { $not: { $gt: new Date(Date.now() - CONVERT_CLAIM_TIMEOUT_MS) } } }
+        ]
+      }),
+      { status: 'CONVERTING', convertingAt: new Date() },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(409).json({ message: 'Quotation is already being converted to an invoice' });
+    }
+
+    let invoice;
+    try {
+      invoice = await createInvoice(req, {
+        ...overrides,
+        customer: quotation.customer,
+        customerName: quotation.customerName,
+        customerPhone: quotation.customerPhone,
+        customerAddress: quotation.customerAddress,
+        customerCity: quotation.customerCity,
+        customerState: quotation.customerState,
+        customerGstin: quotation.customerGstin,
+        taxType: quotation.taxType,
+        discount: quotation.discount,
+        items: quotation.items.map(item => ({
+          product: item.product,
+          batch: item.batch,
+          quantity: item.quantity,
+          sellingPrice: item.sellingPrice,
+          discount: item.discount,
+          gstRate: item.gstRate
+        })),
+        notes: notes !== undefined ? notes : `Converted from quotation ${quotation.quotationNumber}`
+      }, { quotation: quotation._id });
+    } catch (error) {
+      // Release the quotation so it can be corrected and converted again
+      await Quotation.updateOne(
+        { _id: claimed._id, status: 'CONVERTING' },
+        { status: 'ACCEPTED', $unset: { convertingAt: 1 } }
+      );
+      throw error;
+    }
+
+    // If this fails the invoice is linked to the quotation, so the next convert request finishes it
+    const converted = await markConverted(claimed, invoice);
+
+    res.status(201).json({
+      success: true,
+      quotation: converted,
+      invoice,
+      message: `Quotation converted to invoice ${invoice.invoiceNumber}`
+    });
+  } catch (error) {
+    console.error('Quotation conversion error:', error);
+    res.status(error.statusCode || 500).json({ message: error.message, ...error.details });
+  }
+});
+
+// @route   DELETE /api/quotations/:id
+// @desc    Delete quotation (not allowed once converted)
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const quotation = await Quotation.findOne(addOrgFilter(req, { _id: req.params.id }));
+
+    if (!quotation) {
+      return res.status(404).json({ message: 'Quotation not found' });
+    }
+
+    if (['CONVERTING', 'CONVERTED'].includes(quotation.status)) {
+      return res.status(400).json({ message: 'Converted quotations cannot be deleted' });
+    }
+
+    await Quotation.findByIdAndDelete(quotation._id);
+
+    res.json({ message: 'Quotation deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
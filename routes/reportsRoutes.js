@@ -1,8 +1,12 @@
 import express from 'express';
 import Invoice from '../models/Invoice.js';
 import Purchase from '../models/Purchase.js';
+import Product from '../models/Product.js';
 import { protect } from '../middleware/auth.js';
 import { tenantIsolation, addOrgFilter } from '../middleware/tenantIsolation.js';
+import { generateDocumentSummary } from '../utils/gstr1Generator.js';
+import { AGEING_BUCKETS, getReceivableBills, getPayableBills, summariseAgeing, groupAgeingByParty } from '../utils/ageing.js';
+import { endOfDay } from '../utils/dateRange.js';
 import mongoose from 'mongoose';
 
 const router = express.Router();
@@ -55,6 +59,16 @@ const ensureItemCalculations = (item, invoice) => {
   return calculatedItem;
 };
 
+// Taxable value of an invoice - items plus charges (delivery, packing...)
+const invoiceTaxableValue = (invoice) => invoice.subtotal + (invoice.additionalCharges || 0);
+
+// As-on date for ageing reports (end of that day, today when not given)
+const parseAsOnDate = (asOn) => {
+  const date = asOn ? new Date(asOn) : new Date();
+  if (isNaN(date)) return null;
+  return endOfDay(date);
+};
+
 // @route   GET /api/reports/gstr1
 // @desc    Get GSTR-1 report data (Outward Supplies)
 // @access  Private
@@ -74,11 +88,15 @@ router.get('/gstr1', async (req, res) => {
       }
     };
 
-    const invoices = await Invoice.find(query)
+    const allInvoices = await Invoice.find(query)
       .populate('customer', 'name gstin state')
       .populate('items.product', 'name hsnCode')
       .sort({ invoiceDate: 1 });
 
+    // Cancelled invoices are not reported as supplies, only in the document summary
+    const invoices = allInvoices.filter(inv => inv.status !== 'CANCELLED');
+    const documentSummary = generateDocumentSummary(allInvoices);
+
     console.log('📊 Total invoices found:', invoices.length);
     if (invoices.length > 0) {
       console.log('📋 Sample invoice structure:');
@@ -137,6 +155,25 @@ router.get('/gstr1', async (req, res) => {
         gstRateTotals[rate].igst += calculatedItem.igst || 0;
         gstRateTotals[rate].totalTax += calculatedItem.taxAmount || 0;
       });
+
+      // Charges are taxed at their own rate
+      (invoice.charges || []).forEach(charge => {
+        const rate = charge.gstRate;
+        if (!gstRateTotals[rate]) {
+          gstRateTotals[rate] = {
+            taxableValue: 0,
+            cgst: 0,
+            sgst: 0,
+            igst: 0,
+            totalTax: 0
+          };
+        }
+        gstRateTotals[rate].taxableValue += charge.taxableAmount || 0;
+        gstRateTotals[rate].cgst += charge.cgst || 0;
+        gstRateTotals[rate].sgst += charge.sgst || 0;
+        gstRateTotals[rate].igst += charge.igst || 0;
+        gstRateTotals[rate].totalTax += charge.totalTax || 0;
+      });
     });
 
     console.log('📋 GST Rate Totals:', gstRateTotals);
@@ -144,7 +181,7 @@ router.get('/gstr1', async (req, res) => {
     // Summary
     const summary = {
       totalInvoices: invoices.length,
-      totalTaxableValue: invoices.reduce((sum, inv) => sum + inv.subtotal, 0),
+      totalTaxableValue: invoices.reduce((sum, inv) => sum + invoiceTaxableValue(inv), 0),
       totalCGST: invoices.reduce((sum, inv) => sum + (inv.totalCGST || 0), 0),
       totalSGST: invoices.reduce((sum, inv) => sum + (inv.totalSGST || 0), 0),
       totalIGST: invoices.reduce((sum, inv) => sum + (inv.totalIGST || 0), 0),
@@ -160,6 +197,7 @@ router.get('/gstr1', async (req, res) => {
     res.json({
       summary,
       gstRateTotals,
+      documentSummary,
       b2bInvoices: b2bInvoices.map(inv => ({
         invoiceNumber: inv.invoiceNumber,
         invoiceDate: inv.invoiceDate,
@@ -167,14 +205,15 @@ router.get('/gstr1', async (req, res) => {
         gstin: inv.customer?.gstin,
         placeOfSupply: inv.customer?.state,
         invoiceValue: inv.grandTotal,
-        taxableValue: inv.subtotal,
+        taxableValue: invoiceTaxableValue(inv),
         cgst: inv.totalCGST || 0,
         sgst: inv.totalSGST || 0,
         igst: inv.totalIGST || 0,
         gstRate: inv.items[0]?.gstRate || 0,
         cessRate: 0,
         cessAmount: 0,
-        items: (inv.items || []).map(item => ensureItemCalculations(item, inv)) // Calculate items
+        items: (inv.items || []).map(item => ensureItemCalculations(item, inv)), // Calculate items
+        charges: inv.charges || []
       })),
       b2cLarge: b2cLargeInvoices.map(inv => ({
         invoiceNumber: inv.invoiceNumber,
@@ -182,14 +221,15 @@ router.get('/gstr1', async (req, res) => {
         customerName: inv.customerName,
         placeOfSupply: inv.customerState,
         invoiceValue: inv.grandTotal,
-        taxableValue: inv.subtotal,
+        taxableValue: invoiceTaxableValue(inv),
         cgst: inv.totalCGST || 0,
         sgst: inv.totalSGST || 0,
         igst: inv.totalIGST || 0,
         gstRate: inv.items[0]?.gstRate || 0,
         cessRate: 0,
         cessAmount: 0,
-        items: (inv.items || []).map(item => ensureItemCalculations(item, inv)) // Calculate items
+        items: (inv.items || []).map(item => ensureItemCalculations(item, inv)), // Calculate items
+        charges: inv.charges || []
       })),
       b2cSmall: b2cSmallInvoices.map(inv => ({
         invoiceNumber: inv.invoiceNumber,
@@ -197,18 +237,19 @@ router.get('/gstr1', async (req, res) => {
         customerName: inv.customerName,
         placeOfSupply: inv.customerState,
         invoiceValue: inv.grandTotal,
-        taxableValue: inv.subtotal,
+        taxableValue: invoiceTaxableValue(inv),
         cgst: inv.totalCGST || 0,
         sgst: inv.totalSGST || 0,
         igst: inv.totalIGST || 0,
         gstRate: inv.items[0]?.gstRate || 0,
         cessRate: 0,
         cessAmount: 0,
-        items: (inv.items || []).map(item => ensureItemCalculations(item, inv)) // Calculate items
+        items: (inv.items || []).map(item => ensureItemCalculations(item, inv)), // Calculate items
+        charges: inv.charges || []
       })),
       b2cSmallSummary: {
         count: b2cSmallInvoices.length,
-        taxableValue: b2cSmallInvoices.reduce((sum, inv) => sum + inv.subtotal, 0),
+        taxableValue: b2cSmallInvoices.reduce((sum, inv) => sum + invoiceTaxableValue(inv), 0),
         totalTax: b2cSmallInvoices.reduce((sum, inv) => sum + inv.totalTax, 0),
         invoiceValue: b2cSmallInvoices.reduce((sum, inv) => sum + inv.grandTotal, 0)
       }
@@ -232,6 +273,7 @@ router.get('/gstr3b', async (req, res) => {
 
     const query = {
       organizationId: req.organizationId,
+      status: { $ne: 'CANCELLED' },
       invoiceDate: {
         $gte: new Date(startDate),
         $lte: new Date(endDate)
@@ -253,7 +295,7 @@ router.get('/gstr3b', async (req, res) => {
 
     // Outward Supplies (Sales)
     const outwardSupplies = {
-      taxableValue: invoices.reduce((sum, inv) => sum + inv.subtotal, 0),
+      taxableValue: invoices.reduce((sum, inv) => sum + invoiceTaxableValue(inv), 0),
       cgst: invoices.reduce((sum, inv) => sum + (inv.totalCGST || 0), 0),
       sgst: invoices.reduce((sum, inv) => sum + (inv.totalSGST || 0), 0),
       igst: invoices.reduce((sum, inv) => sum + (inv.totalIGST || 0), 0),
@@ -311,6 +353,7 @@ router.get('/tax-summary', async (req, res) => {
 
     const invoiceQuery = {
       organizationId: req.organizationId,
+      status: { $ne: 'CANCELLED' },
       invoiceDate: {
         $gte: new Date(startDate),
         $lte: new Date(endDate)
@@ -411,6 +454,7 @@ router.get('/hsn-summary', async (req, res) => {
 
     const query = {
       organizationId: req.organizationId,
+      status: { $ne: 'CANCELLED' },
       invoiceDate: {
         $gte: new Date(startDate),
         $lte: new Date(endDate)
@@ -447,6 +491,32 @@ router.get('/hsn-summary', async (req, res) => {
         hsnSummary[hsn].igst += item.igst || 0;
         hsnSummary[hsn].totalTax += item.taxAmount || 0;
       });
+
+      // Charges are services - reported under their SAC code without quantity
+      (invoice.charges || []).forEach(charge => {
+        const sac = charge.sacCode || 'N/A';
+        if (!hsnSummary[sac]) {
+          hsnSummary[sac] = {
+            hsnCode: sac,
+            description: charge.description,
+            uqc: 'NA',
+            totalQuantity: 0,
+            totalValue: 0,
+            taxableValue: 0,
+            cgst: 0,
+            sgst: 0,
+            igst: 0,
+            totalTax: 0,
+            gstRate: charge.gstRate
+          };
+        }
+        hsnSummary[sac].totalValue += charge.totalAmount || 0;
+        hsnSummary[sac].taxableValue += charge.taxableAmount || 0;
+        hsnSummary[sac].cgst += charge.cgst || 0;
+        hsnSummary[sac].sgst += charge.sgst || 0;
+        hsnSummary[sac].igst += charge.igst || 0;
+        hsnSummary[sac].totalTax += charge.totalTax || 0;
+      });
     });
 
     const hsnList = Object.values(hsnSummary).sort((a, b) => a.hsnCode.localeCompare(b.hsnCode));
@@ -469,4 +539,171 @@ router.get('/hsn-summary', async (req, res) => {
   }
 });
 
+// @route   GET /api/reports/schedule-h1-register
+// @desc    Get the statutory Schedule H1 register (supplies of H1 drugs, ?schedule=X for the Schedule X register)
+// @access  Private
+router.get('/schedule-h1-register', async (req, res) => {
+  try {
+    const { startDate, endDate, schedule = 'H1' } = req.query;
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({ message: 'Start date and end date are required' });
+    }
+
+    // Invoices billed before schedules were recorded on the line fall back to the product's schedule
+    const scheduledProducts = await Product.find(addOrgFilter(req, { drugSchedule: schedule })).select('_id');
+    const scheduledProductIds = new Set(scheduledProducts.map(product => product._id.toString()));
+
+    const invoices = await Invoice.find({
+      organizationId: req.organizationId,
+      status: { $ne: 'CANCELLED' },
+      invoiceDate: {
+        $gte: new Date(startDate),
+        $lte: endOfDay(endDate)
+      },
+      $or: [
+        { 'items.drugSchedule': schedule },
+        { 'items.product': { $in: [...scheduledProductIds] } }
+      ]
+    }).sort({ invoiceDate: 1, createdAt: 1 });
+
+    const entries = [];
+    invoices.forEach(invoice => {
+      invoice.items
+        .filter(item => item.drugSchedule
+          ? item.drugSchedule === schedule
+          : scheduledProductIds.has(item.product.toString()))
+        .forEach(item => {
+          entries.push({
+            date: invoice.invoiceDate,
+            invoiceNumber: invoice.invoiceNumber,
+            patientName: invoice.customerName,
+            patientAddress: [invoice.customerAddress, invoice.customerCity].filter(Boolean).join(', '),
+            doctorName: invoice.doctorName,
+            prescriptionNumber: invoice.prescriptionNumber,
+            prescriptionDate: invoice.prescriptionDate,
+            drugName: item.productName,
+            batchNo: item.batchNo,
+            expiryDate: item.expiryDate,
+            quantity: item.quantity,
+            returnedQuantity: item.returnedQuantity || 0,
+            unit: item.unit
+          });
+        });
+    });
+
+    res.json({
+      schedule,
+      entries,
+      summary: {
+        totalEntries: entries.length,
+        totalInvoices: invoices.length,
+        totalQuantity: entries.reduce((sum, entry) => sum + entry.quantity, 0),
+        missingPrescription: entries.filter(entry => !entry.prescriptionNumber || !entry.doctorName).length
+      }
+    });
+  } catch (error) {
+    console.error('Schedule H1 register error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/reports/receivables-ageing?asOn=
+// @desc    Customer receivables by age of invoice (0-30, 31-60, 61-90, 90+ days), per customer
+// @access  Private
+router.get('/receivables-ageing', async (req, res) => {
+  try {
+    const asOn = parseAsOnDate(req.query.asOn);
+    if (!asOn) {
+      return res.status(400).json({ message: 'Invalid as-on date' });
+    }
+
+    const bills = await getReceivableBills(req.organizationId, { asOf: asOn });
+
+    res.json({
+      asOn,
+      buckets: AGEING_BUCKETS.map(bucket => bucket.key),
+      summary: summariseAgeing(bills),
+      customers: groupAgeingByParty(bills, 'customer', 'customerName')
+    });
+  } catch (error) {
+    console.error('Receivables ageing error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/reports/receivables-ageing/:customerId?asOn=
+// @desc    Outstanding invoices of one customer with their age
+// @access  Private
+router.get('/receivables-ageing/:customerId', async (req, res) => {
+  try {
+    const asOn = parseAsOnDate(req.query.asOn);
+    if (!asOn) {
+      return res.status(400).json({ message: 'Invalid as-on date' });
+    }
+
+    const bills = await getReceivableBills(req.organizationId, { customer: req.params.customerId, asOf: asOn });
+
+    res.json({
+      asOn,
+      customer: req.params.customerId,
+      customerName: bills[0]?.customerName,
+      summary: summariseAgeing(bills),
+      bills
+    });
+  } catch (error) {
+    console.error('Receivables ageing error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/reports/payables-ageing?asOn=
+// @desc    Supplier payables by days past due date (0-30, 31-60, 61-90, 90+ days), per supplier
+// @access  Private
+router.get('/payables-ageing', async (req, res) => {
+  try {
+    const asOn = parseAsOnDate(req.query.asOn);
+    if (!asOn) {
+      return res.status(400).json({ message: 'Invalid as-on date' });
+    }
+
+    const bills = await getPayableBills(req.organizationId, { asOf: asOn });
+
+    res.json({
+      asOn,
+      buckets: AGEING_BUCKETS.map(bucket => bucket.key),
+      summary: summariseAgeing(bills),
+      suppliers: groupAgeingByParty(bills, 'supplier', 'supplierName')
+    });
+  } catch (error) {
+    console.error('Payables ageing error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/reports/payables-ageing/:supplierId?asOn=
+// @desc    Outstanding purchases of one supplier with their due dates and age
+// @access  Private
+router.get('/payables-ageing/:supplierId', async (req, res) => {
+  try {
+    const asOn = parseAsOnDate(req.query.asOn);
+    if (!asOn) {
+      return res.status(400).json({ message: 'Invalid as-on date' });
+    }
+
+    const bills = await getPayableBills(req.organizationId, { supplier: req.params.supplierId, asOf: asOn });
+
+    res.json({
+      asOn,
+      supplier: req.params.supplierId,
+      supplierName: bills[0]?.supplierName,
+      summary: summariseAgeing(bills),
+      bills
+    });
+  } catch (error) {
+    console.error('Payables ageing error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
 export default router;
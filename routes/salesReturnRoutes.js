@@ -7,6 +7,11 @@ import { tenantIsolation, addOrgFilter } from '../middleware/tenantIsolation.js'
 import { calculateItemGST, calculateTotals } from '../utils/gstCalculations.js';
 import { addBatchStock, canRestockBatch } from '../utils/inventoryManager.js';
 import { postSalesReturnToLedger } from '../utils/ledgerHelper.js';
+import Ledger from '../models/Ledger.js';
+import { calculateReturnPoints, recordLoyaltyTransaction, postLoyaltyToLedger } from '../utils/loyalty.js';
+import { recordStoreCreditTransaction } from '../utils/storeCredit.js';
+import { notifyEvent } from '../utils/notifications.js';
+import { getFinancialYear } from '../utils/gstCalculations.js';
 
 const router = express.Router();
 
@@ -136,7 +141,7 @@ router.get('/:id', async (req, res) => {
 // @access  Private
 router.post('/', async (req, res) => {
   try {
-    const { originalInvoice: invoiceId, items, reason, reasonDescription, refundMethod } = req.body;
+    const { originalInvoice: invoiceId, items, reason, reasonDescription, refundMethod, numberingSeries } = req.body;
 
     // Validate original invoice
     const invoice = await Invoice.findOne(addOrgFilter(req, { _id: invoiceId }))
@@ -146,17 +151,28 @@ router.post('/', async (req, res) => {
       return res.status(404).json({ message: 'Original invoice not found' });
     }
 
+    if (invoice.status === 'CANCELLED') {
+      return res.status(400).json({ message: 'Cannot create a return against a cancelled invoice' });
+    }
+
+    if (refundMethod === 'STORE_CREDIT' && !invoice.customer) {
+      return res.status(400).json({ message: 'Store credit can only be given to a saved customer' });
+    }
+
     // Process return items
     const processedItems = [];
+    const returnedLines = [];
     for (const item of items) {
       // Find original invoice item
       // For old invoices without batch tracking, match by product
       // For new invoices with batch tracking, match by batch
+      // (a buy X get Y free line shares its batch with the billed line - isFree picks between them)
       let originalItem;
       if (item.batch) {
         // New invoice - match by batch
         originalItem = invoice.items.find(
-          ii => ii.batch && ii.batch.toString() === item.batch.toString()
+          ii => ii.batch && ii.batch.toString() === item.batch.toString() &&
+            Boolean(ii.isFree) === Boolean(item.isFree)
         );
       } else {
         // Old invoice - match by product (and ensure not already fully returned)
@@ -180,7 +196,8 @@ router.post('/', async (req, res) => {
       const itemWithGST = calculateItemGST({
         ...item,
         sellingPrice: originalItem.sellingPrice,
-        gstRate: originalItem.gstRate
+        gstRate: originalItem.gstRate,
+        isFree: originalItem.isFree
       }, invoice.taxType, 'invoice');
 
       // Only restock if batch exists and can be restocked
@@ -210,11 +227,15 @@ router.post('/', async (req, res) => {
 
       // Update original invoice item returned quantity
       originalItem.returnedQuantity = alreadyReturned + item.quantity;
+      returnedLines.push({ originalItem, quantity: item.quantity });
     }
 
     // Calculate totals
     const totals = calculateTotals(processedItems, {}, 0);
 
+    // Loyalty points earned on the returned lines are taken back
+    const loyaltyPointsReversed = invoice.customer ? calculateReturnPoints(invoice, returnedLines) : 0;
+
     // Create sales return
     const salesReturn = await SalesReturn.create({
       userId: req.user._id,
@@ -225,6 +246,7 @@ router.post('/', async (req, res) => {
       customerGstin: invoice.customerGstin,
       originalInvoice: invoice._id,
       originalInvoiceNumber: invoice.invoiceNumber,
+      numberingSeries: numberingSeries || undefined,
       reason,
       reasonDescription,
       refundMethod,
@@ -232,6 +254,7 @@ router.post('/', async (req, res) => {
       refundedAmount: refundMethod ? totals.grandTotal : 0,
       items: processedItems,
       taxType: invoice.taxType,
+      loyaltyPointsReversed,
       ...totals
     });
 
@@ -244,10 +267,11 @@ router.post('/', async (req, res) => {
     invoice.isReturned = allItemsFullyReturned;
     invoice.partiallyReturned = !allItemsFullyReturned && invoice.items.some(item => (item.returnedQuantity || 0) > 0);
     invoice.returnedAmount += totals.grandTotal;
+    invoice.loyaltyPointsReversed = (invoice.loyaltyPointsReversed || 0) + loyaltyPointsReversed;
     await invoice.save();
 
-    // Update customer balance if exists
-    if (invoice.customer) {
+    // Update customer balance if exists (store credit goes to the wallet instead)
+    if (invoice.customer && refundMethod !== 'STORE_CREDIT') {
       const customer = await Customer.findById(invoice.customer);
       if (customer) {
         customer.outstandingBalance -= totals.grandTotal;
@@ -258,8 +282,66 @@ router.post('/', async (req, res) => {
     // Post to ledger
     const ledgerEntries = await postSalesReturnToLedger(salesReturn, req.user._id, req.organizationId || req.user.organizationId);
     salesReturn.ledgerEntries = ledgerEntries.map(entry => entry._id);
+
+    // Credit the customer's store credit wallet
+    if (refundMethod === 'STORE_CREDIT') {
+      await recordStoreCreditTransaction({
+        organizationId: req.organizationId || req.user.organizationId,
+        userId: req.user._id,
+        customer: invoice.customer._id,
+        type: 'SALES_RETURN',
+        amount: salesReturn.grandTotal,
+        invoice: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        salesReturn: salesReturn._id,
+        creditNoteNumber: salesReturn.creditNoteNumber,
+        description: `Store credit for return ${salesReturn.creditNoteNumber}`
+      });
+    }
+
+    if (loyaltyPointsReversed > 0) {
+      const organizationId = req.organizationId || req.user.organizationId;
+      const reversedValue = Math.round(loyaltyPointsReversed * (invoice.loyaltyPointValue || 0) * 100) / 100;
+
+      await recordLoyaltyTransaction({
+        organizationId,
+        userId: req.user._id,
+        customer: invoice.customer._id,
+        type: 'EARN_REVERSAL',
+        points: -loyaltyPointsReversed,
+        value: reversedValue,
+        invoice: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        salesReturn: salesReturn._id,
+        description: `Points reversed - return ${salesReturn.creditNoteNumber} against ${invoice.invoiceNumber}`
+      });
+
+      const loyaltyLedgerEntries = await postLoyaltyToLedger(organizationId, req.user._id, -reversedValue, {
+        referenceType: 'SALES_RETURN',
+        referenceId: salesReturn._id,
+        referenceModel: 'SalesReturn',
+        referenceNumber: salesReturn.creditNoteNumber,
+        date: salesReturn.returnDate,
+        party: { party: 'CUSTOMER', partyId: invoice.customer._id, partyModel: 'Customer', partyName: invoice.customerName },
+        description: `Loyalty points reversed on return ${salesReturn.creditNoteNumber}`
+      });
+      salesReturn.ledgerEntries.push(...loyaltyLedgerEntries.map(entry => entry._id));
+    }
+
     await salesReturn.save();
 
+    await notifyEvent(req, 'SALES_RETURN', {
+      party: invoice.customer,
+      reference: { type: 'SALES_RETURN', id: salesReturn._id, number: salesReturn.creditNoteNumber },
+      data: {
+        referenceNumber: invoice.invoiceNumber,
+        creditNoteNumber: salesReturn.creditNoteNumber,
+        amount: salesReturn.grandTotal,
+        refundMethod: salesReturn.refundMethod,
+        date: salesReturn.returnDate
+      }
+    });
+
     res.status(201).json(salesReturn);
   } catch (error) {
     console.error('Sales return error:', error);
@@ -271,6 +353,8 @@ router.post('/', async (req, res) => {
 // @desc    Update refund status
 // @access  Private
 router.put('/:id/refund', async (req, res) => {
+  let session = null;
+
   try {
     const { refundMethod, refundedAmount } = req.body;
 
@@ -280,15 +364,98 @@ router.put('/:id/refund', async (req, res) => {
       return res.status(404).json({ message: 'Sales return not found' });
     }
 
+    // Store credit is issued once and never on top of a completed refund
+    if (salesReturn.refundStatus === 'COMPLETED' && [salesReturn.refundMethod, refundMethod].includes('STORE_CREDIT')) {
+      return res.status(400).json({ message: 'This return has already been refunded' });
+    }
+
+    if (refundMethod === 'STORE_CREDIT' && !salesReturn.customer) {
+      return res.status(400).json({ message: 'Store credit can only be given to a saved customer' });
+    }
+
+    if (refundedAmount !== undefined && !(Number(refundedAmount) >= 0 && Number(refundedAmount) <= salesReturn.grandTotal)) {
+      return res.status(400).json({ message: `Refunded amount must be between 0 and the return total ₹${salesReturn.grandTotal}` });
+    }
+
     salesReturn.refundMethod = refundMethod;
-    salesReturn.refundedAmount = refundedAmount || salesReturn.grandTotal;
+    // Store credit is always the full credit note - the receivable credit is moved to the wallet as a whole
+    salesReturn.refundedAmount = refundMethod === 'STORE_CREDIT'
+      ? salesReturn.grandTotal
+      : Number(refundedAmount) || salesReturn.grandTotal;
     salesReturn.refundStatus = 'COMPLETED';
 
-    await salesReturn.save();
+    session = await SalesReturn.startSession();
+    session.startTransaction();
+
+    // Pending returns were credited to the customer's receivable - move that credit to the wallet
+    if (refundMethod === 'STORE_CREDIT') {
+      const organizationId = req.organizationId || req.user.organizationId;
+      const amount = salesReturn.refundedAmount;
+
+      const customer = await Customer.findOne(addOrgFilter(req, { _id: salesReturn.customer })).session(session);
+      if (customer) {
+        customer.outstandingBalance += amount;
+        await customer.save({ session });
+      }
+
+      const ledgerEntries = await Ledger.createDoubleEntry(organizationId, req.user._id, [
+        {
+          account: 'ACCOUNTS_RECEIVABLE',
+          type: 'DEBIT',
+          amount,
+          party: 'CUSTOMER',
+          partyId: salesReturn.customer,
+          partyModel: 'Customer',
+          partyName: salesReturn.customerName,
+          description: `Credit note ${salesReturn.creditNoteNumber} moved to store credit`
+        },
+        {
+          account: 'CUSTOMER_CREDIT',
+          type: 'CREDIT',
+          amount,
+          party: 'CUSTOMER',
+          partyId: salesReturn.customer,
+          partyModel: 'Customer',
+          partyName: salesReturn.customerName,
+          description: `Store credit for ${salesReturn.creditNoteNumber}`
+        }
+      ], {
+        referenceType: 'SALES_RETURN',
+        referenceId: salesReturn._id,
+        referenceModel: 'SalesReturn',
+        referenceNumber: salesReturn.creditNoteNumber,
+        financialYear: getFinancialYear(new Date())
+      }, session);
+      salesReturn.ledgerEntries.push(...ledgerEntries.map(entry => entry._id));
+
+      await recordStoreCreditTransaction({
+        organizationId,
+        userId: req.user._id,
+        customer: salesReturn.customer,
+        type: 'SALES_RETURN',
+        amount,
+        invoice: salesReturn.originalInvoice,
+        invoiceNumber: salesReturn.originalInvoiceNumber,
+        salesReturn: salesReturn._id,
+        creditNoteNumber: salesReturn.creditNoteNumber,
+        description: `Store credit for return ${salesReturn.creditNoteNumber}`
+      }, session);
+    }
+
+    await salesReturn.save({ session });
+
+    await session.commitTransaction();
 
     res.json(salesReturn);
   } catch (error) {
+    if (session) {
+      await session.abortTransaction();
+    }
     res.status(500).json({ message: error.message });
+  } finally {
+    if (session) {
+      session.endSession();
+    }
   }
 });
 
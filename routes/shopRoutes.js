@@ -2,6 +2,7 @@ import express from 'express';
 import ShopSettings from '../models/ShopSettings.js';
 import { protect } from '../middleware/auth.js';
 import { tenantIsolation, addOrgFilter } from '../middleware/tenantIsolation.js';
+import { getBuiltInConfig, applyShopInvoiceSettings, validateNumberingConfig } from '../utils/documentNumbering.js';
 
 const router = express.Router();
 
@@ -41,6 +42,20 @@ router.post('/', async (req, res) => {
   try {
     let settings = await ShopSettings.findOne({ organizationId: req.organizationId });
 
+    // Invoice prefix / start number drive invoice numbering - check them against issued numbers
+    const invoicePrefix = req.body.invoicePrefix !== undefined ? req.body.invoicePrefix : settings?.invoicePrefix;
+    const invoiceStartNumber = req.body.invoiceStartNumber !== undefined
+      ? Number(req.body.invoiceStartNumber)
+      : settings?.invoiceStartNumber;
+
+    if (invoicePrefix !== settings?.invoicePrefix || invoiceStartNumber !== settings?.invoiceStartNumber) {
+      const config = applyShopInvoiceSettings(getBuiltInConfig('invoice'), { invoicePrefix, invoiceStartNumber });
+      const numberingError = await validateNumberingConfig(req.organizationId, 'invoice', config);
+      if (numberingError) {
+        return res.status(400).json({ message: numberingError });
+      }
+    }
+
     if (settings) {
       // Update existing
       settings = await ShopSettings.findOneAndUpdate(
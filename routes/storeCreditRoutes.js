@@ -0,0 +1,69 @@
+import express from 'express';
+import StoreCreditTransaction from '../models/StoreCreditTransaction.js';
+import Customer from '../models/Customer.js';
+import { protect } from '../middleware/auth.js';
+import { tenantIsolation, addOrgFilter } from '../middleware/tenantIsolation.js';
+
+const router = express.Router();
+
+// Apply authentication and tenant isolation to all routes
+router.use(protect);
+router.use(tenantIsolation);
+
+// @route   GET /api/store-credit
+// @desc    Get customers holding store credit with the total outstanding
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const customers = await Customer.find(addOrgFilter(req, { creditBalance: { $gt: 0 } }))
+      .select('name phone creditBalance')
+      .sort({ creditBalance: -1 });
+
+    res.json({
+      customers,
+      totalCredit: Math.round(customers.reduce((sum, customer) => sum + customer.creditBalance, 0) * 100) / 100
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/store-credit/customers/:customerId
+// @desc    Get a customer's store credit statement
+// @access  Private
+router.get('/customers/:customerId', async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const customer = await Customer.findOne(addOrgFilter(req, { _id: req.params.customerId }))
+      .select('name phone creditBalance');
+
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    const filter = { customer: customer._id };
+    if (startDate && endDate) {
+      filter.createdAt = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
+    }
+
+    const transactions = await StoreCreditTransaction.find(addOrgFilter(req, filter))
+      .populate('userId', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      customer,
+      balance: customer.creditBalance,
+      totalCredited: Math.round(transactions.filter(t => t.amount > 0).reduce((sum, t) => sum + t.amount, 0) * 100) / 100,
+      totalUsed: Math.round(transactions.filter(t => t.amount < 0).reduce((sum, t) => sum - t.amount, 0) * 100) / 100,
+      transactions
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -17,6 +17,24 @@ import expenseRoutes from './routes/expenseRoutes.js';
 import paymentRoutes from './routes/paymentRoutes.js';
 import inventoryRoutes from './routes/inventoryRoutes.js';
 import reportsRoutes from './routes/reportsRoutes.js';
+import quotationRoutes from './routes/quotationRoutes.js';
+import heldBillRoutes from './routes/heldBillRoutes.js';
+import numberingSeriesRoutes from './routes/numberingSeriesRoutes.js';
+import ewayBillRoutes from './routes/ewayBillRoutes.js';
+import eInvoiceRoutes from './routes/eInvoiceRoutes.js';
+import cashShiftRoutes from './routes/cashShiftRoutes.js';
+import promotionRoutes from './routes/promotionRoutes.js';
+import priceListRoutes from './routes/priceListRoutes.js';
+import loyaltyRoutes from './routes/loyaltyRoutes.js';
+import storeCreditRoutes from './routes/storeCreditRoutes.js';
+import creditOverrideRoutes from './routes/creditOverrideRoutes.js';
+import doctorRoutes from './routes/doctorRoutes.js';
+import attachmentRoutes from './routes/attachmentRoutes.js';
+import publicInvoiceRoutes from './routes/publicInvoiceRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import paymentReminderRoutes from './routes/paymentReminderRoutes.js';
+import { startOutboxWorker } from './utils/notifications.js';
+import { startReminderWorker } from './utils/paymentReminders.js';
 
 // Import Counter model to register it with Mongoose
 import './models/Counter.js';
@@ -49,6 +67,22 @@ app.use('/api/expenses', expenseRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/inventory', inventoryRoutes);
 app.use('/api/reports', reportsRoutes);
+app.use('/api/quotations', quotationRoutes);
+app.use('/api/held-bills', heldBillRoutes); // Parked POS bills
+app.use('/api/numbering-series', numberingSeriesRoutes); // Document numbering configuration
+app.use('/api/eway-bills', ewayBillRoutes); // E-way bill downloads and EWB tracking
+app.use('/api/e-invoices', eInvoiceRoutes); // E-invoice IRN generation / cancellation
+app.use('/api/cash-shifts', cashShiftRoutes); // Cashier shifts and Z-reports
+app.use('/api/promotions', promotionRoutes); // Sales promotions / schemes
+app.use('/api/price-lists', priceListRoutes); // Customer / tier price lists
+app.use('/api/loyalty', loyaltyRoutes); // Loyalty points program and statements
+app.use('/api/store-credit', storeCreditRoutes); // Customer store credit wallets
+app.use('/api/credit-overrides', creditOverrideRoutes); // Customer credit limit overrides (audit)
+app.use('/api/doctors', doctorRoutes); // Doctor master and doctor-wise sales
+app.use('/api/attachments', attachmentRoutes); // Prescription uploads (raw body, storage adapters)
+app.use('/api/public/invoices', publicInvoiceRoutes); // Shared invoice links (no login, signed token)
+app.use('/api/notifications', notificationRoutes); // Notification templates, outbox and delivery log
+app.use('/api/payment-reminders', paymentReminderRoutes); // Overdue payment reminder rules and history
 
 
 // Health check
@@ -66,5 +100,7 @@ const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  startOutboxWorker();
+  startReminderWorker();
 });
 
@@ -0,0 +1,224 @@
+import Invoice from '../models/Invoice.js';
+import Purchase from '../models/Purchase.js';
+
+/**
+ * Ageing of outstanding bills
+ * Receivables are aged from the invoice date, payables from the purchase due date
+ * (purchase due date, else the purchase / supplier payment terms, else supplier credit days).
+ */
+
+export const AGEING_BUCKETS = [
+  { key: '0-30', maxDays: 30 },
+  { key: '31-60', maxDays: 60 },
+  { key: '61-90', maxDays: 90 },
+  { key: '90+', maxDays: Infinity }
+];
+
+// Days allowed by each payment term - CUSTOM falls back to the supplier's credit days
+export const PAYMENT_TERM_DAYS = {
+  IMMEDIATE: 0,
+  NET_15: 15,
+  NET_30: 30,
+  NET_45: 45,
+  NET_60: 60
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const daysBetween = (date, asOf) => {
+  const from = new Date(date);
+  const to = new Date(asOf);
+  from.setHours(0, 0, 0, 0);
+  to.setHours(0, 0, 0, 0);
+  return Math.round((to - from) / DAY_MS);
+};
+
+/**
+ * Days from a date to the as-on date (0 for later dates)
+ * @param {Date} date
+ * @param {Date} asOf
+ * @returns {Number}
+ */
+export const getAgeDays = (date, asOf) => Math.max(0, daysBetween(date, asOf));
+
+/**
+ * Bucket key for an age in days
+ * @param {Number} days
+ * @returns {String}
+ */
+export const getAgeingBucket = (days) => AGEING_BUCKETS.find(bucket => days <= bucket.maxDays).key;
+
+/**
+ * Add up bill balances by bucket
+ * @param {Array} bills - [{ balance, bucket, notDue }]
+ * @returns {Object} - { '0-30', '31-60', '61-90', '90+', total, notDue (payables: part of 0-30 not yet due) }
+ */
+export const summariseAgeing = (bills) => {
+  const summary = Object.fromEntries(AGEING_BUCKETS.map(bucket => [bucket.key, 0]));
+  summary.total = 0;
+
+  bills.forEach(bill => {
+    summary[bill.bucket] = round(summary[bill.bucket] + bill.balance);
+    summary.total = round(summary.total + bill.balance);
+    if (bill.notDue) summary.notDue = round((summary.notDue || 0) + bill.balance);
+  });
+
+  return summary;
+};
+
+/**
+ * Ageing per customer / supplier, largest balance first
+ * @param {Array} bills - From getReceivableBills or getPayableBills
+ * @param {String} partyField - 'customer' or 'supplier'
+ * @param {String} nameField - 'customerName' or 'supplierName'
+ * @returns {Array} - [{ <partyField>, <nameField>, billCount, oldestBillDays, ...summary }]
+ */
+export const groupAgeingByParty = (bills, partyField, nameField) => {
+  const parties = new Map();
+
+  bills.forEach(bill => {
+    const key = bill[partyField].toString();
+    if (!parties.has(key)) {
+      parties.set(key, { [partyField]: bill[partyField], [nameField]: bill[nameField], bills: [] });
+    }
+    parties.get(key).bills.push(bill);
+  });
+
+  return [...parties.values()]
+    .map(({ bills: partyBills, ...party }) => ({
+      ...party,
+      billCount: partyBills.length,
+      oldestBillDays: Math.max(...partyBills.map(bill => bill.ageDays)),
+      ...summariseAgeing(partyBills)
+    }))
+    .sort((a, b) => b.total - a.total);
+};
+
+/**
+ * Balance of a bill (invoice / purchase) on a past date - payments recorded on the bill after that date are added back
+ * @param {Object} bill - grandTotal, balanceAmount, payments
+ * @param {Date} asOf
+ * @returns {Number}
+ */
+export const getBillBalanceAsOf = (bill, asOf) => {
+  const laterPayments = (bill.payments || [])
+    .filter(payment => new Date(payment.paymentDate) > asOf)
+    .reduce((sum, payment) => sum + payment.amount, 0);
+
+  return round(Math.min(bill.grandTotal || Infinity, Math.max(0, bill.balanceAmount || 0) + laterPayments));
+};
+
+/**
+ * Due date of a purchase
+ * @param {Object} purchase
+ * @param {Object} supplier - Supplier document (paymentTerms, creditDays)
+ * @returns {Date}
+ */
+export const getPurchaseDueDate = (purchase, supplier) => {
+  if (purchase.dueDate) return new Date(purchase.dueDate);
+
+  const termDays = PAYMENT_TERM_DAYS[purchase.paymentTerms]
+    ?? PAYMENT_TERM_DAYS[supplier?.paymentTerms]
+    ?? supplier?.creditDays
+    ?? 0;
+
+  const dueDate = new Date(purchase.purchaseDate);
+  dueDate.setDate(dueDate.getDate() + termDays);
+  return dueDate;
+};
+
+/**
+ * Customer invoices outstanding on a date, aged by invoice date
+ * @param {String} organizationId
+ * @param {Object} options - { customer (id, optional), asOf }
+ * @returns {Array} - [{ invoice, invoiceNumber, invoiceDate, dueDate, customer, customerName, grandTotal, balance, ageDays, bucket }]
+ */
+export const getReceivableBills = async (organizationId, { customer, asOf = new Date() } = {}) => {
+  const query = {
+    organizationId,
+    status: { $ne: 'CANCELLED' },
+    customer: customer || { $ne: null },
+    invoiceDate: { $lte: asOf },
+    $or: [{ balanceAmount: { $gt: 0 } }, { 'payments.paymentDate': { $gt: asOf } }]
+  };
+
+  const invoices = await Invoice.find(query)
+    .select('invoiceNumber invoiceDate dueDate customer customerName grandTotal balanceAmount payments.amount payments.paymentDate')
+    .sort({ invoiceDate: 1 });
+
+  return invoices
+    .map(invoice => {
+      const ageDays = getAgeDays(invoice.invoiceDate, asOf);
+      return {
+        invoice: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        invoiceDate: invoice.invoiceDate,
+        dueDate: invoice.dueDate,
+        customer: invoice.customer,
+        customerName: invoice.customerName,
+        grandTotal: invoice.grandTotal,
+        balance: getBillBalanceAsOf(invoice, asOf),
+        ageDays,
+        bucket: getAgeingBucket(ageDays)
+      };
+    })
+    .filter(bill => bill.balance > 0);
+};
+
+/**
+ * Supplier purchases outstanding on a date, aged from their due date
+ * @param {String} organizationId
+ * @param {Object} options - { supplier (id, optional), asOf }
+ * @returns {Array} - [{ purchase, purchaseNumber, supplierInvoiceNo, purchaseDate, dueDate, supplier, supplierName, grandTotal, balance, daysOverdue, ageDays, bucket, notDue }]
+ */
+export const getPayableBills = async (organizationId, { supplier, asOf = new Date() } = {}) => {
+  const query = {
+    organizationId,
+    purchaseDate: { $lte: asOf },
+    $or: [{ balanceAmount: { $gt: 0 } }, { 'payments.paymentDate': { $gt: asOf } }]
+  };
+  if (supplier) query.supplier = supplier;
+
+  const purchases = await Purchase.find(query)
+    .select('purchaseNumber supplierInvoiceNo purchaseDate dueDate paymentTerms supplier supplierName grandTotal balanceAmount payments.amount payments.paymentDate')
+    .populate('supplier', 'name paymentTerms creditDays')
+    .sort({ purchaseDate: 1 });
+
+  return purchases
+    .map(purchase => {
+      const dueDate = getPurchaseDueDate(purchase, purchase.supplier);
+      const daysOverdue = daysBetween(dueDate, asOf);
+      const ageDays = Math.max(0, daysOverdue);
+      return {
+        purchase: purchase._id,
+        purchaseNumber: purchase.purchaseNumber,
+        supplierInvoiceNo: purchase.supplierInvoiceNo,
+        purchaseDate: purchase.purchaseDate,
+        dueDate,
+        supplier: purchase.supplier?._id || purchase.populated('supplier'),
+        supplierName: purchase.supplier?.name || purchase.supplierName,
+        grandTotal: purchase.grandTotal,
+        balance: getBillBalanceAsOf(purchase, asOf),
+        daysOverdue,
+        ageDays,
+        bucket: getAgeingBucket(ageDays),
+        notDue: daysOverdue < 0
+      };
+    })
+    .filter(bill => bill.balance > 0);
+};
+
+export default {
+  AGEING_BUCKETS,
+  PAYMENT_TERM_DAYS,
+  getAgeDays,
+  getAgeingBucket,
+  summariseAgeing,
+  groupAgeingByParty,
+  getBillBalanceAsOf,
+  getPurchaseDueDate,
+  getReceivableBills,
+  getPayableBills
+};
@@ -0,0 +1,76 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Attachment storage adapters
+ * Every adapter is a factory returning an object with:
+ *   save(key, buffer, { mimeType })  => { key, size }
+ *   getStream(key)                   => Readable stream of the file
+ *   remove(key)                      => void (missing files are ignored)
+ * Adapters are selected by name (ATTACHMENT_STORAGE env, default "local")
+ */
+
+const adapters = {};
+
+/**
+ * Register a storage adapter
+ * @param {String} name - Adapter name (e.g. "s3", "gcs")
+ * @param {Function} factory - (options) => adapter
+ */
+export const registerStorageAdapter = (name, factory) => {
+  adapters[name] = factory;
+};
+
+/**
+ * Get the storage adapter for the configured backend
+ * @param {String} name - Adapter name (optional)
+ * @param {Object} options - Adapter options (root directory, bucket etc.)
+ * @returns {Object} - Storage adapter
+ */
+export const getStorageAdapter = (name = process.env.ATTACHMENT_STORAGE || 'local', options = {}) => {
+  const factory = adapters[name];
+  if (!factory) {
+    throw new Error(`Attachment storage "${name}" is not registered`);
+  }
+  return { name, ...factory(options) };
+};
+
+// Local disk adapter - files under ATTACHMENT_DIR (default ./uploads/attachments)
+const createLocalDiskStorage = (options = {}) => {
+  const rootDir = path.resolve(options.rootDir || process.env.ATTACHMENT_DIR || 'uploads/attachments');
+
+  // Keys are generated by the app, but never let one escape the root directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error('Invalid attachment key');
+    }
+    return filePath;
+  };
+
+  return {
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+      return { key, size: buffer.length };
+    },
+
+    async getStream(key) {
+      const filePath = resolveKey(key);
+      await fs.promises.access(filePath, fs.constants.R_OK);
+      return fs.createReadStream(filePath);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+registerStorageAdapter('local', createLocalDiskStorage);
+
+export default {
+  registerStorageAdapter,
+  getStorageAdapter
+};
@@ -0,0 +1,152 @@
+import Product from '../models/Product.js';
+import Batch from '../models/Batch.js';
+import Counter from '../models/Counter.js';
+
+/**
+ * Barcode helpers for scan-to-bill
+ * Manufacturer barcodes live on Product.barcodes (several per product) and Batch.barcode.
+ * Items without one get an in-store EAN-13 label code on the batch (prefix 200 - reserved for in-store use).
+ */
+
+const LABEL_CODE_PREFIX = '200';
+
+/**
+ * Normalize a scanned / entered code (scanners may add whitespace or suffixes)
+ * @param {String} code
+ * @returns {String}
+ */
+export const normalizeBarcode = (code) => String(code || '').trim().replace(/\s+/g, '');
+
+/**
+ * Normalize a list of barcodes - trims, drops blanks and duplicates
+ * @param {Array|String} barcodes
+ * @returns {Array}
+ */
+export const normalizeBarcodeList = (barcodes) => {
+  const list = Array.isArray(barcodes) ? barcodes : [barcodes];
+  return [...new Set(list.map(normalizeBarcode).filter(Boolean))];
+};
+
+/**
+ * Calculate EAN-13 check digit
+ * @param {String} digits - First 12 digits
+ * @returns {Number}
+ */
+export const calculateEANCheckDigit = (digits) => {
+  const sum = digits
+    .split('')
+    .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * Validate EAN-13 barcode (length and check digit)
+ * @param {String} code
+ * @returns {Boolean}
+ */
+export const validateEAN13 = (code) => {
+  if (!/^\d{13}$/.test(code || '')) return false;
+  return calculateEANCheckDigit(code.substring(0, 12)) === Number(code[12]);
+};
+
+/**
+ * Check manufacturer barcodes before saving
+ * Other symbologies are accepted as entered; 13-digit codes must be valid EAN-13 outside the in-store range
+ * @param {Array} barcodes - Normalized codes
+ * @returns {String|null} - Error message, or null when all codes are accepted
+ */
+export const validateManufacturerBarcodes = (barcodes) => {
+  for (const code of barcodes) {
+    if (!/^\d{13}$/.test(code)) continue;
+
+    if (!validateEAN13(code)) {
+      return `Barcode ${code} is not a valid EAN-13 code (check digit mismatch)`;
+    }
+    if (code.startsWith(LABEL_CODE_PREFIX)) {
+      return `Barcode ${code} is in the in-store label range (${LABEL_CODE_PREFIX}...) - use the label code instead`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Generate the next in-store label code for an organization
+ * @param {String} organizationId
+ * @returns {String} - EAN-13 code, e.g. 2000000000015
+ */
+export const generateLabelCode = async (organizationId) => {
+  const sequence = await Counter.getNextSequence(organizationId, 'batchLabel', 'ALL');
+  const digits = `${LABEL_CODE_PREFIX}${String(sequence).padStart(9, '0')}`;
+  return `${digits}${calculateEANCheckDigit(digits)}`;
+};
+
+/**
+ * Find products (other than excludeProductId) already using any of the barcodes
+ * @param {String} organizationId
+ * @param {Array} barcodes
+ * @param {String} excludeProductId - Product being updated (optional)
+ * @returns {Object|null} - { barcode, product } of the first conflict
+ */
+export const findBarcodeConflict = async (organizationId, barcodes, excludeProductId = null) => {
+  if (!barcodes || barcodes.length === 0) return null;
+
+  const filter = { organizationId, barcodes: { $in: barcodes } };
+  if (excludeProductId) {
+    filter._id = { $ne: excludeProductId };
+  }
+
+  const product = await Product.findOne(filter).select('name barcodes');
+  if (!product) return null;
+
+  return {
+    barcode: barcodes.find(code => product.barcodes.includes(code)),
+    product
+  };
+};
+
+/**
+ * Resolve a scanned code to a product (and batch when the code is batch specific)
+ * Order: batch label code, batch barcode, product barcode
+ * @param {String} organizationId
+ * @param {String} code
+ * @returns {Object|null} - { product, batch, matchedBy }
+ */
+export const resolveBarcode = async (organizationId, code) => {
+  const normalized = normalizeBarcode(code);
+  if (!normalized) return null;
+
+  const batch = await Batch.findOne({
+    organizationId,
+    $or: [{ labelCode: normalized }, { barcode: normalized }],
+    isActive: true
+  }).sort({ quantity: -1 });
+
+  if (batch) {
+    const product = await Product.findOne({ _id: batch.product, organizationId, isActive: true });
+    if (product) {
+      return {
+        product,
+        batch,
+        matchedBy: batch.labelCode === normalized ? 'BATCH_LABEL' : 'BATCH_BARCODE'
+      };
+    }
+  }
+
+  const product = await Product.findOne({ organizationId, barcodes: normalized, isActive: true });
+  if (product) {
+    return { product, batch: null, matchedBy: 'PRODUCT_BARCODE' };
+  }
+
+  return null;
+};
+
+export default {
+  normalizeBarcode,
+  normalizeBarcodeList,
+  calculateEANCheckDigit,
+  validateEAN13,
+  validateManufacturerBarcodes,
+  generateLabelCode,
+  findBarcodeConflict,
+  resolveBarcode
+};
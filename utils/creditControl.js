@@ -0,0 +1,96 @@
+import Invoice from '../models/Invoice.js';
+
+/**
+ * Customer credit control
+ * A credit sale (invoice with a balance) is blocked when it takes the customer past their credit limit
+ * or the customer has overdue bills, unless an owner approves a CreditOverride.
+ */
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Due date for a customer invoice
+ * @param {Date} invoiceDate
+ * @param {Object} customer - Customer document (creditDays)
+ * @returns {Date|undefined}
+ */
+export const calculateDueDate = (invoiceDate, customer) => {
+  if (!customer || !customer.creditDays) return undefined;
+
+  const dueDate = new Date(invoiceDate);
+  dueDate.setDate(dueDate.getDate() + customer.creditDays);
+  return dueDate;
+};
+
+/**
+ * Get a customer's overdue unpaid invoices
+ * Invoices without a due date fall due creditDays after the invoice date
+ * @param {String} organizationId
+ * @param {Object} customer - Customer document
+ * @param {Date} asOf
+ * @returns {Array} - Invoices (invoiceNumber, invoiceDate, dueDate, balanceAmount)
+ */
+export const getOverdueInvoices = async (organizationId, customer, asOf = new Date()) => {
+  const dueConditions = [{ dueDate: { $lt: asOf } }];
+
+  if (customer.creditDays > 0) {
+    const cutoff = new Date(asOf);
+    cutoff.setDate(cutoff.getDate() - customer.creditDays);
+    dueConditions.push({ dueDate: null, invoiceDate: { $lt: cutoff } });
+  }
+
+  return await Invoice.find({
+    organizationId,
+    customer: customer._id,
+    status: { $ne: 'CANCELLED' },
+    balanceAmount: { $gt: 0 },
+    $or: dueConditions
+  })
+    .select('invoiceNumber invoiceDate dueDate balanceAmount')
+    .sort({ invoiceDate: 1 });
+};
+
+/**
+ * Check whether a new credit sale is within the customer's limits
+ * @param {String} organizationId
+ * @param {Object} customer - Customer document
+ * @param {Number} amount - Unpaid amount of the new invoice
+ * @returns {Object} - { allowed, violations, message, creditLimit, outstandingBalance, newBalance, overdueAmount, overdueInvoices }
+ */
+export const checkCustomerCredit = async (organizationId, customer, amount) => {
+  const outstandingBalance = round(customer.outstandingBalance || 0);
+  const newBalance = round(outstandingBalance + amount);
+  const violations = [];
+  const messages = [];
+
+  if (customer.creditLimit > 0 && newBalance > customer.creditLimit) {
+    violations.push('CREDIT_LIMIT');
+    messages.push(`Credit limit of ₹${customer.creditLimit} exceeded (outstanding ₹${outstandingBalance} + this bill ₹${round(amount)})`);
+  }
+
+  const overdue = await getOverdueInvoices(organizationId, customer);
+  const overdueAmount = round(overdue.reduce((sum, invoice) => sum + invoice.balanceAmount, 0));
+  if (overdue.length > 0) {
+    violations.push('OVERDUE');
+    messages.push(`${overdue.length} overdue bill(s) totalling ₹${overdueAmount}`);
+  }
+
+  return {
+    allowed: violations.length === 0,
+    violations,
+    message: violations.length > 0
+      ? `${customer.name}: ${messages.join('; ')}. Owner approval is required for a credit sale.`
+      : null,
+    creditLimit: customer.creditLimit || 0,
+    outstandingBalance,
+    newBalance,
+    overdueAmount,
+    overdueInvoices: overdue.map(invoice => invoice.invoiceNumber)
+  };
+};
+
+export default {
+  calculateDueDate,
+  getOverdueInvoices,
+  checkCustomerCredit
+};
@@ -0,0 +1,161 @@
+import mongoose from 'mongoose';
+import Ledger from '../models/Ledger.js';
+import { AGEING_BUCKETS, getReceivableBills, summariseAgeing } from './ageing.js';
+import { startOfDay, endOfDay } from './dateRange.js';
+
+/**
+ * Customer statement of account
+ * Built from the customer's ACCOUNTS_RECEIVABLE ledger lines - debits (invoices) raise the balance,
+ * credits (payments, returns, cancellations) lower it.
+ */
+
+const TRANSACTION_TYPES = {
+  INVOICE: 'Invoice',
+  INVOICE_CANCELLATION: 'Invoice cancelled',
+  PAYMENT: 'Payment',
+  SALES_RETURN: 'Sales return',
+  OPENING_BALANCE: 'Opening balance',
+  ADJUSTMENT: 'Adjustment'
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Build a customer's statement for a period
+ * @param {String} organizationId
+ * @param {Object} customer - Customer document
+ * @param {Object} period - { from, to } (defaults: start of the financial year, today)
+ * @returns {Object} - { customer, from, to, openingBalance, transactions, totalDebit, totalCredit, closingBalance, ageing }
+ */
+export const getCustomerStatement = async (organizationId, customer, { from, to } = {}) => {
+  const endDate = endOfDay(to || new Date());
+
+  let startDate;
+  if (from) {
+    startDate = startOfDay(from);
+  } else {
+    // Financial year starts on 1 April
+    startDate = new Date(endDate.getMonth() < 3 ? endDate.getFullYear() - 1 : endDate.getFullYear(), 3, 1);
+  }
+
+  const baseQuery = {
+    organizationId: new mongoose.Types.ObjectId(organizationId),
+    account: 'ACCOUNTS_RECEIVABLE',
+    party: 'CUSTOMER',
+    partyId: customer._id
+  };
+
+  const [opening] = await Ledger.aggregate([
+    { $match: { ...baseQuery, date: { $lt: startDate } } },
+    {
+      $group: {
+        _id: null,
+        balance: { $sum: { $cond: [{ $eq: ['$type', 'DEBIT'] }, '$amount', { $multiply: ['$amount', -1] }] } }
+      }
+    }
+  ]);
+  const openingBalance = round(opening?.balance || 0);
+
+  const entries = await Ledger.find({ ...baseQuery, date: { $gte: startDate, $lte: endDate } })
+    .sort({ date: 1, createdAt: 1 });
+
+  let balance = openingBalance;
+  let totalDebit = 0;
+  let totalCredit = 0;
+
+  const transactions = entries.map(entry => {
+    const debit = entry.type === 'DEBIT' ? entry.amount : 0;
+    const credit = entry.type === 'CREDIT' ? entry.amount : 0;
+    balance = round(balance + debit - credit);
+    totalDebit += debit;
+    totalCredit += credit;
+
+    return {
+      date: entry.date,
+      type: TRANSACTION_TYPES[entry.referenceType] || entry.referenceType,
+      referenceType: entry.referenceType,
+      referenceId: entry.referenceId,
+      referenceNumber: entry.referenceNumber,
+      description: entry.description,
+      debit: round(debit),
+      credit: round(credit),
+      balance
+    };
+  });
+
+  const bills = await getReceivableBills(organizationId, { customer: customer._id, asOf: endDate });
+
+  return {
+    customer: {
+      _id: customer._id,
+      name: customer.name,
+      phone: customer.phone,
+      email: customer.email,
+      address: customer.address,
+      gstin: customer.gstin,
+      creditLimit: customer.creditLimit,
+      creditDays: customer.creditDays
+    },
+    from: startDate,
+    to: endDate,
+    openingBalance,
+    transactions,
+    totalDebit: round(totalDebit),
+    totalCredit: round(totalCredit),
+    closingBalance: balance,
+    ageing: {
+      summary: summariseAgeing(bills),
+      bills
+    }
+  };
+};
+
+const escapeCSV = (value) => {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-GB') : '');
+
+/**
+ * Format a statement as CSV
+ * @param {Object} statement - From getCustomerStatement
+ * @returns {String} - CSV content
+ */
+export const generateStatementCSV = (statement) => {
+  const rows = [
+    ['Statement of Account', statement.customer.name],
+    ['Period', `${formatDate(statement.from)} to ${formatDate(statement.to)}`],
+    [],
+    ['Date', 'Type', 'Reference', 'Description', 'Debit', 'Credit', 'Balance'],
+    [formatDate(statement.from), 'Opening balance', '', '', '', '', statement.openingBalance.toFixed(2)]
+  ];
+
+  statement.transactions.forEach(transaction => {
+    rows.push([
+      formatDate(transaction.date),
+      transaction.type,
+      transaction.referenceNumber,
+      transaction.description,
+      transaction.debit ? transaction.debit.toFixed(2) : '',
+      transaction.credit ? transaction.credit.toFixed(2) : '',
+      transaction.balance.toFixed(2)
+    ]);
+  });
+
+  rows.push(['', 'Total', '', '', statement.totalDebit.toFixed(2), statement.totalCredit.toFixed(2), '']);
+  rows.push([formatDate(statement.to), 'Closing balance', '', '', '', '', statement.closingBalance.toFixed(2)]);
+
+  const { summary } = statement.ageing;
+  rows.push([]);
+  rows.push(['Ageing (days)', ...AGEING_BUCKETS.map(bucket => bucket.key), 'Total']);
+  rows.push(['Outstanding', ...AGEING_BUCKETS.map(bucket => summary[bucket.key].toFixed(2)), summary.total.toFixed(2)]);
+
+  return rows.map(row => row.map(escapeCSV).join(',')).join('\n');
+};
+
+export default {
+  getCustomerStatement,
+  generateStatementCSV
+};
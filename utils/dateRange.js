@@ -0,0 +1,32 @@
+/**
+ * Date range helpers
+ * Filters take dates from the query string (midnight); the last day of a range has to run
+ * to the end of that day so documents dated during it are included.
+ */
+
+/**
+ * Start of a day (00:00:00.000 local time)
+ * @param {Date|String} date
+ * @returns {Date}
+ */
+export const startOfDay = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  return start;
+};
+
+/**
+ * End of a day (23:59:59.999 local time)
+ * @param {Date|String} date
+ * @returns {Date}
+ */
+export const endOfDay = (date) => {
+  const end = new Date(date);
+  end.setHours(23, 59, 59, 999);
+  return end;
+};
+
+export default {
+  startOfDay,
+  endOfDay
+};
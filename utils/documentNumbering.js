@@ -0,0 +1,263 @@
+import mongoose from 'mongoose';
+import { getFinancialYear } from './gstCalculations.js';
+
+/**
+ * Document number generation
+ * Numbers come from the organization's configured NumberingSeries when one exists,
+ * otherwise from the built-in formats (e.g. INV-YYYY-OO-000001) kept for existing data.
+ */
+
+// Document type => model, number field and built-in format
+export const DOCUMENT_TYPES = {
+  invoice: { model: 'Invoice', field: 'invoiceNumber', dateField: 'invoiceDate', prefix: 'INV-{YYYY}-{ORG}-', padding: 6 },
+  purchase: { model: 'Purchase', field: 'purchaseNumber', dateField: 'purchaseDate', prefix: 'PUR-{YYYY}-{ORG}-', padding: 6 },
+  salesReturn: { model: 'SalesReturn', field: 'creditNoteNumber', dateField: 'returnDate', prefix: 'CN-{YYYY}-{MM}-{ORG}-', padding: 4 },
+  purchaseReturn: { model: 'PurchaseReturn', field: 'debitNoteNumber', dateField: 'returnDate', prefix: 'DN-{YYYY}-{MM}-{ORG}-', padding: 4 },
+  quotation: { model: 'Quotation', field: 'quotationNumber', dateField: 'quotationDate', prefix: 'QT-{YYYY}-{ORG}-', padding: 6 }
+};
+
+/**
+ * Get organization initials used by the {ORG} token
+ * @param {String} organizationId
+ * @returns {String} - First 2 chars of organization name (uppercase)
+ */
+export const getOrgInitials = async (organizationId) => {
+  const Organization = mongoose.model('Organization');
+
+  const org = await Organization.findById(organizationId).select('organizationName');
+  if (!org) {
+    throw new Error('Organization not found');
+  }
+
+  return org.organizationName
+    .trim()
+    .substring(0, 2)
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '') || 'XX'; // Fallback to 'XX' if no valid chars
+};
+
+/**
+ * Replace prefix template tokens
+ * @param {String} template - e.g. "INV/{FY}/"
+ * @param {Date} date - Document date
+ * @param {String} orgInitials
+ * @returns {String}
+ */
+export const renderPrefix = (template, date, orgInitials) => {
+  const d = new Date(date);
+  const year = String(d.getFullYear());
+  const fy = getFinancialYear(d);
+
+  return template
+    .replace(/\{YYYY\}/g, year)
+    .replace(/\{YY\}/g, year.slice(-2))
+    .replace(/\{MM\}/g, String(d.getMonth() + 1).padStart(2, '0'))
+    .replace(/\{FY\}/g, `${fy.slice(0, 4)}-${fy.slice(-2)}`)
+    .replace(/\{ORG\}/g, orgInitials);
+};
+
+/**
+ * Counter period key for a numbering config
+ * Built-in formats keep their calendar-year counters so existing sequences continue
+ * @param {Object} config - Numbering config from resolveNumberingConfig
+ * @param {Date} date - Document date
+ * @returns {String}
+ */
+const getCounterKey = (config, date) => {
+  if (!config.seriesId) {
+    return String(new Date(date).getFullYear());
+  }
+
+  const period = config.resetPolicy === 'FINANCIAL_YEAR' ? getFinancialYear(date) : 'ALL';
+  return `${config.seriesId}_${period}`;
+};
+
+/**
+ * Numbering config of the built-in format for a document type
+ * @param {String} documentType - Key of DOCUMENT_TYPES
+ * @returns {Object} - { seriesId, prefix, padding, startNumber, resetPolicy }
+ */
+export const getBuiltInConfig = (documentType) => {
+  const docType = DOCUMENT_TYPES[documentType];
+
+  return {
+    seriesId: null,
+    prefix: docType.prefix,
+    padding: docType.padding,
+    startNumber: 1,
+    resetPolicy: 'CALENDAR_YEAR'
+  };
+};
+
+/**
+ * Build the numbering config for a document
+ * @param {String} organizationId
+ * @param {String} documentType - Key of DOCUMENT_TYPES
+ * @param {String} seriesId - Explicit series (optional, else the default series)
+ * @returns {Object} - { seriesId, prefix, padding, startNumber, resetPolicy }
+ */
+export const resolveNumberingConfig = async (organizationId, documentType, seriesId = null) => {
+  const docType = DOCUMENT_TYPES[documentType];
+  if (!docType) {
+    throw new Error(`Unknown document type: ${documentType}`);
+  }
+
+  const NumberingSeries = mongoose.model('NumberingSeries');
+
+  const series = seriesId
+    ? await NumberingSeries.findOne({ _id: seriesId, organizationId, documentType, isActive: true })
+    : await NumberingSeries.findOne({ organizationId, documentType, isDefault: true, isActive: true });
+
+  if (seriesId && !series) {
+    throw new Error('Numbering series not found or inactive');
+  }
+
+  if (series) {
+    return {
+      seriesId: series._id,
+      prefix: series.prefix,
+      padding: series.padding,
+      startNumber: series.startNumber,
+      resetPolicy: series.resetPolicy
+    };
+  }
+
+  // Built-in format - invoices honour ShopSettings invoicePrefix / invoiceStartNumber
+  const config = getBuiltInConfig(documentType);
+
+  if (documentType === 'invoice') {
+    const ShopSettings = mongoose.model('ShopSettings');
+    const settings = await ShopSettings.findOne({ organizationId }).select('invoicePrefix invoiceStartNumber');
+
+    if (settings) {
+      return applyShopInvoiceSettings(config, settings);
+    }
+  }
+
+  return config;
+};
+
+/**
+ * Apply ShopSettings invoicePrefix / invoiceStartNumber to the built-in invoice format
+ * @param {Object} config - Built-in invoice config
+ * @param {Object} settings - { invoicePrefix, invoiceStartNumber }
+ * @returns {Object}
+ */
+export const applyShopInvoiceSettings = (config, settings) => {
+  const invoicePrefix = settings.invoicePrefix && settings.invoicePrefix.trim();
+
+  return {
+    ...config,
+    prefix: invoicePrefix ? `${invoicePrefix}-{YYYY}-{ORG}-` : config.prefix,
+    startNumber: settings.invoiceStartNumber ?? 1
+  };
+};
+
+/**
+ * Generate the next document number (atomically increments Counter)
+ * @param {String} organizationId
+ * @param {String} documentType - Key of DOCUMENT_TYPES
+ * @param {Date} date - Document date
+ * @param {String} seriesId - Explicit series (optional)
+ * @param {Object} session - MongoDB session of the document's transaction (optional)
+ * @returns {String} - Formatted document number
+ */
+export const generateDocumentNumber = async (organizationId, documentType, date = new Date(), seriesId = null, session = null) => {
+  const Counter = mongoose.model('Counter');
+
+  const config = await resolveNumberingConfig(organizationId, documentType, seriesId);
+  const orgInitials = await getOrgInitials(organizationId);
+
+  const sequence = await Counter.getNextSequence(organizationId, documentType, getCounterKey(config, date), session);
+
+  return formatNumber(config, sequence, date, orgInitials);
+};
+
+/**
+ * Preview the number the next document would get (Counter is not touched)
+ * @param {String} organizationId
+ * @param {String} documentType
+ * @param {Object} config - Numbering config
+ * @param {Date} date
+ * @returns {String}
+ */
+export const previewNextNumber = async (organizationId, documentType, config, date = new Date()) => {
+  const Counter = mongoose.model('Counter');
+
+  const orgInitials = await getOrgInitials(organizationId);
+  const current = await Counter.getCurrentSequence(organizationId, documentType, getCounterKey(config, date));
+
+  return formatNumber(config, current + 1, date, orgInitials);
+};
+
+/**
+ * Validate a numbering config against numbers already issued
+ * The next number must not exist yet and must follow the highest existing number with the same prefix
+ * @param {String} organizationId
+ * @param {String} documentType
+ * @param {Object} config - Proposed numbering config
+ * @param {Date} date
+ * @returns {String|null} - Error message, or null when the config is safe
+ */
+export const validateNumberingConfig = async (organizationId, documentType, config, date = new Date()) => {
+  const docType = DOCUMENT_TYPES[documentType];
+  if (!docType) {
+    return `Unknown document type: ${documentType}`;
+  }
+
+  if (!config.prefix || !config.prefix.trim()) {
+    return 'Prefix is required';
+  }
+
+  if (!Number.isInteger(config.padding) || config.padding < 1 || config.padding > 12) {
+    return 'Padding must be a whole number between 1 and 12';
+  }
+
+  if (!Number.isInteger(config.startNumber) || config.startNumber < 1) {
+    return 'Start number must be a whole number of at least 1';
+  }
+
+  const Counter = mongoose.model('Counter');
+  const Model = mongoose.model(docType.model);
+
+  const orgInitials = await getOrgInitials(organizationId);
+  const renderedPrefix = renderPrefix(config.prefix, date, orgInitials);
+  const current = await Counter.getCurrentSequence(organizationId, documentType, getCounterKey(config, date));
+  const nextNumber = config.startNumber + current;
+
+  // Highest number already issued under this prefix
+  const pattern = new RegExp(`^${escapeRegex(renderedPrefix)}(\\d+)$`);
+  const existing = await Model.find({ organizationId, [docType.field]: pattern }).select(docType.field).lean();
+
+  const highest = existing.reduce((max, doc) => {
+    const match = doc[docType.field].match(pattern);
+    return match ? Math.max(max, parseInt(match[1], 10)) : max;
+  }, 0);
+
+  if (highest >= nextNumber) {
+    const nextFormatted = formatNumber(config, current + 1, date, orgInitials);
+    return `Next number ${nextFormatted} would not follow existing number ${renderedPrefix}${String(highest).padStart(config.padding, '0')}. Use a start number above ${highest} or a different prefix.`;
+  }
+
+  return null;
+};
+
+// Sequence is counted from 1 per period; startNumber shifts the printed number
+const formatNumber = (config, sequence, date, orgInitials) => {
+  const number = config.startNumber + sequence - 1;
+  return `${renderPrefix(config.prefix, date, orgInitials)}${String(number).padStart(config.padding, '0')}`;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export default {
+  DOCUMENT_TYPES,
+  getOrgInitials,
+  renderPrefix,
+  getBuiltInConfig,
+  resolveNumberingConfig,
+  applyShopInvoiceSettings,
+  generateDocumentNumber,
+  previewNextNumber,
+  validateNumberingConfig
+};
@@ -0,0 +1,261 @@
+import { validateGSTIN, getStateCodeFromGSTIN } from './gstCalculations.js';
+
+/**
+ * Generate GST e-invoice (INV-01 schema v1.1) JSON for IRP
+ * For B2B invoices - buyer must have a GSTIN
+ */
+
+// Product unit => GST Unique Quantity Code
+const UQC_MAP = {
+  PCS: 'PCS',
+  BOX: 'BOX',
+  STRIP: 'OTH',
+  BOTTLE: 'BTL',
+  KG: 'KGS',
+  LITRE: 'LTR'
+};
+
+// IRP document number: max 16 chars, alphanumeric with / and -, cannot start with 0, / or -
+const IRP_DOC_NUMBER = /^[1-9A-Za-z][0-9A-Za-z/-]{0,15}$/;
+
+// Invoice numbering series that fits the IRP rules (e.g. 2026-27/000001) - the built-in
+// INV-YYYY-OO-000001 format is too long, so e-invoicing needs a series like this as the default
+export const E_INVOICE_SERIES = {
+  name: 'E-invoice',
+  prefix: '{FY}/',
+  padding: 6,
+  resetPolicy: 'FINANCIAL_YEAR'
+};
+
+/**
+ * Check whether a document number is accepted by the IRP
+ * @param {String} number
+ * @returns {Boolean}
+ */
+export const isValidIrpDocumentNumber = (number) => IRP_DOC_NUMBER.test(number || '');
+
+// IRN can be cancelled on the IRP only within 24 hours of generation
+export const IRN_CANCEL_WINDOW_HOURS = 24;
+
+// IRP cancellation reason codes
+export const IRN_CANCEL_REASONS = {
+  1: 'Duplicate',
+  2: 'Data entry mistake',
+  3: 'Order cancelled',
+  4: 'Others'
+};
+
+/**
+ * Validate that an invoice can be reported to IRP
+ * @param {Object} invoice - Invoice document
+ * @param {Object} shopSettings - Shop settings with GSTIN
+ * @param {Object} customer - Customer document (optional, for pincode/address)
+ * @returns {Array} - List of validation errors (empty when valid)
+ */
+export const validateEInvoice = (invoice, shopSettings, customer = null) => {
+  const errors = [];
+
+  if (!shopSettings || !validateGSTIN(shopSettings.gstin)) {
+    errors.push('Shop GSTIN is missing or invalid');
+  }
+
+  if (!shopSettings || !/^\d{6}$/.test(shopSettings.pincode || '')) {
+    errors.push('Shop pincode must be 6 digits');
+  }
+
+  if (!validateGSTIN(invoice.customerGstin)) {
+    errors.push('E-invoice is only for B2B invoices - customer GSTIN is missing or invalid');
+  }
+
+  const buyerPincode = customer?.pincode;
+  if (!/^\d{6}$/.test(buyerPincode || '')) {
+    errors.push('Customer pincode must be 6 digits');
+  }
+
+  if (!isValidIrpDocumentNumber(invoice.invoiceNumber)) {
+    errors.push(`Invoice number ${invoice.invoiceNumber} is not valid for e-invoice (max 16 characters, letters, digits, / and - only). Set a default invoice numbering series such as ${E_INVOICE_SERIES.prefix} with ${E_INVOICE_SERIES.padding} digits.`);
+  }
+
+  if (invoice.status === 'CANCELLED') {
+    errors.push('Invoice is cancelled');
+  }
+
+  return errors;
+};
+
+/**
+ * Generate e-invoice JSON from invoice
+ * @param {Object} invoice - Invoice document
+ * @param {Object} shopSettings - Shop settings with GSTIN
+ * @param {Object} customer - Customer document (optional, for pincode/address)
+ * @returns {Object} - INV-01 JSON
+ */
+export const generateEInvoicePayload = (invoice, shopSettings, customer = null) => {
+  const errors = validateEInvoice(invoice, shopSettings, customer);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+
+  const sellerStateCode = getStateCodeFromGSTIN(shopSettings.gstin);
+  const buyerStateCode = getStateCodeFromGSTIN(invoice.customerGstin);
+
+  const itemList = invoice.items.map((item, index) => {
+    const grossAmount = round(item.sellingPrice * item.quantity);
+
+    return {
+      SlNo: String(index + 1),
+      PrdDesc: item.productName,
+      IsServc: 'N',
+      HsnCd: item.hsnCode || '',
+      Qty: item.quantity,
+      Unit: UQC_MAP[item.unit] || 'OTH',
+      UnitPrice: round(item.sellingPrice),
+      TotAmt: grossAmount,
+      Discount: round(item.discountAmount || 0),
+      AssAmt: round(item.taxableAmount || 0),
+      GstRt: item.gstRate,
+      IgstAmt: round(item.igst || 0),
+      CgstAmt: round(item.cgst || 0),
+      SgstAmt: round(item.sgst || 0),
+      CesRt: 0,
+      CesAmt: 0,
+      TotItemVal: round(item.totalAmount || 0),
+      ...(item.batchNo && {
+        BchDtls: {
+          Nm: item.batchNo,
+          ...(item.expiryDate && { ExpDt: formatDate(item.expiryDate) })
+        }
+      })
+    };
+  });
+
+  // Charges (delivery, packing...) are services - reported under their SAC code
+  const charges = invoice.charges || [];
+  const chargeList = charges.map((charge, index) => ({
+    SlNo: String(itemList.length + index + 1),
+    PrdDesc: charge.description,
+    IsServc: 'Y',
+    HsnCd: charge.sacCode || '',
+    Qty: 1,
+    Unit: 'OTH',
+    UnitPrice: round(charge.taxableAmount),
+    TotAmt: round(charge.taxableAmount),
+    Discount: 0,
+    AssAmt: round(charge.taxableAmount),
+    GstRt: charge.gstRate,
+    IgstAmt: round(charge.igst || 0),
+    CgstAmt: round(charge.cgst || 0),
+    SgstAmt: round(charge.sgst || 0),
+    CesRt: 0,
+    CesAmt: 0,
+    TotItemVal: round(charge.totalAmount || 0)
+  }));
+
+  const chargesTaxable = charges.reduce((sum, charge) => sum + (charge.taxableAmount || 0), 0);
+
+  return {
+    Version: '1.1',
+    TranDtls: {
+      TaxSch: 'GST',
+      SupTyp: 'B2B',
+      RegRev: 'N',
+      IgstOnIntra: 'N'
+    },
+    DocDtls: {
+      Typ: 'INV',
+      No: invoice.invoiceNumber,
+      Dt: formatDate(invoice.invoiceDate)
+    },
+    SellerDtls: {
+      Gstin: shopSettings.gstin,
+      LglNm: shopSettings.shopName,
+      TrdNm: shopSettings.shopName,
+      Addr1: truncate(shopSettings.address || shopSettings.city, 100),
+      Loc: shopSettings.city || '',
+      Pin: Number(shopSettings.pincode),
+      Stcd: sellerStateCode,
+      ...(shopSettings.phone && { Ph: shopSettings.phone.replace(/\D/g, '').slice(-12) }),
+      ...(shopSettings.email && { Em: shopSettings.email })
+    },
+    BuyerDtls: {
+      Gstin: invoice.customerGstin,
+      LglNm: invoice.customerName,
+      TrdNm: invoice.customerName,
+      Pos: buyerStateCode, // Place of supply
+      Addr1: truncate(invoice.customerAddress || customer?.address || invoice.customerCity || customer?.city, 100),
+      Loc: invoice.customerCity || customer?.city || '',
+      Pin: Number(customer.pincode),
+      Stcd: buyerStateCode,
+      ...(invoice.customerPhone && { Ph: invoice.customerPhone.replace(/\D/g, '').slice(-12) })
+    },
+    ItemList: [...itemList, ...chargeList],
+    ValDtls: {
+      AssVal: round(invoice.subtotal + chargesTaxable),
+      CgstVal: round(invoice.totalCGST || 0),
+      SgstVal: round(invoice.totalSGST || 0),
+      IgstVal: round(invoice.totalIGST || 0),
+      CesVal: 0,
+      StCesVal: 0,
+      Discount: round(invoice.discount || 0),
+      OthChrg: round((invoice.additionalCharges || 0) - chargesTaxable), // Untaxed charges
+      RndOffAmt: round(invoice.roundOff || 0),
+      TotInvVal: round(invoice.grandTotal)
+    }
+  };
+};
+
+/**
+ * Check whether an IRN can still be cancelled on the IRP
+ * @param {Date} ackDate - IRN acknowledgement date
+ * @param {Date} now
+ * @returns {Boolean}
+ */
+export const canCancelIRN = (ackDate, now = new Date()) => {
+  if (!ackDate) return false;
+  const hoursSince = (new Date(now) - new Date(ackDate)) / (1000 * 60 * 60);
+  return hoursSince <= IRN_CANCEL_WINDOW_HOURS;
+};
+
+/**
+ * Decode the signed QR code (JWT) returned by IRP - signature is not verified here
+ * @param {String} signedQRCode
+ * @returns {Object|null} - QR payload (SellerGstin, BuyerGstin, DocNo, DocDt, TotInvVal, Irn, ...)
+ */
+export const decodeSignedQRCode = (signedQRCode) => {
+  if (!signedQRCode) return null;
+
+  const parts = signedQRCode.split('.');
+  if (parts.length !== 3) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    // IRP wraps the QR fields as a JSON string in "data"
+    return typeof payload.data === 'string' ? JSON.parse(payload.data) : payload;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Helper functions
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const truncate = (value, length) => String(value || '').substring(0, length);
+
+const formatDate = (date) => {
+  const d = new Date(date);
+  const day = String(d.getDate()).padStart(2, '0');
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const year = d.getFullYear();
+  return `${day}/${month}/${year}`;
+};
+
+export default {
+  E_INVOICE_SERIES,
+  isValidIrpDocumentNumber,
+  IRN_CANCEL_WINDOW_HOURS,
+  IRN_CANCEL_REASONS,
+  validateEInvoice,
+  generateEInvoicePayload,
+  canCancelIRN,
+  decodeSignedQRCode
+};
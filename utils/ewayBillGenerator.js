@@ -74,25 +74,29 @@ export const generateEWayBill = (invoice, shopSettings) => {
 
   // Transport details
   const transportDetails = {
-    transporter_id: '', // Transporter GSTIN
+    transporter_id: invoice.transporterId || '', // Transporter GSTIN
     transporter_name: invoice.transporterName || '',
-    trans_mode: '1', // Road
+    trans_mode: invoice.transportMode || '1', // 1 Road, 2 Rail, 3 Air, 4 Ship
     trans_distance: invoice.distance || 0,
-    trans_doc_no: '',
-    trans_doc_date: '',
+    trans_doc_no: invoice.transportDocNumber || '',
+    trans_doc_date: invoice.transportDocDate ? formatDate(invoice.transportDocDate) : '',
     vehicle_no: invoice.vehicleNumber || '',
     vehicle_type: 'R' // Regular
   };
 
+  // Charges (delivery, packing...) are services - not item lines, but part of the assessable value
+  // (their GST is already in the tax totals)
+  const chargesTaxable = (invoice.charges || []).reduce((sum, charge) => sum + (charge.taxableAmount || 0), 0);
+
   // Value details (totals)
   const valueDetails = {
-    total_assessable_value: invoice.subtotal,
+    total_assessable_value: round(invoice.subtotal + chargesTaxable),
     total_cgst_value: invoice.totalCGST || 0,
     total_sgst_value: invoice.totalSGST || 0,
     total_igst_value: invoice.totalIGST || 0,
     total_cess_value: 0,
     total_cess_non_advol_value: 0,
-    other_value: 0,
+    other_value: round((invoice.additionalCharges || 0) - chargesTaxable - (invoice.discount || 0)), // Untaxed charges less discount
     total_invoice_value: invoice.grandTotal,
     round_off_amount: invoice.roundOff || 0,
     total_in_words: '' // Can add amount in words
@@ -170,65 +174,87 @@ export const generateBulkEWayBills = (invoices, shopSettings) => {
   };
 };
 
+const CSV_HEADER = [
+  'Supply Type', 'Sub Type', 'Document Type', 'Document Number', 'Document Date',
+  'From GSTIN', 'From Trade Name', 'From Address', 'From Place', 'From Pincode', 'From State',
+  'To GSTIN', 'To Trade Name', 'To Address', 'To Place', 'To Pincode', 'To State',
+  'Product Name', 'Product Description', 'HSN Code', 'Quantity', 'Unit', 'Taxable Amount',
+  'CGST Rate', 'SGST Rate', 'IGST Rate', 'Cess Rate',
+  'Transporter Name', 'Transport Mode', 'Vehicle Number', 'Distance',
+  'Total Invoice Value'
+];
+
+// One CSV row per item - document/party/transport columns only on the first row
+const buildCSVRows = (ewayBill) => {
+  return ewayBill.item_list.map((item, index) => ([
+    ewayBill.doc_details.supply_type,
+    ewayBill.doc_details.sub_supply_type,
+    ewayBill.doc_details.doc_type,
+    index === 0 ? ewayBill.doc_details.doc_num : '',
+    index === 0 ? ewayBill.doc_details.doc_date : '',
+    index === 0 ? ewayBill.from_details.gstin : '',
+    index === 0 ? ewayBill.from_details.trade_name : '',
+    index === 0 ? ewayBill.from_details.address1 : '',
+    index === 0 ? ewayBill.from_details.place : '',
+    index === 0 ? ewayBill.from_details.pincode : '',
+    index === 0 ? ewayBill.from_details.state_code : '',
+    index === 0 ? ewayBill.to_details.gstin : '',
+    index === 0 ? ewayBill.to_details.trade_name : '',
+    index === 0 ? ewayBill.to_details.address1 : '',
+    index === 0 ? ewayBill.to_details.place : '',
+    index === 0 ? ewayBill.to_details.pincode : '',
+    index === 0 ? ewayBill.to_details.state_code : '',
+    item.product_name,
+    item.product_desc,
+    item.hsn_code,
+    item.quantity,
+    item.qtyUnit,
+    item.taxable_amount,
+    item.cgst_rate,
+    item.sgst_rate,
+    item.igst_rate,
+    item.cess_rate,
+    index === 0 ? ewayBill.transport_details.transporter_name : '',
+    index === 0 ? ewayBill.transport_details.trans_mode : '',
+    index === 0 ? ewayBill.transport_details.vehicle_no : '',
+    index === 0 ? ewayBill.transport_details.trans_distance : '',
+    index === 0 ? ewayBill.value_details.total_invoice_value : ''
+  ]));
+};
+
 /**
  * Format E-Way Bill for CSV download
  */
 export const generateEWayBillCSV = (ewayBill) => {
-  const csv = [];
+  const csv = [CSV_HEADER, ...buildCSVRows(ewayBill)];
+
+  return csv.map(row => row.map(escapeCSV).join(',')).join('\n');
+};
 
-  // Header
-  csv.push([
-    'Supply Type', 'Sub Type', 'Document Type', 'Document Number', 'Document Date',
-    'From GSTIN', 'From Trade Name', 'From Address', 'From Place', 'From Pincode', 'From State',
-    'To GSTIN', 'To Trade Name', 'To Address', 'To Place', 'To Pincode', 'To State',
-    'Product Name', 'Product Description', 'HSN Code', 'Quantity', 'Unit', 'Taxable Amount',
-    'CGST Rate', 'SGST Rate', 'IGST Rate', 'Cess Rate',
-    'Transporter Name', 'Transport Mode', 'Vehicle Number', 'Distance',
-    'Total Invoice Value'
-  ]);
+/**
+ * Format multiple E-Way Bills as a single CSV (one header row)
+ * @param {Array} ewayBills - E-Way Bill JSON objects from generateEWayBill
+ * @returns {String} - CSV content
+ */
+export const generateBulkEWayBillCSV = (ewayBills) => {
+  const csv = [CSV_HEADER];
 
-  // Data
-  ewayBill.item_list.forEach((item, index) => {
-    csv.push([
-      ewayBill.doc_details.supply_type,
-      ewayBill.doc_details.sub_supply_type,
-      ewayBill.doc_details.doc_type,
-      index === 0 ? ewayBill.doc_details.doc_num : '',
-      index === 0 ? ewayBill.doc_details.doc_date : '',
-      index === 0 ? ewayBill.from_details.gstin : '',
-      index === 0 ? ewayBill.from_details.trade_name : '',
-      index === 0 ? ewayBill.from_details.address1 : '',
-      index === 0 ? ewayBill.from_details.place : '',
-      index === 0 ? ewayBill.from_details.pincode : '',
-      index === 0 ? ewayBill.from_details.state_code : '',
-      index === 0 ? ewayBill.to_details.gstin : '',
-      index === 0 ? ewayBill.to_details.trade_name : '',
-      index === 0 ? ewayBill.to_details.address1 : '',
-      index === 0 ? ewayBill.to_details.place : '',
-      index === 0 ? ewayBill.to_details.pincode : '',
-      index === 0 ? ewayBill.to_details.state_code : '',
-      item.product_name,
-      item.product_desc,
-      item.hsn_code,
-      item.quantity,
-      item.qtyUnit,
-      item.taxable_amount,
-      item.cgst_rate,
-      item.sgst_rate,
-      item.igst_rate,
-      item.cess_rate,
-      index === 0 ? ewayBill.transport_details.transporter_name : '',
-      index === 0 ? ewayBill.transport_details.trans_mode : '',
-      index === 0 ? ewayBill.transport_details.vehicle_no : '',
-      index === 0 ? ewayBill.transport_details.trans_distance : '',
-      index === 0 ? ewayBill.value_details.total_invoice_value : ''
-    ]);
+  ewayBills.forEach(ewayBill => {
+    csv.push(...buildCSVRows(ewayBill));
   });
 
-  return csv.map(row => row.join(',')).join('\n');
+  return csv.map(row => row.map(escapeCSV).join(',')).join('\n');
 };
 
 // Helper functions
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const escapeCSV = (value) => {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
 const formatDate = (date) => {
   const d = new Date(date);
   const day = String(d.getDate()).padStart(2, '0');
@@ -266,5 +292,6 @@ const getStateCode = (stateOrGstin) => {
 export default {
   generateEWayBill,
   generateBulkEWayBills,
-  generateEWayBillCSV
+  generateEWayBillCSV,
+  generateBulkEWayBillCSV
 };
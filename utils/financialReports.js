@@ -16,6 +16,7 @@ export const generateProfitLoss = async (userId, startDate, endDate) => {
   const [invoices, expenses] = await Promise.all([
     Invoice.find({
       userId,
+      status: { $ne: 'CANCELLED' },
       invoiceDate: { $gte: startDate, $lte: endDate }
     }),
     Expense.find({
@@ -42,7 +42,7 @@ export const determineTaxType = (shopState, partyState) => {
 
 /**
  * Calculate item-level GST for invoice/purchase items
- * @param {Object} item - { quantity, sellingPrice/purchasePrice, discount, gstRate }
+ * @param {Object} item - { quantity, sellingPrice/purchasePrice, discount, gstRate, isFree }
  * @param {String} taxType - 'CGST_SGST' or 'IGST'
  * @param {String} context - 'purchase' or 'invoice' (optional, defaults to 'invoice')
  * @returns {Object} - Complete item with tax calculations
@@ -60,8 +60,10 @@ export const calculateItemGST = (item, taxType, context = 'invoice') => {
     }
   } else {
     // For invoices, sellingPrice is MANDATORY - no fallback to purchasePrice
+    // Only the free units of a buy X get Y promotion (isFree) are billed at zero
     price = sellingPrice;
-    if (!price || price <= 0) {
+    const isFreeLine = item.isFree && price === 0;
+    if (!isFreeLine && (!price || price <= 0)) {
       throw new Error('Selling price is required for invoice transactions');
     }
   }
@@ -83,22 +85,57 @@ export const calculateItemGST = (item, taxType, context = 'invoice') => {
   };
 };
 
+// Extra charges billed on sales invoices (services - SAC codes)
+export const INVOICE_CHARGE_TYPES = {
+  DELIVERY: { label: 'Home Delivery', sacCode: '996813' },
+  PACKING: { label: 'Packing', sacCode: '998540' },
+  COLD_CHAIN: { label: 'Cold Chain Handling', sacCode: '996729' },
+  SERVICE: { label: 'Service Charge', sacCode: '999799' },
+  OTHER: { label: 'Other Charges', sacCode: '999799' }
+};
+
+/**
+ * Calculate GST on an invoice charge (delivery, packing etc.)
+ * @param {Object} charge - { type, description, sacCode, amount, gstRate }
+ * @param {String} taxType - 'CGST_SGST' or 'IGST'
+ * @returns {Object} - Charge with taxableAmount, cgst, sgst, igst, totalTax, totalAmount
+ */
+export const calculateChargeGST = (charge, taxType) => {
+  const chargeType = INVOICE_CHARGE_TYPES[charge.type] || INVOICE_CHARGE_TYPES.OTHER;
+  const taxableAmount = Number(charge.amount) || 0;
+  const gstRate = Number(charge.gstRate) || 0;
+  const gst = calculateGST(taxableAmount, gstRate, taxType);
+
+  return {
+    type: INVOICE_CHARGE_TYPES[charge.type] ? charge.type : 'OTHER',
+    description: charge.description || chargeType.label,
+    sacCode: charge.sacCode || chargeType.sacCode,
+    gstRate,
+    taxableAmount,
+    ...gst,
+    totalAmount: taxableAmount + gst.totalTax
+  };
+};
+
 /**
  * Calculate total amounts for invoice/purchase
  * @param {Array} items - Array of items with GST calculated
- * @param {Object} additionalCharges - { freight, packaging, otherCharges }
+ * @param {Object} additionalCharges - { freight, packaging, otherCharges, charges } (charges with GST calculated)
  * @param {Number} discount - Overall discount
  * @returns {Object} - { subtotal, totalTax, totalCGST, totalSGST, totalIGST, grandTotal }
  */
 export const calculateTotals = (items, additionalCharges = {}, discount = 0) => {
+  const { freight = 0, packaging = 0, otherCharges = 0, charges = [] } = additionalCharges;
+
   const subtotal = items.reduce((sum, item) => sum + item.taxableAmount, 0);
-  const totalTax = items.reduce((sum, item) => sum + item.totalTax, 0);
-  const totalCGST = items.reduce((sum, item) => sum + (item.cgst || 0), 0);
-  const totalSGST = items.reduce((sum, item) => sum + (item.sgst || 0), 0);
-  const totalIGST = items.reduce((sum, item) => sum + (item.igst || 0), 0);
+  const totalTax = [...items, ...charges].reduce((sum, item) => sum + item.totalTax, 0);
+  const totalCGST = [...items, ...charges].reduce((sum, item) => sum + (item.cgst || 0), 0);
+  const totalSGST = [...items, ...charges].reduce((sum, item) => sum + (item.sgst || 0), 0);
+  const totalIGST = [...items, ...charges].reduce((sum, item) => sum + (item.igst || 0), 0);
 
-  const { freight = 0, packaging = 0, otherCharges = 0 } = additionalCharges;
-  const additionalTotal = freight + packaging + otherCharges;
+  // Charges are added at their taxable value, their GST is in totalTax
+  const additionalTotal = freight + packaging + otherCharges +
+    charges.reduce((sum, charge) => sum + charge.taxableAmount, 0);
 
   const grandTotal = subtotal + totalTax + additionalTotal - discount;
   const roundOff = Math.round(grandTotal) - grandTotal;
@@ -177,69 +214,80 @@ export const getFinancialYearRange = (fy) => {
 };
 
 /**
- * Convert number to words (for invoice)
- * @param {Number} amount
+ * Convert a whole number to words using the Indian numbering system
+ * @param {Number} num - Non-negative integer
  * @returns {String}
  */
-export const amountToWords = (amount) => {
+const numberToWords = (num) => {
   const ones = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine'];
   const tens = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
   const teens = ['Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
 
-  if (amount === 0) return 'Zero Rupees Only';
-
-  const num = Math.floor(amount);
-  const paise = Math.round((amount - num) * 100);
-
+  let remaining = num;
   let words = '';
 
   // Crores
-  if (num >= 10000000) {
-    words += amountToWords(Math.floor(num / 10000000)) + ' Crore ';
-    amount = num % 10000000;
+  if (remaining >= 10000000) {
+    words += numberToWords(Math.floor(remaining / 10000000)) + ' Crore ';
+    remaining = remaining % 10000000;
   }
 
   // Lakhs
-  if (num >= 100000) {
-    words += amountToWords(Math.floor(num / 100000)) + ' Lakh ';
-    amount = num % 100000;
+  if (remaining >= 100000) {
+    words += numberToWords(Math.floor(remaining / 100000)) + ' Lakh ';
+    remaining = remaining % 100000;
   }
 
   // Thousands
-  if (num >= 1000) {
-    words += amountToWords(Math.floor(num / 1000)) + ' Thousand ';
-    amount = num % 1000;
+  if (remaining >= 1000) {
+    words += numberToWords(Math.floor(remaining / 1000)) + ' Thousand ';
+    remaining = remaining % 1000;
   }
 
   // Hundreds
-  if (num >= 100) {
-    words += ones[Math.floor(num / 100)] + ' Hundred ';
-    amount = num % 100;
+  if (remaining >= 100) {
+    words += ones[Math.floor(remaining / 100)] + ' Hundred ';
+    remaining = remaining % 100;
   }
 
   // Tens and Ones
-  if (num >= 20) {
-    words += tens[Math.floor(num / 10)] + ' ';
-    words += ones[num % 10] + ' ';
-  } else if (num >= 10) {
-    words += teens[num - 10] + ' ';
-  } else if (num > 0) {
-    words += ones[num] + ' ';
+  if (remaining >= 20) {
+    words += tens[Math.floor(remaining / 10)] + ' ';
+    words += ones[remaining % 10] + ' ';
+  } else if (remaining >= 10) {
+    words += teens[remaining - 10] + ' ';
+  } else if (remaining > 0) {
+    words += ones[remaining] + ' ';
   }
 
-  words += 'Rupees';
+  return words.replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Convert number to words (for invoice)
+ * @param {Number} amount
+ * @returns {String}
+ */
+export const amountToWords = (amount) => {
+  if (!amount) return 'Zero Rupees Only';
+
+  const num = Math.floor(amount);
+  const paise = Math.round((amount - num) * 100);
+
+  let words = num > 0 ? `${numberToWords(num)} Rupees` : '';
 
   if (paise > 0) {
-    words += ' and ' + amountToWords(paise) + ' Paise';
+    words += `${words ? ' and ' : ''}${numberToWords(paise)} Paise`;
   }
 
-  return words.trim() + ' Only';
+  return `${words} Only`;
 };
 
 export default {
   calculateGST,
   determineTaxType,
   calculateItemGST,
+  calculateChargeGST,
   calculateTotals,
   reverseCalculateGST,
   validateGSTIN,
@@ -11,14 +11,15 @@ import { getFinancialYear } from './gstCalculations.js';
  * @returns {Object} - GSTR-1 data structure
  */
 export const generateGSTR1 = async (userId, startDate, endDate, gstin) => {
-  // Fetch all invoices in date range
-  const invoices = await Invoice.find({
+  // Fetch all invoices in date range (cancelled ones only feed the document summary)
+  const allInvoices = await Invoice.find({
     userId,
     invoiceDate: {
       $gte: startDate,
       $lte: endDate
     }
   }).populate('customer');
+  const invoices = allInvoices.filter(inv => inv.status !== 'CANCELLED');
 
   // Fetch all sales returns (credit notes) in date range
   const creditNotes = await SalesReturn.find({
@@ -155,6 +156,9 @@ export const generateGSTR1 = async (userId, startDate, endDate, gstin) => {
   // Nil Rated, Exempted, and Non-GST supplies (if any)
   const nil = [];
 
+  // Documents issued during the period (Table 13), including cancelled invoices
+  const doc_issue = generateDocumentSummary(allInvoices, creditNotes);
+
   // Summary
   const summary = {
     total_invoices: invoices.length,
@@ -181,10 +185,71 @@ export const generateGSTR1 = async (userId, startDate, endDate, gstin) => {
     cdnr,
     cdnur,
     nil,
+    doc_issue,
     summary
   };
 };
 
+/**
+ * Build the documents-issued summary (GSTR-1 Table 13)
+ * Every invoice number series is reported with its range, total and cancelled count
+ * @param {Array} invoices - All invoices in the period, including cancelled ones
+ * @param {Array} creditNotes - Sales returns in the period
+ * @returns {Array} - [{ doc_num, doc_typ, docs: [{ num, from, to, totnum, cancel, net_issue }] }]
+ */
+export const generateDocumentSummary = (invoices, creditNotes = []) => {
+  const summariseSeries = (documents, getNumber, isCancelled) => {
+    const series = {};
+
+    documents.forEach(doc => {
+      const number = getNumber(doc);
+      if (!number) return;
+
+      const prefix = number.replace(/\d+$/, '');
+      const sequence = parseInt(number.slice(prefix.length), 10) || 0;
+
+      if (!series[prefix]) {
+        series[prefix] = { from: number, to: number, fromSeq: sequence, toSeq: sequence, totnum: 0, cancel: 0 };
+      }
+
+      const entry = series[prefix];
+      if (sequence < entry.fromSeq) {
+        entry.from = number;
+        entry.fromSeq = sequence;
+      }
+      if (sequence > entry.toSeq) {
+        entry.to = number;
+        entry.toSeq = sequence;
+      }
+      entry.totnum++;
+      if (isCancelled(doc)) entry.cancel++;
+    });
+
+    return Object.values(series).map((entry, index) => ({
+      num: index + 1,
+      from: entry.from,
+      to: entry.to,
+      totnum: entry.totnum,
+      cancel: entry.cancel,
+      net_issue: entry.totnum - entry.cancel
+    }));
+  };
+
+  const docIssue = [];
+
+  const invoiceSeries = summariseSeries(invoices, inv => inv.invoiceNumber, inv => inv.status === 'CANCELLED');
+  if (invoiceSeries.length > 0) {
+    docIssue.push({ doc_num: 1, doc_typ: 'Invoices for outward supply', docs: invoiceSeries });
+  }
+
+  const creditNoteSeries = summariseSeries(creditNotes, cn => cn.creditNoteNumber, () => false);
+  if (creditNoteSeries.length > 0) {
+    docIssue.push({ doc_num: 5, doc_typ: 'Credit Note', docs: creditNoteSeries });
+  }
+
+  return docIssue;
+};
+
 /**
  * Convert GSTR-1 data to JSON format for GST portal upload
  */
@@ -286,7 +351,10 @@ export const generateGSTR1JSON = (gstr1Data) => {
           csamt: roundTo2(item.csamt)
         }
       }))
-    }))
+    })),
+    doc_issue: {
+      doc_det: gstr1Data.doc_issue
+    }
   };
 };
 
@@ -427,5 +495,6 @@ const roundTo2 = (num) => {
 export default {
   generateGSTR1,
   generateGSTR1JSON,
-  generateGSTR1CSV
+  generateGSTR1CSV,
+  generateDocumentSummary
 };
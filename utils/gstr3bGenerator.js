@@ -16,6 +16,7 @@ export const generateGSTR3B = async (userId, startDate, endDate, gstin) => {
   const [invoices, purchases, salesReturns, purchaseReturns] = await Promise.all([
     Invoice.find({
       userId,
+      status: { $ne: 'CANCELLED' },
       invoiceDate: { $gte: startDate, $lte: endDate }
     }),
     Purchase.find({
@@ -68,7 +68,7 @@ export const getBatchesForSale = async (productId, userId, organizationId, reque
  * @param {Object} session - MongoDB session for transaction support (optional)
  */
 export const deductBatchStock = async (batchId, quantity, session = null) => {
-  const batch = await Batch.findById(batchId);
+  const batch = await Batch.findById(batchId).session(session);
 
   if (!batch) {
     throw new Error('Batch not found');
@@ -101,7 +101,7 @@ export const deductBatchStock = async (batchId, quantity, session = null) => {
  * @param {Object} session - MongoDB session for transaction support (optional)
  */
 export const addBatchStock = async (batchId, quantity, session = null) => {
-  const batch = await Batch.findById(batchId);
+  const batch = await Batch.findById(batchId).session(session);
 
   if (!batch) {
     throw new Error('Batch not found');
@@ -286,6 +286,9 @@ export const findOrCreateBatchForPurchase = async (purchaseItem, userId, organiz
   if (batch) {
     // Add to existing batch
     batch.quantity += purchaseItem.quantity + (purchaseItem.freeQuantity || 0);
+    if (purchaseItem.barcode && !batch.barcode) {
+      batch.barcode = String(purchaseItem.barcode).trim();
+    }
     await batch.save();
 
     // Update product total stock
@@ -313,7 +316,8 @@ export const findOrCreateBatchForPurchase = async (purchaseItem, userId, organiz
       quantity: purchaseItem.quantity + (purchaseItem.freeQuantity || 0),
       purchaseInvoice: purchaseId,
       supplier: supplierId,
-      rack: purchaseItem.rack || ''
+      rack: purchaseItem.rack || '',
+      barcode: purchaseItem.barcode ? String(purchaseItem.barcode).trim() : undefined
     });
   }
 
@@ -0,0 +1,310 @@
+import mongoose from 'mongoose';
+import Invoice from '../models/Invoice.js';
+import Product from '../models/Product.js';
+import Customer from '../models/Customer.js';
+import Batch from '../models/Batch.js';
+import { addOrgFilter } from '../middleware/tenantIsolation.js';
+import { normalizeBarcode } from './barcode.js';
+import { createInvoice, invoiceError } from './invoiceService.js';
+
+/**
+ * Bulk invoice import (historical / offline bills)
+ * Every invoice goes through createInvoice - same GST calculation, FIFO stock deduction and ledger posting
+ * as POST /api/invoices. Promotions are not applied to imported bills unless applyPromotions is true.
+ * Credit control applies as well - bills over a customer's limit fail unless the file is imported with a
+ * creditOverrideReason (owners only), which approves an override per bill.
+ *
+ * JSON layout - { invoices: [...] }, each invoice is a POST /api/invoices body plus:
+ *   reference     - bill number in the previous software (required, used to skip re-imports)
+ *   customerPhone - finds the customer when the customer id is not known
+ *   items[].productCode - product barcode or exact name when the product id is not known
+ *   items[].batchNo     - batch to sell from (FIFO when omitted)
+ *
+ * CSV layout - one line per item, lines with the same reference form one invoice
+ * (invoice columns are read from its first line):
+ *   reference, invoiceDate, customerPhone, customerName, customerState, customerGstin,
+ *   productCode, batchNo, quantity, sellingPrice, discount, gstRate,
+ *   paymentMethod, paidAmount, notes, doctorName, prescriptionNumber, prescriptionDate
+ */
+
+export const CSV_COLUMNS = [
+  'reference', 'invoiceDate', 'customerPhone', 'customerName', 'customerState', 'customerGstin',
+  'productCode', 'batchNo', 'quantity', 'sellingPrice', 'discount', 'gstRate',
+  'paymentMethod', 'paidAmount', 'notes', 'doctorName', 'prescriptionNumber', 'prescriptionDate'
+];
+
+const INVOICE_COLUMNS = [
+  'invoiceDate', 'customerPhone', 'customerName', 'customerState', 'customerGstin',
+  'paymentMethod', 'paidAmount', 'notes', 'doctorName', 'prescriptionNumber', 'prescriptionDate'
+];
+
+const NUMBER_COLUMNS = ['quantity', 'sellingPrice', 'discount', 'gstRate', 'paidAmount'];
+
+const DATE_COLUMNS = ['invoiceDate', 'prescriptionDate'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Dates as YYYY-MM-DD or DD/MM/YYYY (DD-MM-YYYY)
+const parseDate = (value) => {
+  const match = value.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+  return match ? `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}` : value;
+};
+
+/**
+ * Split CSV text into rows of cells (quoted cells may contain commas, quotes and line breaks)
+ * @param {String} text
+ * @returns {Array} - Array of string arrays
+ */
+const parseCSVRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell.trim());
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(Boolean));
+};
+
+/**
+ * Parse the CSV layout into import invoices
+ * @param {String} text - CSV with a header line
+ * @returns {Array} - Invoices in the JSON layout (each with the CSV line numbers in lines)
+ */
+export const parseInvoiceCSV = (text) => {
+  const [header, ...rows] = parseCSVRows(String(text || '').replace(/^\uFEFF/, ''));
+
+  if (!header) {
+    throw invoiceError('CSV file is empty');
+  }
+
+  const columns = header.map(column => column.trim());
+  const missing = ['reference', 'productCode', 'quantity'].filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    throw invoiceError(`CSV is missing the column(s): ${missing.join(', ')}. Expected: ${CSV_COLUMNS.join(', ')}`);
+  }
+
+  const invoices = new Map();
+
+  rows.forEach((cells, index) => {
+    const line = {};
+    columns.forEach((column, position) => {
+      const value = cells[position];
+      if (value === undefined || value === '') return;
+      if (NUMBER_COLUMNS.includes(column)) {
+        line[column] = Number(value);
+      } else if (DATE_COLUMNS.includes(column)) {
+        line[column] = parseDate(value);
+      } else {
+        line[column] = value;
+      }
+    });
+
+    const reference = line.reference || `line ${index + 2}`;
+    if (!invoices.has(reference)) {
+      const invoice = { reference, items: [], lines: [] };
+      INVOICE_COLUMNS.forEach(column => {
+        if (line[column] !== undefined) invoice[column] = line[column];
+      });
+      invoices.set(reference, invoice);
+    }
+
+    const invoice = invoices.get(reference);
+    invoice.lines.push(index + 2);
+    invoice.items.push({
+      productCode: line.productCode,
+      batchNo: line.batchNo,
+      quantity: line.quantity,
+      sellingPrice: line.sellingPrice,
+      discount: line.discount,
+      gstRate: line.gstRate
+    });
+  });
+
+  return [...invoices.values()];
+};
+
+// Product by id, barcode or exact name
+const findProduct = async (req, item) => {
+  if (item.product) {
+    return mongoose.isValidObjectId(item.product)
+      ? Product.findOne(addOrgFilter(req, { _id: item.product }))
+      : null;
+  }
+
+  const code = String(item.productCode || '').trim();
+  if (!code) return null;
+
+  return (await Product.findOne(addOrgFilter(req, { barcodes: normalizeBarcode(code), isActive: true }))) ||
+    Product.findOne(addOrgFilter(req, { name: new RegExp(`^${escapeRegex(code)}$`, 'i'), isActive: true }));
+};
+
+/**
+ * Resolve the references of an import invoice (customer phone, product codes, batch numbers)
+ * into the POST /api/invoices body
+ * @param {Object} req - Express request
+ * @param {Object} invoice - Invoice in the JSON layout
+ * @returns {Object} - createInvoice payload
+ */
+export const resolveImportInvoice = async (req, invoice) => {
+  const { reference, customerPhone, lines, items, ...invoiceData } = invoice;
+
+  if (!reference) {
+    throw invoiceError('Please enter the reference (bill number in the previous software)');
+  }
+
+  let customer = invoiceData.customer;
+  if (customer && !(await Customer.findOne(addOrgFilter(req, { _id: customer })))) {
+    throw invoiceError('Customer not found');
+  }
+
+  if (!customer && customerPhone) {
+    const found = await Customer.findOne(addOrgFilter(req, { phone: String(customerPhone).trim(), isActive: true }));
+    if (found) {
+      customer = found._id;
+    } else if (!invoiceData.customerName) {
+      throw invoiceError(`No customer with phone ${customerPhone} - add the customer or enter customerName`);
+    }
+  }
+
+  if (!customer && !invoiceData.customerName) {
+    invoiceData.customerName = 'Cash Customer';
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw invoiceError('Please add at least one item to the invoice');
+  }
+
+  const resolvedItems = [];
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    const product = await findProduct(req, item);
+
+    if (!product) {
+      throw invoiceError(`Product not found for item #${i + 1} (${item.product || item.productCode || 'blank'})`);
+    }
+
+    let batch = item.batch;
+    if (!batch && item.batchNo) {
+      const found = await Batch.findOne(addOrgFilter(req, { product: product._id, batchNo: item.batchNo, isActive: true }));
+      if (!found) {
+        throw invoiceError(`Batch ${item.batchNo} not found for ${product.name}`);
+      }
+      batch = found._id;
+    }
+
+    const { productCode, batchNo, ...itemData } = item;
+    resolvedItems.push({ ...itemData, product: product._id, batch });
+  }
+
+  return {
+    applyPromotions: false,
+    ...invoiceData,
+    customer,
+    items: resolvedItems,
+    importReference: reference
+  };
+};
+
+/**
+ * Import invoices one by one - a failed invoice does not stop the others
+ * A dry run validates every invoice against the current stock, so invoices that together
+ * need more stock than is available only fail on the real import.
+ * @param {Object} req - Express request
+ * @param {Array} invoices - Invoices in the JSON layout
+ * @param {Object} options - { dryRun, creditOverrideReason (approve credit overrides for the whole file) }
+ * @returns {Object} - { dryRun, total, succeeded, failed, results[] }
+ */
+export const importInvoices = async (req, invoices, options = {}) => {
+  const results = [];
+  const seen = new Set();
+
+  for (let i = 0; i < invoices.length; i++) {
+    const invoice = invoices[i];
+    const result = {
+      row: i + 1,
+      lines: invoice.lines,
+      reference: invoice.reference
+    };
+
+    try {
+      if (seen.has(invoice.reference)) {
+        throw invoiceError(`Reference ${invoice.reference} appears more than once in the file`);
+      }
+      seen.add(invoice.reference);
+
+      const existing = invoice.reference
+        ? await Invoice.findOne(addOrgFilter(req, { importReference: invoice.reference })).select('invoiceNumber')
+        : null;
+      if (existing) {
+        throw invoiceError(`Already imported as ${existing.invoiceNumber}`);
+      }
+
+      const payload = await resolveImportInvoice(req, invoice);
+      if (options.creditOverrideReason && !payload.creditOverrideReason) {
+        payload.creditOverrideReason = `${options.creditOverrideReason} (imported invoice ${invoice.reference})`;
+      }
+      const created = await createInvoice(req, payload, { dryRun: options.dryRun, notify: false });
+
+      results.push({
+        ...result,
+        status: options.dryRun ? 'VALID' : 'CREATED',
+        invoice: options.dryRun ? undefined : created._id,
+        invoiceNumber: created.invoiceNumber,
+        customerName: created.customerName,
+        grandTotal: created.grandTotal,
+        balanceAmount: created.balanceAmount
+      });
+    } catch (error) {
+      results.push({ ...result, status: 'ERROR', message: error.message });
+    }
+  }
+
+  const failed = results.filter(result => result.status === 'ERROR').length;
+
+  return {
+    dryRun: Boolean(options.dryRun),
+    total: results.length,
+    succeeded: results.length - failed,
+    failed,
+    results
+  };
+};
+
+export default {
+  CSV_COLUMNS,
+  parseInvoiceCSV,
+  resolveImportInvoice,
+  importInvoices
+};
@@ -0,0 +1,69 @@
+import jwt from 'jsonwebtoken';
+import InvoiceShareLink from '../models/InvoiceShareLink.js';
+
+/**
+ * Signed public invoice links
+ * The token is a JWT naming an InvoiceShareLink record - the signature stops tampering,
+ * the record lets staff revoke a link before it expires.
+ */
+
+const TOKEN_PURPOSE = 'invoice-link';
+
+export const DEFAULT_LINK_DAYS = 30;
+export const MAX_LINK_DAYS = 365;
+
+const getSecret = () => process.env.INVOICE_LINK_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Sign the token for a share link
+ * @param {Object} link - InvoiceShareLink document
+ * @returns {String} - Token for the public URL
+ */
+export const signInvoiceLinkToken = (link) => jwt.sign(
+  { purpose: TOKEN_PURPOSE, link: link._id.toString(), invoice: link.invoice.toString() },
+  getSecret(),
+  { expiresIn: Math.max(1, Math.floor((link.expiresAt.getTime() - Date.now()) / 1000)) }
+);
+
+/**
+ * Public URL of a share link
+ * Scheduled jobs have no request - they need PUBLIC_BASE_URL for a full URL
+ * @param {Object} req - Express request (base URL when PUBLIC_BASE_URL is not set)
+ * @param {String} token
+ * @returns {String}
+ */
+export const getInvoiceLinkUrl = (req, token) => {
+  const baseUrl = process.env.PUBLIC_BASE_URL || (req.get ? `${req.protocol}://${req.get('host')}` : '');
+  return `${baseUrl.replace(/\/$/, '')}/api/public/invoices/${token}`;
+};
+
+/**
+ * Verify a public link token and return its active share link
+ * @param {String} token
+ * @returns {Object|null} - InvoiceShareLink document, or null when invalid, expired or revoked
+ */
+export const resolveInvoiceLink = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, getSecret());
+  } catch (error) {
+    return null;
+  }
+
+  if (payload.purpose !== TOKEN_PURPOSE) {
+    return null;
+  }
+
+  const link = await InvoiceShareLink.findOne({ _id: payload.link, invoice: payload.invoice });
+  if (!link || link.revokedAt || link.expiresAt < new Date()) {
+    return null;
+  }
+
+  return link;
+};
+
+export default {
+  signInvoiceLinkToken,
+  getInvoiceLinkUrl,
+  resolveInvoiceLink
+};
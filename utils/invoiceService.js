@@ -0,0 +1,802 @@
+import Invoice from '../models/Invoice.js';
+import Product from '../models/Product.js';
+import Customer from '../models/Customer.js';
+import ShopSettings from '../models/ShopSettings.js';
+import Batch from '../models/Batch.js';
+import Ledger from '../models/Ledger.js';
+import CreditOverride from '../models/CreditOverride.js';
+import Doctor from '../models/Doctor.js';
+import { addOrgFilter } from '../middleware/tenantIsolation.js';
+import { calculateItemGST, calculateChargeGST, calculateTotals, determineTaxType, getFinancialYear, INVOICE_CHARGE_TYPES } from './gstCalculations.js';
+import { getBatchesForSale, deductBatchStock, calculateCOGS } from './inventoryManager.js';
+import { postSalesToLedger, getCustomerPaymentAccount } from './ledgerHelper.js';
+import { getActivePromotions, getLinePromotion, getBillPromotion } from './promotionEngine.js';
+import { getPriceListForInvoice, resolveListPrice } from './priceList.js';
+import {
+  getLoyaltyProgram,
+  isLoyaltyEligible,
+  calculateEarnPoints,
+  validateRedemption,
+  recordLoyaltyTransaction,
+  postLoyaltyToLedger
+} from './loyalty.js';
+import { recordStoreCreditTransaction, validateStoreCreditSpend } from './storeCredit.js';
+import { calculateDueDate, checkCustomerCredit } from './creditControl.js';
+import { notifyEvent } from './notifications.js';
+
+/**
+ * Build an error that routes should answer with a 4xx status
+ * @param {String} message
+ * @param {Number} statusCode - Defaults to 400
+ * @param {Object} details - Extra fields for the response body (optional)
+ * @returns {Error}
+ */
+export const invoiceError = (message, statusCode = 400, details = undefined) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+};
+
+// Payment methods accepted as tenders at invoice creation
+const TENDER_METHODS = ['CASH', 'UPI', 'CARD', 'CHEQUE', 'BANK_TRANSFER', 'LOYALTY', 'CREDIT_NOTE'];
+
+// Tenders from payload - either tenders[] (split payment) or the single paidAmount/paymentMethod
+const normalizeTenders = (invoiceData) => {
+  if (Array.isArray(invoiceData.tenders) && invoiceData.tenders.length > 0) {
+    return invoiceData.tenders.map((tender, index) => {
+      const amount = Number(tender.amount);
+
+      if (!TENDER_METHODS.includes(tender.paymentMethod)) {
+        throw invoiceError(`Invalid payment method for tender #${index + 1}. Allowed: ${TENDER_METHODS.join(', ')}`);
+      }
+
+      // Loyalty tenders are entered in points - the amount is set from the program's point value
+      if (tender.paymentMethod === 'LOYALTY') {
+        const points = Number(tender.points);
+        if (!Number.isInteger(points) || points <= 0) {
+          throw invoiceError(`Please enter the points to redeem for tender #${index + 1}`);
+        }
+        return { paymentMethod: 'LOYALTY', points, amount: 0, referenceNumber: `${points} points`, notes: tender.notes };
+      }
+
+      if (!amount || amount <= 0) {
+        throw invoiceError(`Please enter a valid amount for tender #${index + 1}`);
+      }
+
+      return {
+        paymentMethod: tender.paymentMethod,
+        amount,
+        referenceNumber: tender.referenceNumber || '',
+        notes: tender.notes
+      };
+    });
+  }
+
+  if (invoiceData.paymentMethod === 'SPLIT') {
+    throw invoiceError('Please add the tenders for a split payment');
+  }
+
+  const paidAmount = Number(invoiceData.paidAmount) || 0;
+  if (paidAmount <= 0) {
+    return [];
+  }
+
+  const paymentMethod = invoiceData.paymentMethod || 'CASH';
+  if (!TENDER_METHODS.includes(paymentMethod)) {
+    throw invoiceError(`Invalid payment method. Allowed: ${TENDER_METHODS.join(', ')}`);
+  }
+
+  // Points and store credit are checked against the customer's balance per tender
+  if (paymentMethod === 'LOYALTY' || paymentMethod === 'CREDIT_NOTE') {
+    throw invoiceError('Please add loyalty points / store credit as tenders (with the points to redeem for loyalty)');
+  }
+
+  return [{
+    paymentMethod,
+    amount: paidAmount,
+    referenceNumber: invoiceData.billNumber || ''
+  }];
+};
+
+// Drug schedules that need a prescription, and the invoice fields that record it
+export const PRESCRIPTION_SCHEDULES = ['H', 'H1', 'X'];
+export const PRESCRIPTION_FIELDS = ['prescriptionNumber', 'doctorName', 'prescriptionDate'];
+
+// GST slabs allowed on invoice charges
+const CHARGE_GST_RATES = [0, 5, 12, 18, 28];
+
+/**
+ * Validate invoice charges (delivery, packing, cold chain) and calculate their GST
+ * @param {Array} charges - [{ type, description, sacCode, amount, gstRate }]
+ * @param {String} taxType - 'CGST_SGST' or 'IGST'
+ * @returns {Array} - Charges with GST calculated (zero amounts dropped)
+ */
+export const processInvoiceCharges = (charges, taxType) => {
+  if (!Array.isArray(charges)) {
+    return [];
+  }
+
+  return charges
+    .map((charge, index) => {
+      const amount = Number(charge.amount || 0);
+
+      if (!INVOICE_CHARGE_TYPES[charge.type]) {
+        throw invoiceError(`Invalid type for charge #${index + 1}. Allowed: ${Object.keys(INVOICE_CHARGE_TYPES).join(', ')}`);
+      }
+
+      if (Number.isNaN(amount) || amount < 0) {
+        throw invoiceError(`Please enter a valid amount for charge #${index + 1}`);
+      }
+
+      if (!CHARGE_GST_RATES.includes(Number(charge.gstRate || 0))) {
+        throw invoiceError(`Invalid GST rate for charge #${index + 1}. Allowed: ${CHARGE_GST_RATES.join(', ')}`);
+      }
+
+      return calculateChargeGST({ ...charge, amount }, taxType);
+    })
+    .filter(charge => charge.taxableAmount > 0);
+};
+
+/**
+ * Credit override for a sale past the customer's credit limits -
+ * an owner-approved request (creditOverrideId) or the owner's own reason when they bill it themselves
+ * @param {Object} req - Express request
+ * @param {Object} customer - Customer document
+ * @param {Number} amount - New credit the sale gives the customer
+ * @param {Object} creditCheck - Result of checkCustomerCredit
+ * @param {Object} invoiceData - Request body (creditOverrideId / creditOverrideReason)
+ * @returns {Object} - CreditOverride (unsaved when the owner bills it themselves)
+ */
+export const resolveCreditOverride = async (req, customer, amount, creditCheck, invoiceData) => {
+  const organizationId = req.organizationId || req.user.organizationId;
+
+  if (invoiceData.creditOverrideId) {
+    const override = await CreditOverride.findOne({
+      _id: invoiceData.creditOverrideId,
+      organizationId,
+      customer: customer._id
+    });
+
+    if (!override || override.status !== 'APPROVED') {
+      throw invoiceError('Credit override not found or not approved', 403);
+    }
+
+    if (amount > override.amount + 0.01) {
+      throw invoiceError(`Credit override covers ₹${override.amount} but this bill leaves ₹${amount} unpaid`, 403);
+    }
+
+    return override;
+  }
+
+  if (['owner', 'superadmin'].includes(req.user.role) && invoiceData.creditOverrideReason) {
+    return new CreditOverride({
+      organizationId,
+      userId: req.user._id,
+      customer: customer._id,
+      customerName: customer.name,
+      status: 'APPROVED',
+      amount,
+      reason: invoiceData.creditOverrideReason,
+      violations: creditCheck.violations,
+      creditLimit: creditCheck.creditLimit,
+      outstandingBalance: creditCheck.outstandingBalance,
+      overdueAmount: creditCheck.overdueAmount,
+      overdueInvoices: creditCheck.overdueInvoices,
+      approvedBy: req.user._id,
+      approvedAt: new Date()
+    });
+  }
+
+  throw invoiceError(creditCheck.message, 403, { code: 'CREDIT_APPROVAL_REQUIRED', creditCheck });
+};
+
+/**
+ * Create invoice with FIFO batch selection, stock deduction and ledger posting.
+ * All writes run in one transaction, so a failed sale leaves no stock, ledger or override changes behind.
+ * Shared by POST /api/invoices and every flow that turns a draft document into a real invoice.
+ * @param {Object} req - Express request (user + organization context)
+ * @param {Object} payload - Same body accepted by POST /api/invoices
+ * @param {Object} options - { dryRun, notify, quotation } - dry run validates and calculates without writing anything;
+ *   notify: false skips the customer notification; quotation links the invoice to the quotation it converts
+ * @returns {Object} - Saved invoice document (unsaved preview on a dry run)
+ */
+export const createInvoice = async (req, payload, options = {}) => {
+  const { items, customer: customerId, ...invoiceData } = payload;
+  const organizationId = req.organizationId || req.user.organizationId;
+
+  // Get shop settings for tax type determination
+  const shopSettings = await ShopSettings.findOne(addOrgFilter(req));
+
+  // Determine tax type based on customer state
+  let taxType = invoiceData.taxType || 'CGST_SGST';
+  let customerData = {
+    customerName: invoiceData.customerName,
+    customerPhone: invoiceData.customerPhone,
+    customerAddress: invoiceData.customerAddress,
+    customerCity: invoiceData.customerCity,
+    customerState: invoiceData.customerState,
+    customerGstin: invoiceData.customerGstin
+  };
+
+  // Get customer details if provided
+  let customer = null;
+  if (customerId) {
+    customer = await Customer.findOne(addOrgFilter(req, { _id: customerId }));
+
+    if (customer) {
+      customerData = {
+        customer: customer._id,
+        customerName: customer.name,
+        customerPhone: customer.phone,
+        customerAddress: customer.address,
+        customerCity: customer.city,
+        customerState: customer.state,
+        customerGstin: customer.gstin
+      };
+
+      // Determine tax type based on customer state
+      if (shopSettings && customer.state) {
+        taxType = determineTaxType(shopSettings.state, customer.state);
+      }
+    }
+  }
+
+  // Validate items array
+  if (!items || items.length === 0) {
+    throw invoiceError('Please add at least one item to the invoice');
+  }
+
+  const tenders = normalizeTenders(invoiceData);
+  const charges = processInvoiceCharges(invoiceData.charges, taxType);
+
+  // Prescribing doctor from the doctor master - the name is copied for the prescription record
+  if (invoiceData.doctor) {
+    const doctor = await Doctor.findOne(addOrgFilter(req, { _id: invoiceData.doctor }));
+    if (!doctor) {
+      throw invoiceError('Doctor not found');
+    }
+    invoiceData.doctorName = doctor.name;
+  }
+
+  // Price list - chosen on the invoice or linked to the customer
+  const priceList = await getPriceListForInvoice(organizationId, invoiceData.priceList, customer);
+  if (invoiceData.priceList && !priceList) {
+    throw invoiceError('Price list not found or inactive');
+  }
+
+  // Promotions valid on the invoice date (skipped when applyPromotions is false)
+  const invoiceDate = invoiceData.invoiceDate ? new Date(invoiceData.invoiceDate) : new Date();
+  const promotions = invoiceData.applyPromotions === false
+    ? []
+    : await getActivePromotions(organizationId, invoiceDate);
+
+  // Loyalty program - points are only earned / redeemed by a linked customer
+  const loyaltyProgram = customer ? await getLoyaltyProgram(organizationId) : null;
+
+  // Process items with FIFO batch selection
+  // Stock is only deducted once the whole invoice (items + payment) has been validated
+  const processedItems = [];
+  const stockDeductions = [];
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+
+    // Validate product is selected
+    if (!item.product || item.product === '') {
+      throw invoiceError(`Please select a product for item #${i + 1}`);
+    }
+
+    // Validate quantity
+    if (!item.quantity || item.quantity <= 0) {
+      throw invoiceError(`Please enter a valid quantity for item #${i + 1}`);
+    }
+
+    // Validate product exists
+    const product = await Product.findOne(addOrgFilter(req, { _id: item.product }));
+
+    if (!product) {
+      throw invoiceError(`Product not found for item #${i + 1}. Please select a valid product.`);
+    }
+
+    // Line discount - the better of the manual discount and the best matching promotion
+    // Buy X get Y keeps the billed price and adds the free units as a separate zero-priced line
+    const linePromotion = getLinePromotion(promotions, product, item.quantity);
+    const usePromotion = linePromotion && linePromotion.benefitPercent > (item.discount || 0);
+    const lineDiscount = usePromotion ? linePromotion.discountPercent : (item.discount || 0);
+    const freeQuantity = usePromotion ? linePromotion.freeQuantity : 0;
+    const promotionFields = (itemWithGST) => (usePromotion && linePromotion.discountPercent > 0 ? {
+      promotion: linePromotion.promotion._id,
+      promotionName: linePromotion.promotion.name,
+      promotionDiscount: itemWithGST.discountAmount
+    } : {});
+    const loyaltyEligible = isLoyaltyEligible(loyaltyProgram, product);
+
+    // Check total available stock (billed + free units)
+    if (product.stockQuantity < item.quantity + freeQuantity) {
+      throw new Error(`Insufficient stock for ${product.name}. Available: ${product.stockQuantity}, Requested: ${item.quantity + freeQuantity}${freeQuantity ? ` (incl. ${freeQuantity} free)` : ''}`);
+    }
+
+    // Line price - price typed on the line, else price list, else batch selling price
+    const linePrice = (batch) => {
+      if (item.sellingPrice) return item.sellingPrice;
+      const listPrice = resolveListPrice(priceList, product._id, batch);
+      return listPrice !== null ? listPrice : batch.sellingPrice;
+    };
+
+    // Free units of a buy X get Y promotion - zero price, tagged with the promotion,
+    // promotionDiscount records the value given away at the line price
+    const addFreeLine = (batchId, batch, quantity) => {
+      const gstRate = (item.gstRate !== undefined && item.gstRate !== null) ? item.gstRate : batch.gstRate;
+      const itemWithGST = calculateItemGST({ quantity, sellingPrice: 0, gstRate, isFree: true }, taxType, 'invoice');
+
+      stockDeductions.push({ batch: batchId, quantity });
+
+      processedItems.push({
+        product: product._id,
+        productName: product.name,
+        batch: batchId,
+        batchNo: batch.batchNo,
+        expiryDate: batch.expiryDate,
+        hsnCode: product.hsnCode,
+        drugSchedule: product.drugSchedule,
+        quantity,
+        unit: product.unit,
+        mrp: batch.mrp,
+        purchasePrice: batch.purchasePrice, // For COGS
+        sellingPrice: 0,
+        ...itemWithGST,
+        isFree: true,
+        promotion: linePromotion.promotion._id,
+        promotionName: linePromotion.promotion.name,
+        promotionDiscount: Math.round(linePrice(batch) * quantity * 100) / 100,
+        loyaltyEligible: false
+      });
+    };
+
+    // FIFO batch selection - two modes:
+    // Mode 1: User selects specific batch (item.batch provided)
+    // Mode 2: Automatic FIFO selection (item.batch not provided)
+
+    if (item.batch) {
+      // Manual batch selection
+      const batch = await Batch.findOne(addOrgFilter(req, {
+        _id: item.batch,
+        product: product._id,
+        isActive: true
+      }));
+
+      if (!batch) {
+        throw new Error(`Batch not found or inactive for ${product.name}`);
+      }
+
+      if (batch.quantity < item.quantity + freeQuantity) {
+        throw new Error(`Insufficient stock in selected batch for ${product.name}`);
+      }
+
+      // Calculate GST for this item
+      // Use item.gstRate if user provided it (manual override), otherwise use batch.gstRate
+      const itemGstRate = (item.gstRate !== undefined && item.gstRate !== null) ? item.gstRate : batch.gstRate;
+      const itemWithGST = calculateItemGST({
+        quantity: item.quantity,
+        sellingPrice: linePrice(batch),
+        discount: lineDiscount,
+        gstRate: itemGstRate
+      }, taxType, 'invoice');
+
+      stockDeductions.push({ batch: batch._id, quantity: item.quantity });
+
+      processedItems.push({
+        product: product._id,
+        productName: product.name,
+        batch: batch._id,
+        batchNo: batch.batchNo,
+        expiryDate: batch.expiryDate,
+        hsnCode: product.hsnCode,
+        drugSchedule: product.drugSchedule,
+        quantity: item.quantity,
+        unit: product.unit,
+        mrp: batch.mrp,
+        purchasePrice: batch.purchasePrice, // For COGS
+        sellingPrice: linePrice(batch),
+        ...itemWithGST,
+        ...promotionFields(itemWithGST),
+        loyaltyEligible
+      });
+
+      if (freeQuantity > 0) {
+        addFreeLine(batch._id, batch, freeQuantity);
+      }
+
+    } else {
+      // Automatic FIFO selection - billed units come first, free units follow from the same queue
+      const batchesForSale = await getBatchesForSale(product._id, req.user._id, req.user.organizationId, item.quantity + freeQuantity);
+      let billedRemaining = item.quantity;
+
+      for (const batchSale of batchesForSale) {
+        const billedQuantity = Math.min(billedRemaining, batchSale.quantity);
+        billedRemaining -= billedQuantity;
+
+        if (billedQuantity > 0) {
+          // Calculate GST for this portion
+          // Use item.gstRate if user provided it (manual override), otherwise use batch.gstRate
+          const batchItemGstRate = (item.gstRate !== undefined && item.gstRate !== null) ? item.gstRate : batchSale.gstRate;
+          const itemWithGST = calculateItemGST({
+            quantity: billedQuantity,
+            sellingPrice: linePrice(batchSale),
+            discount: lineDiscount,
+            gstRate: batchItemGstRate
+          }, taxType, 'invoice');
+
+          stockDeductions.push({ batch: batchSale.batch, quantity: billedQuantity });
+
+          processedItems.push({
+            product: product._id,
+            productName: product.name,
+            batch: batchSale.batch,
+            batchNo: batchSale.batchNo,
+            expiryDate: batchSale.expiryDate,
+            hsnCode: product.hsnCode,
+            drugSchedule: product.drugSchedule,
+            quantity: billedQuantity,
+            unit: product.unit,
+            mrp: batchSale.mrp,
+            purchasePrice: batchSale.purchasePrice, // For COGS
+            sellingPrice: linePrice(batchSale),
+            ...itemWithGST,
+            ...promotionFields(itemWithGST),
+            loyaltyEligible
+          });
+        }
+
+        if (batchSale.quantity > billedQuantity) {
+          addFreeLine(batchSale.batch, batchSale, batchSale.quantity - billedQuantity);
+        }
+      }
+    }
+  }
+
+  // Schedule H / H1 / X drugs can only be sold against a prescription
+  const scheduledProducts = [...new Set(processedItems
+    .filter(item => PRESCRIPTION_SCHEDULES.includes(item.drugSchedule))
+    .map(item => item.productName))];
+
+  if (scheduledProducts.length > 0) {
+    const missing = PRESCRIPTION_FIELDS.filter(field => !invoiceData[field]);
+    if (missing.length > 0) {
+      throw invoiceError(
+        `Prescription details are required for scheduled drugs (${scheduledProducts.join(', ')}). Please enter: ${missing.join(', ')}`,
+        400,
+        { code: 'PRESCRIPTION_REQUIRED', scheduledProducts, missing }
+      );
+    }
+  }
+
+  // Bill value slab promotion on the bill before bill-level discounts
+  const itemTotals = calculateTotals(processedItems, {}, 0);
+  const billPromotion = getBillPromotion(promotions, itemTotals.subtotal + itemTotals.totalTax);
+
+  // Calculate invoice totals
+  const totals = calculateTotals(
+    processedItems,
+    { charges },
+    (invoiceData.discount || 0) + (billPromotion ? billPromotion.discountAmount : 0)
+  );
+
+  // Loyalty redemption - points converted to the tender amount
+  const loyaltyPointsRedeemed = tenders
+    .filter(tender => tender.paymentMethod === 'LOYALTY')
+    .reduce((sum, tender) => sum + tender.points, 0);
+
+  if (loyaltyPointsRedeemed > 0) {
+    const redemptionError = validateRedemption(loyaltyProgram, customer, loyaltyPointsRedeemed, totals.grandTotal);
+    if (redemptionError) {
+      throw invoiceError(redemptionError);
+    }
+
+    tenders
+      .filter(tender => tender.paymentMethod === 'LOYALTY')
+      .forEach(tender => {
+        tender.amount = Math.round(tender.points * loyaltyProgram.pointValue * 100) / 100;
+      });
+  }
+
+  // Store credit spent as CREDIT_NOTE tenders
+  const storeCreditSpent = tenders
+    .filter(tender => tender.paymentMethod === 'CREDIT_NOTE')
+    .reduce((sum, tender) => sum + tender.amount, 0);
+
+  if (storeCreditSpent > 0) {
+    const storeCreditError = validateStoreCreditSpend(customer, storeCreditSpent);
+    if (storeCreditError) {
+      throw invoiceError(storeCreditError);
+    }
+  }
+
+  // Calculate payment details - paid total is the sum of all tenders
+  const paidAmount = Math.round(tenders.reduce((sum, tender) => sum + tender.amount, 0) * 100) / 100;
+  if (paidAmount > totals.grandTotal + 0.01) {
+    throw invoiceError(`Paid amount (₹${paidAmount}) cannot exceed invoice total (₹${totals.grandTotal})`);
+  }
+
+  const balanceAmount = totals.grandTotal - paidAmount;
+  const paymentStatus = balanceAmount <= 0 ? 'PAID' : (paidAmount > 0 ? 'PARTIAL' : 'UNPAID');
+  const paymentMethod = tenders.length > 1 ? 'SPLIT' : (tenders[0]?.paymentMethod || invoiceData.paymentMethod || 'CASH');
+
+  // Credit control - credit sales past the customer's limit or with overdue bills need an owner-approved override
+  let creditOverride = null;
+  if (customer && balanceAmount > 0) {
+    const creditCheck = await checkCustomerCredit(organizationId, customer, balanceAmount);
+    if (!creditCheck.allowed) {
+      creditOverride = await resolveCreditOverride(req, customer, balanceAmount, creditCheck, invoiceData);
+    }
+  }
+
+  // Dry run - everything has been validated, nothing is written
+  if (options.dryRun) {
+    return new Invoice({
+      userId: req.user._id,
+      organizationId,
+      ...customerData,
+      items: processedItems,
+      charges,
+      ...totals,
+      taxType,
+      paymentStatus,
+      paymentMethod,
+      paidAmount,
+      balanceAmount,
+      invoiceDate,
+      importReference: invoiceData.importReference
+    });
+  }
+
+  // Calculate COGS (Cost of Goods Sold)
+  const cogs = await calculateCOGS(processedItems);
+
+  // Loyalty points earned (not on the part paid with points)
+  const loyaltyRedeemedValue = tenders
+    .filter(tender => tender.paymentMethod === 'LOYALTY')
+    .reduce((sum, tender) => sum + tender.amount, 0);
+  const loyaltyPointsEarned = calculateEarnPoints(loyaltyProgram, processedItems, totals.grandTotal, loyaltyRedeemedValue);
+
+  // Check if E-way bill is required (inter-state sales > 50000)
+  const eWayBillRequired = taxType === 'IGST' && totals.grandTotal > 50000;
+
+  // Stock, credit override, invoice, customer balance and ledger are written in one transaction.
+  // The invoice number is taken inside it as well, so an aborted sale does not use up a number;
+  // withTransaction retries the whole write when a concurrent sale holds the number counter.
+  const newOverride = creditOverride && creditOverride.isNew ? creditOverride.toObject() : null;
+  const session = await Invoice.startSession();
+  let invoice;
+
+  try {
+    await session.withTransaction(async () => {
+      // Claim the override so it cannot be used twice (a dry run only validates it)
+      if (newOverride) {
+        creditOverride = new CreditOverride({ ...newOverride, status: 'USED', usedAt: new Date() });
+        await creditOverride.save({ session });
+      } else if (creditOverride) {
+        const claimed = await CreditOverride.findOneAndUpdate(
+          { _id: creditOverride._id, status: 'APPROVED' },
+          { status: 'USED', usedAt: new Date() },
+          { new: true, session }
+        );
+        if (!claimed) {
+          throw invoiceError('Credit override has already been used', 403);
+        }
+        creditOverride = claimed;
+      }
+
+      // Create invoice
+      invoice = new Invoice({
+        userId: req.user._id,
+        organizationId,
+        ...customerData,
+        items: processedItems,
+        charges,
+        ...totals,
+        taxType,
+        paymentStatus,
+        paymentMethod,
+        paidAmount,
+        balanceAmount,
+        paymentDetails: invoiceData.paymentDetails,
+        notes: invoiceData.notes,
+        importReference: invoiceData.importReference,
+        quotation: options.quotation,
+        invoiceDate,
+        dueDate: invoiceData.dueDate || calculateDueDate(invoiceDate, customer),
+        creditOverride: creditOverride ? creditOverride._id : undefined,
+        numberingSeries: invoiceData.numberingSeries || undefined,
+        cogs,
+        priceList: priceList ? priceList._id : undefined,
+        priceListName: priceList ? priceList.name : undefined,
+        // Loyalty points
+        loyaltyPointsEarned,
+        loyaltyPointsRedeemed,
+        loyaltyPointValue: loyaltyProgram ? loyaltyProgram.pointValue : undefined,
+        // Bill slab promotion (included in discount)
+        billPromotion: billPromotion ? billPromotion.promotion._id : undefined,
+        billPromotionName: billPromotion ? billPromotion.promotion.name : undefined,
+        billPromotionDiscount: billPromotion ? billPromotion.discountAmount : 0,
+        // Prescription tracking
+        prescriptionRequired: invoiceData.prescriptionRequired || scheduledProducts.length > 0,
+        prescriptionNumber: invoiceData.prescriptionNumber,
+        doctor: invoiceData.doctor || undefined,
+        doctorName: invoiceData.doctorName,
+        prescriptionDate: invoiceData.prescriptionDate,
+        // E-way bill
+        eWayBillRequired,
+        eWayBillNumber: invoiceData.eWayBillNumber,
+        eWayBillDate: invoiceData.eWayBillDate,
+        transporterId: invoiceData.transporterId,
+        transporterName: invoiceData.transporterName,
+        transportMode: invoiceData.transportMode,
+        transportDocNumber: invoiceData.transportDocNumber,
+        transportDocDate: invoiceData.transportDocDate,
+        vehicleNumber: invoiceData.vehicleNumber,
+        distance: invoiceData.distance
+      });
+      await invoice.save({ session });
+
+      if (creditOverride) {
+        creditOverride.invoice = invoice._id;
+        creditOverride.invoiceNumber = invoice.invoiceNumber;
+        await creditOverride.save({ session });
+      }
+
+      // Take the redeemed points and store credit before stock and ledger - the balance checks are atomic,
+      // so a concurrent sale spending the same balance fails here and the whole invoice rolls back
+      try {
+        for (const tender of tenders) {
+          if (tender.paymentMethod === 'LOYALTY') {
+            await recordLoyaltyTransaction({
+              organizationId,
+              userId: req.user._id,
+              customer: customer._id,
+              type: 'REDEEM',
+              points: -tender.points,
+              value: tender.amount,
+              invoice: invoice._id,
+              invoiceNumber: invoice.invoiceNumber,
+              description: `Points redeemed on ${invoice.invoiceNumber}`
+            }, session);
+          }
+
+          if (tender.paymentMethod === 'CREDIT_NOTE') {
+            await recordStoreCreditTransaction({
+              organizationId,
+              userId: req.user._id,
+              customer: customer._id,
+              type: 'REDEEM',
+              amount: -tender.amount,
+              invoice: invoice._id,
+              invoiceNumber: invoice.invoiceNumber,
+              description: `Store credit used on ${invoice.invoiceNumber}`
+            }, session);
+          }
+        }
+      } catch (error) {
+        if (/^Insufficient/.test(error.message)) {
+          throw invoiceError(`${error.message} - the balance changed while the invoice was being saved`);
+        }
+        throw error;
+      }
+
+      // Deduct stock from the selected batches
+      for (const deduction of stockDeductions) {
+        await deductBatchStock(deduction.batch, deduction.quantity, session);
+      }
+
+      // Update customer outstanding
+      if (customer && paymentStatus !== 'PAID') {
+        await Customer.updateOne({ _id: customer._id }, { $inc: { outstandingBalance: balanceAmount } }, { session });
+      }
+
+      // Post to ledger (double-entry accounting)
+      const ledgerEntries = await postSalesToLedger(invoice, req.user._id, organizationId, session);
+      invoice.ledgerEntries = ledgerEntries.map(entry => entry._id);
+
+      // Loyalty points earned - statement line and liability (kept with the sales entries so cancellation reverses them)
+      if (loyaltyPointsEarned > 0) {
+        const earnedValue = Math.round(loyaltyPointsEarned * loyaltyProgram.pointValue * 100) / 100;
+
+        await recordLoyaltyTransaction({
+          organizationId,
+          userId: req.user._id,
+          customer: customer._id,
+          type: 'EARN',
+          points: loyaltyPointsEarned,
+          value: earnedValue,
+          invoice: invoice._id,
+          invoiceNumber: invoice.invoiceNumber,
+          description: `Points earned on ${invoice.invoiceNumber}`
+        }, session);
+
+        const loyaltyLedgerEntries = await postLoyaltyToLedger(organizationId, req.user._id, earnedValue, {
+          referenceType: 'INVOICE',
+          referenceId: invoice._id,
+          referenceModel: 'Invoice',
+          referenceNumber: invoice.invoiceNumber,
+          date: invoice.invoiceDate,
+          party: { party: 'CUSTOMER', partyId: customer._id, partyModel: 'Customer', partyName: customer.name },
+          description: `Loyalty points earned on ${invoice.invoiceNumber}`
+        }, session);
+        invoice.ledgerEntries.push(...loyaltyLedgerEntries.map(entry => entry._id));
+      }
+
+      // Each tender made during invoice creation becomes its own payment entry with ledger
+      for (const tender of tenders) {
+        const paymentLedgerEntries = await Ledger.createDoubleEntry(
+          organizationId,
+          req.user._id,
+          [
+            {
+              account: getCustomerPaymentAccount(tender.paymentMethod),
+              type: 'DEBIT',
+              amount: tender.amount,
+              description: `Initial payment for ${invoice.invoiceNumber} via ${tender.paymentMethod}`
+            },
+            {
+              account: 'ACCOUNTS_RECEIVABLE',
+              type: 'CREDIT',
+              amount: tender.amount,
+              party: customer ? 'CUSTOMER' : undefined,
+              partyId: customer ? customer._id : undefined,
+              partyModel: customer ? 'Customer' : undefined,
+              partyName: customer ? customer.name : invoiceData.customerName,
+              description: `Initial payment for ${invoice.invoiceNumber}`
+            }
+          ],
+          {
+            referenceType: 'PAYMENT',
+            referenceId: invoice._id,
+            referenceModel: 'Invoice',
+            referenceNumber: invoice.invoiceNumber,
+            date: invoiceDate,
+            financialYear: getFinancialYear(invoiceDate)
+          },
+          session
+        );
+
+        invoice.payments.push({
+          amount: tender.amount,
+          paymentMethod: tender.paymentMethod,
+          paymentDate: invoiceDate,
+          referenceNumber: tender.referenceNumber,
+          notes: tender.notes || 'Initial payment during invoice creation',
+          createdBy: req.user._id,
+          createdAt: new Date(),
+          ledgerEntries: paymentLedgerEntries.map(entry => entry._id)
+        });
+      }
+
+      await invoice.save({ session });
+    });
+  } finally {
+    session.endSession();
+  }
+
+  if (customer && options.notify !== false) {
+    await notifyEvent(req, 'INVOICE_CREATED', {
+      party: customer,
+      reference: { type: 'INVOICE', id: invoice._id, number: invoice.invoiceNumber },
+      data: {
+        invoiceNumber: invoice.invoiceNumber,
+        grandTotal: invoice.grandTotal,
+        balanceAmount: invoice.balanceAmount,
+        date: invoice.invoiceDate
+      }
+    });
+  }
+
+  return invoice;
+};
+
+export default {
+  invoiceError,
+  processInvoiceCharges,
+  resolveCreditOverride,
+  createInvoice
+};
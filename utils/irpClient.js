@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { getFinancialYear } from './gstCalculations.js';
+
+/**
+ * IRP (Invoice Registration Portal) clients
+ * Every provider is a factory returning an object with:
+ *   generateIRN(payload)                    => { irn, ackNumber, ackDate, signedInvoice, signedQRCode }
+ *   cancelIRN({ irn, reasonCode, remark })  => { irn, cancelDate }
+ * Providers are selected by name (IRP_PROVIDER env, default "mock")
+ */
+
+const providers = {};
+
+/**
+ * Error returned by the IRP (rejected payload, duplicate IRN, ...)
+ * @param {String} message
+ * @param {String} code - IRP error code
+ * @returns {Error}
+ */
+export const irpError = (message, code = null) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.irpCode = code;
+  return error;
+};
+
+/**
+ * Register an IRP provider
+ * @param {String} name - Provider name (e.g. "nic", "gsp-xyz")
+ * @param {Function} factory - (options) => client
+ */
+export const registerIrpProvider = (name, factory) => {
+  providers[name] = factory;
+};
+
+/**
+ * Get IRP client for the configured provider
+ * @param {String} name - Provider name (optional)
+ * @param {Object} options - Provider options (credentials etc.)
+ * @returns {Object} - IRP client
+ */
+export const getIrpClient = (name = process.env.IRP_PROVIDER || 'mock', options = {}) => {
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`IRP provider "${name}" is not registered`);
+  }
+  return factory(options);
+};
+
+/**
+ * IRN as computed by IRP - SHA-256 of supplier GSTIN, financial year, document type and number
+ * @param {Object} payload - INV-01 JSON
+ * @returns {String} - 64 char hex IRN
+ */
+export const computeIRN = (payload) => {
+  const [day, month, year] = payload.DocDtls.Dt.split('/');
+  const financialYear = getFinancialYear(new Date(Number(year), Number(month) - 1, Number(day)));
+
+  return crypto
+    .createHash('sha256')
+    .update(`${payload.SellerDtls.Gstin}${financialYear}${payload.DocDtls.Typ}${payload.DocDtls.No.toUpperCase()}`)
+    .digest('hex');
+};
+
+// Local mock provider - signs with a local secret, keeps issued IRNs in memory
+const createMockIrpClient = (options = {}) => {
+  const secret = options.secret || process.env.IRP_MOCK_SECRET || 'mock-irp-secret';
+  const issued = createMockIrpClient.issued;
+
+  return {
+    name: 'mock',
+
+    async generateIRN(payload) {
+      const irn = computeIRN(payload);
+
+      if (issued.has(irn) && !issued.get(irn).cancelled) {
+        throw irpError('Duplicate IRN', '2150');
+      }
+
+      const ackDate = new Date();
+      const ackNumber = String(ackDate.getTime()).padStart(15, '1').slice(-15);
+
+      const qrData = {
+        SellerGstin: payload.SellerDtls.Gstin,
+        BuyerGstin: payload.BuyerDtls.Gstin,
+        DocNo: payload.DocDtls.No,
+        DocTyp: payload.DocDtls.Typ,
+        DocDt: payload.DocDtls.Dt,
+        TotInvVal: payload.ValDtls.TotInvVal,
+        ItemCnt: payload.ItemList.length,
+        MainHsnCode: payload.ItemList[0]?.HsnCd || '',
+        Irn: irn,
+        IrnDt: ackDate.toISOString()
+      };
+
+      const signedQRCode = jwt.sign({ data: JSON.stringify(qrData), iss: 'MOCK-IRP' }, secret);
+      const signedInvoice = jwt.sign({
+        data: JSON.stringify({ ...payload, AckNo: ackNumber, AckDt: ackDate.toISOString(), Irn: irn }),
+        iss: 'MOCK-IRP'
+      }, secret);
+
+      issued.set(irn, { ackDate, cancelled: false });
+
+      return { irn, ackNumber, ackDate, signedInvoice, signedQRCode };
+    },
+
+    async cancelIRN({ irn }) {
+      const record = issued.get(irn);
+
+      if (record && record.cancelled) {
+        throw irpError('IRN is already cancelled', '9999');
+      }
+
+      issued.set(irn, { ...(record || {}), cancelled: true });
+
+      return { irn, cancelDate: new Date() };
+    }
+  };
+};
+createMockIrpClient.issued = new Map();
+
+registerIrpProvider('mock', createMockIrpClient);
+
+export default {
+  irpError,
+  registerIrpProvider,
+  getIrpClient,
+  computeIRN
+};
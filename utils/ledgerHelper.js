@@ -1,6 +1,22 @@
 import Ledger from '../models/Ledger.js';
 import { getFinancialYear } from './gstCalculations.js';
 
+// Ledger account a customer payment / refund settles through
+// (non-cash methods go through the bank, points and store credit through their liability accounts)
+const CUSTOMER_PAYMENT_ACCOUNTS = {
+  CASH: 'CASH',
+  LOYALTY: 'LOYALTY_POINTS_LIABILITY',
+  CREDIT_NOTE: 'CUSTOMER_CREDIT',
+  STORE_CREDIT: 'CUSTOMER_CREDIT'
+};
+
+/**
+ * Get the ledger account for a customer payment or refund method
+ * @param {String} paymentMethod - e.g. CASH, UPI, CREDIT_NOTE, STORE_CREDIT
+ * @returns {String} - Ledger account
+ */
+export const getCustomerPaymentAccount = (paymentMethod) => CUSTOMER_PAYMENT_ACCOUNTS[paymentMethod] || 'BANK';
+
 /**
  * Post purchase entry to ledger (Double Entry)
  * @param {Object} purchase - Purchase document
@@ -140,31 +156,23 @@ export const postSalesToLedger = async (invoice, userId, organizationId, session
   const entries = [];
   const fy = getFinancialYear(invoice.invoiceDate);
 
-  // Debit: Cash/Bank/Accounts Receivable
-  if (invoice.paymentStatus === 'PAID') {
-    const account = invoice.paymentMethod === 'CASH' ? 'CASH' : 'BANK';
-    entries.push({
-      account,
-      type: 'DEBIT',
-      amount: invoice.grandTotal,
-      party: 'CUSTOMER',
-      partyId: invoice.customer,
-      partyModel: 'Customer',
-      partyName: invoice.customerName,
-      description: `Payment received for ${invoice.invoiceNumber} via ${invoice.paymentMethod}`
-    });
-  } else {
-    entries.push({
-      account: 'ACCOUNTS_RECEIVABLE',
-      type: 'DEBIT',
-      amount: invoice.grandTotal,
-      party: 'CUSTOMER',
-      partyId: invoice.customer,
-      partyModel: 'Customer',
-      partyName: invoice.customerName,
-      description: `Sale on credit - ${invoice.invoiceNumber}`
-    });
-  }
+  // Debit: Accounts Receivable - also for invoices paid in full
+  // Money received is posted per payment (invoice.payments[].ledgerEntries: Cash/Bank Dr, AR Cr),
+  // so debiting Cash/Bank here as well would count paid invoices twice.
+  // Entries posted before this debited Cash/Bank for PAID invoices;
+  // `npm run migrate-sales-ledger` moves them to Accounts Receivable.
+  entries.push({
+    account: 'ACCOUNTS_RECEIVABLE',
+    type: 'DEBIT',
+    amount: invoice.grandTotal,
+    party: 'CUSTOMER',
+    partyId: invoice.customer,
+    partyModel: 'Customer',
+    partyName: invoice.customerName,
+    description: invoice.paymentStatus === 'PAID'
+      ? `Sale - ${invoice.invoiceNumber}`
+      : `Sale on credit - ${invoice.invoiceNumber}`
+  });
 
   // Credit: Sales Account
   entries.push({
@@ -178,6 +186,22 @@ export const postSalesToLedger = async (invoice, userId, organizationId, session
     description: `Sale to ${invoice.customerName} - ${invoice.invoiceNumber}`
   });
 
+  // Credit: Other Income for charges (delivery, packing...) - their GST is in the totals below
+  (invoice.charges || []).forEach(charge => {
+    if (charge.taxableAmount > 0) {
+      entries.push({
+        account: 'OTHER_INCOME',
+        type: 'CREDIT',
+        amount: charge.taxableAmount,
+        party: 'CUSTOMER',
+        partyId: invoice.customer,
+        partyModel: 'Customer',
+        partyName: invoice.customerName,
+        description: `${charge.description} - ${invoice.invoiceNumber}`
+      });
+    }
+  });
+
   // Credit: GST Output Tax
   if (invoice.taxType === 'CGST_SGST') {
     entries.push({
@@ -558,7 +582,7 @@ export const postSalesReturnToLedger = async (salesReturn, userId, organizationI
 
   // Credit: Accounts Receivable or Cash/Bank
   if (salesReturn.refundStatus === 'COMPLETED') {
-    const account = salesReturn.refundMethod === 'CASH' ? 'CASH' : 'BANK';
+    const account = getCustomerPaymentAccount(salesReturn.refundMethod);
     entries.push({
       account,
       type: 'CREDIT',
@@ -567,7 +591,9 @@ export const postSalesReturnToLedger = async (salesReturn, userId, organizationI
       partyId: salesReturn.customer,
       partyModel: 'Customer',
       partyName: salesReturn.customerName,
-      description: `Refund for ${salesReturn.creditNoteNumber} via ${salesReturn.refundMethod}`
+      description: salesReturn.refundMethod === 'STORE_CREDIT'
+        ? `Store credit for ${salesReturn.creditNoteNumber}`
+        : `Refund for ${salesReturn.creditNoteNumber} via ${salesReturn.refundMethod}`
     });
   } else {
     entries.push({
@@ -593,6 +619,45 @@ export const postSalesReturnToLedger = async (salesReturn, userId, organizationI
   });
 };
 
+/**
+ * Post reversing entries for existing ledger entries (debits become credits and vice versa)
+ * Used when a document is voided but must stay on record
+ * @param {Array} entryIds - Ledger entry IDs to reverse
+ * @param {String} userId
+ * @param {String} organizationId
+ * @param {Object} options - { referenceType, referenceId, referenceModel, referenceNumber, description, date }
+ * @param {Object} session - MongoDB session for transaction support (optional)
+ * @returns {Array} - Created ledger entries
+ */
+export const postReversalToLedger = async (entryIds, userId, organizationId, options = {}, session = null) => {
+  const originalEntries = session
+    ? await Ledger.find({ _id: { $in: entryIds } }).session(session)
+    : await Ledger.find({ _id: { $in: entryIds } });
+
+  if (originalEntries.length === 0) {
+    return [];
+  }
+
+  const date = options.date || new Date();
+
+  const entries = originalEntries.map(entry => ({
+    account: entry.account,
+    type: entry.type === 'DEBIT' ? 'CREDIT' : 'DEBIT',
+    amount: entry.amount,
+    party: entry.party,
+    partyId: entry.partyId,
+    partyModel: entry.partyModel,
+    partyName: entry.partyName,
+    description: `Reversal: ${entry.description}`
+  }));
+
+  return await Ledger.createDoubleEntry(organizationId, userId, entries, {
+    ...options,
+    date,
+    financialYear: getFinancialYear(date)
+  }, session);
+};
+
 /**
  * Get account balance
  * @param {String} userId
@@ -643,12 +708,14 @@ export const getPartyLedger = async (userId, partyType, partyId, dateRange = {})
 };
 
 export default {
+  getCustomerPaymentAccount,
   postPurchaseToLedger,
   postSalesToLedger,
   postExpenseToLedger,
   postPaymentToLedger,
   postPurchaseReturnToLedger,
   postSalesReturnToLedger,
+  postReversalToLedger,
   getAccountBalance,
   getPartyLedger
 };
@@ -0,0 +1,268 @@
+import LoyaltyProgram from '../models/LoyaltyProgram.js';
+import LoyaltyTransaction from '../models/LoyaltyTransaction.js';
+import Customer from '../models/Customer.js';
+import Ledger from '../models/Ledger.js';
+import { getFinancialYear } from './gstCalculations.js';
+
+/**
+ * Loyalty points helpers
+ * Outstanding points are a liability: earning posts Loyalty Expense Dr / Loyalty Points Liability Cr
+ * at the point value, redeeming (LOYALTY tender) posts Loyalty Points Liability Dr / Accounts Receivable Cr.
+ */
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Get the organization's active loyalty program
+ * @param {String} organizationId
+ * @returns {Object|null} - LoyaltyProgram document
+ */
+export const getLoyaltyProgram = async (organizationId) => {
+  return await LoyaltyProgram.findOne({ organizationId, isActive: true });
+};
+
+/**
+ * Check whether a product earns points
+ * @param {Object} program - LoyaltyProgram document
+ * @param {Object} product - Product document
+ * @returns {Boolean}
+ */
+export const isLoyaltyEligible = (program, product) => {
+  if (!program) return false;
+
+  if (program.excludedProducts.some(id => id.toString() === product._id.toString())) {
+    return false;
+  }
+
+  const category = (product.category || '').toLowerCase();
+  return !(category && program.excludedCategories.some(c => c.toLowerCase() === category));
+};
+
+/**
+ * Points earned on an invoice - eligible line value, less the part paid with points
+ * @param {Object} program - LoyaltyProgram document
+ * @param {Array} items - Processed invoice items (loyaltyEligible, totalAmount)
+ * @param {Number} grandTotal
+ * @param {Number} redeemedValue - Rupee value paid with points
+ * @returns {Number} - Whole points
+ */
+export const calculateEarnPoints = (program, items, grandTotal, redeemedValue = 0) => {
+  if (!program || grandTotal <= 0 || grandTotal < (program.minBillAmount || 0)) return 0;
+
+  const eligibleValue = items
+    .filter(item => item.loyaltyEligible)
+    .reduce((sum, item) => sum + (item.totalAmount || 0), 0);
+
+  const earnedOn = eligibleValue * (1 - Math.min(redeemedValue / grandTotal, 1));
+  return Math.floor(earnedOn * program.pointsPerRupee);
+};
+
+/**
+ * Validate a redemption against the burn rules
+ * @param {Object} program - LoyaltyProgram document
+ * @param {Object} customer - Customer document
+ * @param {Number} points - Points to redeem
+ * @param {Number} grandTotal - Invoice total
+ * @returns {String|null} - Error message, or null when valid
+ */
+export const validateRedemption = (program, customer, points, grandTotal) => {
+  if (!program) {
+    return 'Loyalty program is not active';
+  }
+
+  if (!customer) {
+    return 'Please select a customer to redeem loyalty points';
+  }
+
+  if (points > (customer.loyaltyPoints || 0)) {
+    return `Insufficient loyalty points. Available: ${customer.loyaltyPoints || 0}, Requested: ${points}`;
+  }
+
+  if (points < (program.minRedeemPoints || 0)) {
+    return `Minimum ${program.minRedeemPoints} points are required to redeem`;
+  }
+
+  const maxValue = (grandTotal * program.maxRedeemPercent) / 100;
+  if (points * program.pointValue > maxValue + 0.01) {
+    return `Loyalty points can pay at most ${program.maxRedeemPercent}% of the bill (₹${round(maxValue)})`;
+  }
+
+  return null;
+};
+
+/**
+ * Add / remove points on a customer and record the statement line
+ * Redemptions only succeed while the customer still has enough points
+ * @param {Object} data - { organizationId, userId, customer, type, points (signed), value, invoice, invoiceNumber, salesReturn, description }
+ * @param {Object} session - MongoDB session (optional)
+ * @returns {Object} - LoyaltyTransaction document
+ */
+export const recordLoyaltyTransaction = async (data, session = null) => {
+  const filter = { _id: data.customer, organizationId: data.organizationId };
+  if (data.type === 'REDEEM') {
+    filter.loyaltyPoints = { $gte: -data.points };
+  }
+
+  const customer = await Customer.findOneAndUpdate(
+    filter,
+    { $inc: { loyaltyPoints: data.points } },
+    { new: true, session }
+  );
+
+  if (!customer) {
+    throw new Error('Insufficient loyalty points');
+  }
+
+  const [transaction] = await LoyaltyTransaction.create([{
+    ...data,
+    balanceAfter: customer.loyaltyPoints
+  }], { session });
+
+  return transaction;
+};
+
+/**
+ * Post the loyalty liability for earned (positive) or reversed (negative) points
+ * @param {String} organizationId
+ * @param {String} userId
+ * @param {Number} value - Rupee value (negative to reverse)
+ * @param {Object} options - Ledger reference options (referenceType, referenceId, referenceModel, referenceNumber, date) and party
+ * @param {Object} session - MongoDB session (optional)
+ * @returns {Array} - Created ledger entries
+ */
+export const postLoyaltyToLedger = async (organizationId, userId, value, options, session = null) => {
+  const amount = round(Math.abs(value));
+  if (amount <= 0) return [];
+
+  const { party, description, ...reference } = options;
+  const isEarn = value > 0;
+
+  return await Ledger.createDoubleEntry(organizationId, userId, [
+    {
+      account: 'LOYALTY_EXPENSE',
+      type: isEarn ? 'DEBIT' : 'CREDIT',
+      amount,
+      description
+    },
+    {
+      account: 'LOYALTY_POINTS_LIABILITY',
+      type: isEarn ? 'CREDIT' : 'DEBIT',
+      amount,
+      ...party,
+      description
+    }
+  ], {
+    ...reference,
+    financialYear: getFinancialYear(reference.date || new Date())
+  }, session);
+};
+
+/**
+ * Points to take back for returned lines - share of the invoice's earned points
+ * @param {Object} invoice - Original invoice (items already carry the new returnedQuantity)
+ * @param {Array} returnedLines - [{ originalItem, quantity }]
+ * @returns {Number} - Whole points
+ */
+export const calculateReturnPoints = (invoice, returnedLines) => {
+  const remaining = (invoice.loyaltyPointsEarned || 0) - (invoice.loyaltyPointsReversed || 0);
+  if (remaining <= 0) return 0;
+
+  // Everything returned - take back whatever is left
+  if (invoice.items.every(item => (item.returnedQuantity || 0) >= item.quantity)) {
+    return remaining;
+  }
+
+  const eligibleTotal = invoice.items
+    .filter(item => item.loyaltyEligible)
+    .reduce((sum, item) => sum + (item.totalAmount || 0), 0);
+  if (eligibleTotal <= 0) return 0;
+
+  const returnedValue = returnedLines
+    .filter(line => line.originalItem.loyaltyEligible)
+    .reduce((sum, line) => sum + (line.originalItem.totalAmount * line.quantity) / line.originalItem.quantity, 0);
+
+  return Math.min(Math.round((invoice.loyaltyPointsEarned * returnedValue) / eligibleTotal), remaining);
+};
+
+/**
+ * Undo an invoice's loyalty points (cancellation / deletion)
+ * Earned points not yet reversed are taken back, redeemed points are given back.
+ * Ledger entries are handled with the rest of the invoice's entries.
+ * @param {Object} invoice - Invoice document
+ * @param {String} userId
+ * @param {String} reason - e.g. 'cancelled'
+ * @param {Object} session - MongoDB session (optional)
+ */
+export const reverseInvoiceLoyalty = async (invoice, userId, reason, session = null) => {
+  const customerId = invoice.customer?._id || invoice.customer;
+  if (!customerId) return;
+
+  const pointValue = invoice.loyaltyPointValue || 0;
+  const earned = (invoice.loyaltyPointsEarned || 0) - (invoice.loyaltyPointsReversed || 0);
+
+  if (earned > 0) {
+    await recordLoyaltyTransaction({
+      organizationId: invoice.organizationId,
+      userId,
+      customer: customerId,
+      type: 'EARN_REVERSAL',
+      points: -earned,
+      value: round(earned * pointValue),
+      invoice: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      description: `Points reversed - ${invoice.invoiceNumber} ${reason}`
+    }, session);
+    invoice.loyaltyPointsReversed = invoice.loyaltyPointsEarned;
+  }
+
+  if (invoice.loyaltyPointsRedeemed > 0) {
+    await recordLoyaltyTransaction({
+      organizationId: invoice.organizationId,
+      userId,
+      customer: customerId,
+      type: 'REDEEM_REVERSAL',
+      points: invoice.loyaltyPointsRedeemed,
+      value: round(invoice.loyaltyPointsRedeemed * pointValue),
+      invoice: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      description: `Redeemed points returned - ${invoice.invoiceNumber} ${reason}`
+    }, session);
+  }
+};
+
+/**
+ * Validate loyalty program settings
+ * @param {Object} data - Program fields
+ * @returns {String|null} - Error message, or null when valid
+ */
+export const validateLoyaltyProgram = (data) => {
+  if (data.pointsPerRupee !== undefined && !(data.pointsPerRupee >= 0)) {
+    return 'Points per rupee cannot be negative';
+  }
+
+  if (data.pointValue !== undefined && !(data.pointValue > 0)) {
+    return 'Point value must be greater than 0';
+  }
+
+  if (data.maxRedeemPercent !== undefined && !(data.maxRedeemPercent >= 0 && data.maxRedeemPercent <= 100)) {
+    return 'Maximum redeem percent must be between 0 and 100';
+  }
+
+  if (data.minRedeemPoints !== undefined && !(data.minRedeemPoints >= 0)) {
+    return 'Minimum redeem points cannot be negative';
+  }
+
+  return null;
+};
+
+export default {
+  getLoyaltyProgram,
+  isLoyaltyEligible,
+  calculateEarnPoints,
+  validateRedemption,
+  recordLoyaltyTransaction,
+  postLoyaltyToLedger,
+  calculateReturnPoints,
+  reverseInvoiceLoyalty,
+  validateLoyaltyProgram
+};
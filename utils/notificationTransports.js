@@ -0,0 +1,80 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Notification transports (SMS / WhatsApp / email gateways)
+ * Every transport is a factory returning an object with:
+ *   send({ channel, to, subject, body })  => { providerMessageId }  (throws when delivery fails)
+ * Transports are selected per channel by name
+ * (NOTIFY_SMS_TRANSPORT / NOTIFY_WHATSAPP_TRANSPORT / NOTIFY_EMAIL_TRANSPORT env, default "console").
+ * In production there is no default and the development transports are refused - they would
+ * print / store customer messages locally while the outbox marks them SENT.
+ */
+
+const transports = {};
+
+// Transports that only record messages locally
+const DEVELOPMENT_TRANSPORTS = ['console', 'file'];
+
+/**
+ * Register a notification transport
+ * @param {String} name - Transport name (e.g. "msg91", "twilio", "smtp")
+ * @param {Function} factory - (options) => transport
+ */
+export const registerNotificationTransport = (name, factory) => {
+  transports[name] = factory;
+};
+
+/**
+ * Get the transport configured for a channel
+ * @param {String} channel - 'SMS', 'WHATSAPP' or 'EMAIL'
+ * @param {Object} options - Transport options (credentials etc.)
+ * @returns {Object} - Transport
+ */
+export const getNotificationTransport = (channel, options = {}) => {
+  const isProduction = process.env.NODE_ENV === 'production';
+  const name = process.env[`NOTIFY_${channel}_TRANSPORT`] || (isProduction ? null : 'console');
+
+  if (!name) {
+    throw new Error(`No notification transport configured for ${channel} (set NOTIFY_${channel}_TRANSPORT)`);
+  }
+  if (isProduction && DEVELOPMENT_TRANSPORTS.includes(name)) {
+    throw new Error(`Notification transport "${name}" only records messages locally and is disabled in production`);
+  }
+
+  const factory = transports[name];
+  if (!factory) {
+    throw new Error(`Notification transport "${name}" is not registered`);
+  }
+  return { name, ...factory(options) };
+};
+
+// Development transport - prints the message instead of sending it
+const createConsoleTransport = () => ({
+  async send({ channel, to, subject, body }) {
+    console.log(`📨 [${channel}] to ${to}${subject ? ` - ${subject}` : ''}\n${body}`);
+    return { providerMessageId: `console-${Date.now()}` };
+  }
+});
+
+// Development transport - appends messages as JSON lines to NOTIFY_FILE (default logs/notifications.log)
+const createFileTransport = (options = {}) => {
+  const filePath = path.resolve(options.filePath || process.env.NOTIFY_FILE || 'logs/notifications.log');
+
+  return {
+    async send(message) {
+      const providerMessageId = `file-${Date.now()}`;
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.appendFile(filePath, `${JSON.stringify({ ...message, providerMessageId, sentAt: new Date() })}\n`);
+      return { providerMessageId };
+    }
+  };
+};
+
+registerNotificationTransport('console', createConsoleTransport);
+registerNotificationTransport('file', createFileTransport);
+
+export default {
+  registerNotificationTransport,
+  getNotificationTransport
+};
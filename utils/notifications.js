@@ -0,0 +1,244 @@
+import Notification from '../models/Notification.js';
+import NotificationTemplate from '../models/NotificationTemplate.js';
+import ShopSettings from '../models/ShopSettings.js';
+import InvoiceShareLink from '../models/InvoiceShareLink.js';
+import { getNotificationTransport } from './notificationTransports.js';
+import { signInvoiceLinkToken, getInvoiceLinkUrl, DEFAULT_LINK_DAYS } from './invoiceLinks.js';
+
+/**
+ * Notifications - templates per organization, durable outbox, retries
+ * Business events queue messages (notifyEvent); the outbox worker sends them through the
+ * channel's transport and retries failures with a growing delay.
+ */
+
+// Events that can send messages - the party they go to and the built-in text
+export const NOTIFICATION_EVENTS = {
+  INVOICE_CREATED: {
+    partyType: 'CUSTOMER',
+    subject: 'Invoice {{invoiceNumber}} from {{shopName}}',
+    body: 'Dear {{partyName}}, thank you for shopping at {{shopName}}. Invoice {{invoiceNumber}} dated {{date}} for Rs. {{grandTotal}}. Balance due: Rs. {{balanceAmount}}. {{invoiceLink}}'
+  },
+  PAYMENT_RECEIVED: {
+    partyType: 'CUSTOMER',
+    subject: 'Payment received - {{shopName}}',
+    body: 'Dear {{partyName}}, we have received Rs. {{amount}} by {{paymentMethod}} against {{referenceNumber}} on {{date}}. Thank you - {{shopName}}'
+  },
+  SALES_RETURN: {
+    partyType: 'CUSTOMER',
+    subject: 'Credit note {{creditNoteNumber}} from {{shopName}}',
+    body: 'Dear {{partyName}}, your return against {{referenceNumber}} has been recorded. Credit note {{creditNoteNumber}} for Rs. {{amount}} ({{refundMethod}}). - {{shopName}}'
+  },
+  SUPPLIER_PAYMENT: {
+    partyType: 'SUPPLIER',
+    subject: 'Payment from {{shopName}}',
+    body: 'Dear {{partyName}}, {{shopName}} has paid Rs. {{amount}} by {{paymentMethod}} on {{date}}. Ref: {{referenceNumber}}'
+  },
+  PAYMENT_REMINDER: {
+    partyType: 'CUSTOMER',
+    subject: 'Payment reminder - invoice {{invoiceNumber}}',
+    body: 'Dear {{partyName}}, Rs. {{balanceAmount}} is pending on invoice {{invoiceNumber}} dated {{invoiceDate}}, due on {{dueDate}}. Please pay at the earliest. {{invoiceLink}} - {{shopName}}'
+  }
+};
+
+export const NOTIFICATION_CHANNELS = ['SMS', 'WHATSAPP', 'EMAIL'];
+
+export const MAX_ATTEMPTS = 5;
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Fill {{placeholders}} in a template (unknown placeholders become empty)
+ * @param {String} text
+ * @param {Object} data
+ * @returns {String}
+ */
+export const renderTemplate = (text, data) =>
+  String(text || '').replace(/{{\s*(\w+)\s*}}/g, (match, key) => (data[key] ?? '').toString()).trim();
+
+const formatAmount = (value) => Number(value || 0).toFixed(2);
+
+const formatDate = (date) => new Date(date || Date.now()).toLocaleDateString('en-IN');
+
+// Public invoice link for {{invoiceLink}}
+const createInvoiceLink = async (req, invoiceId, invoiceNumber) => {
+  const link = await InvoiceShareLink.create({
+    organizationId: req.organizationId || req.user.organizationId,
+    userId: req.user._id,
+    invoice: invoiceId,
+    invoiceNumber,
+    expiresAt: new Date(Date.now() + DEFAULT_LINK_DAYS * 24 * 60 * 60 * 1000)
+  });
+  return getInvoiceLinkUrl(req, signInvoiceLinkToken(link));
+};
+
+/**
+ * Queue messages for a business event to the linked customer / supplier
+ * Never throws - a failed notification must not fail the sale or payment that triggered it
+ * @param {Object} req - Express request (organization + user), or { organizationId, user } from a scheduled job
+ * @param {String} event - NOTIFICATION_EVENTS key
+ * @param {Object} options - { party (Customer/Supplier document), reference: { type, id, number }, data }
+ * @returns {Array} - Queued Notification documents
+ */
+export const notifyEvent = async (req, event, { party, reference = {}, data = {} }) => {
+  try {
+    const eventConfig = NOTIFICATION_EVENTS[event];
+    if (!eventConfig || !party) return [];
+
+    const organizationId = req.organizationId || req.user.organizationId;
+    const templates = await NotificationTemplate.find({ organizationId, event, isActive: true });
+    if (templates.length === 0) return [];
+
+    const shopSettings = await ShopSettings.findOne({ organizationId });
+    const values = {
+      shopName: shopSettings?.shopName || '',
+      shopPhone: shopSettings?.phone || '',
+      partyName: party.name,
+      date: formatDate(data.date),
+      referenceNumber: reference.number || '',
+      ...data
+    };
+    ['amount', 'grandTotal', 'balanceAmount'].forEach(key => {
+      if (values[key] !== undefined) values[key] = formatAmount(values[key]);
+    });
+    ['invoiceDate', 'dueDate'].forEach(key => {
+      if (values[key] instanceof Date) values[key] = formatDate(values[key]);
+    });
+
+    const notifications = [];
+    for (const template of templates) {
+      const to = template.channel === 'EMAIL' ? party.email : party.phone;
+      if (!to) continue;
+
+      const body = template.body || eventConfig.body;
+      if (values.invoiceLink === undefined && body.includes('{{invoiceLink}}') && reference.type === 'INVOICE') {
+        values.invoiceLink = await createInvoiceLink(req, reference.id, reference.number);
+      }
+
+      notifications.push(await Notification.create({
+        organizationId,
+        userId: req.user._id,
+        event,
+        channel: template.channel,
+        partyType: eventConfig.partyType,
+        party: party._id,
+        partyModel: eventConfig.partyType === 'CUSTOMER' ? 'Customer' : 'Supplier',
+        partyName: party.name,
+        to,
+        subject: template.channel === 'EMAIL' ? renderTemplate(template.subject || eventConfig.subject, values) : undefined,
+        body: renderTemplate(body, values),
+        referenceType: reference.type,
+        referenceId: reference.id,
+        referenceNumber: reference.number,
+        maxAttempts: MAX_ATTEMPTS
+      }));
+    }
+
+    return notifications;
+  } catch (error) {
+    console.error(`Notification error (${event}):`, error.message);
+    return [];
+  }
+};
+
+/**
+ * Send one outbox message and record the attempt
+ * Failures are retried after 1, 2, 4, 8... minutes (max 1 hour) until maxAttempts
+ * @param {Object} notification - Notification document (claimed by the caller)
+ * @returns {Object} - Updated notification
+ */
+export const deliverNotification = async (notification) => {
+  const attemptedAt = new Date();
+  let transportName;
+
+  try {
+    const transport = getNotificationTransport(notification.channel);
+    transportName = transport.name;
+
+    const result = await transport.send({
+      channel: notification.channel,
+      to: notification.to,
+      subject: notification.subject,
+      body: notification.body
+    });
+
+    notification.status = 'SENT';
+    notification.sentAt = attemptedAt;
+    notification.providerMessageId = result?.providerMessageId;
+    notification.lastError = undefined;
+    notification.deliveryLog.push({ attemptedAt, transport: transportName, success: true, providerMessageId: result?.providerMessageId });
+  } catch (error) {
+    const delayMinutes = Math.min(2 ** notification.attempts, 60);
+    notification.status = notification.attempts + 1 >= notification.maxAttempts ? 'FAILED' : 'PENDING';
+    notification.nextAttemptAt = new Date(attemptedAt.getTime() + delayMinutes * 60 * 1000);
+    notification.lastError = error.message;
+    notification.deliveryLog.push({ attemptedAt, transport: transportName, success: false, error: error.message });
+  }
+
+  notification.attempts += 1;
+  notification.transport = transportName;
+  notification.lockedAt = undefined;
+  return await notification.save();
+};
+
+/**
+ * Send due outbox messages
+ * Each message is claimed atomically, so several workers never send the same message
+ * @param {Object} options - { organizationId (default all organizations - background worker only), limit }
+ * @returns {Number} - Messages attempted
+ */
+export const processOutbox = async ({ organizationId, limit = 50 } = {}) => {
+  let processed = 0;
+
+  while (processed < limit) {
+    const now = new Date();
+    const notification = await Notification.findOneAndUpdate(
+      {
+        ...(organizationId && { organizationId }),
+        $or: [
+          { status: 'PENDING', nextAttemptAt: { $lte: now } },
+          { status: 'SENDING', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+        ]
+      },
+      { status: 'SENDING', lockedAt: now },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+
+    if (!notification) break;
+
+    await deliverNotification(notification);
+    processed++;
+  }
+
+  return processed;
+};
+
+/**
+ * Run the outbox worker every NOTIFY_POLL_SECONDS (default 30)
+ * @returns {Object} - Interval handle
+ */
+export const startOutboxWorker = () => {
+  const intervalMs = (Number(process.env.NOTIFY_POLL_SECONDS) || 30) * 1000;
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processOutbox();
+    } catch (error) {
+      console.error('Notification outbox error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+export default {
+  renderTemplate,
+  notifyEvent,
+  deliverNotification,
+  processOutbox,
+  startOutboxWorker
+};
@@ -0,0 +1,243 @@
+import Invoice from '../models/Invoice.js';
+import ReminderRule from '../models/ReminderRule.js';
+import { notifyEvent } from './notifications.js';
+import { startOfDay } from './dateRange.js';
+
+/**
+ * Payment reminders for unpaid customer invoices
+ * Each organization's ReminderRules are checked against every unpaid invoice; the latest scheduled
+ * reminder not yet sent goes to the customer as a PAYMENT_REMINDER notification and is recorded in
+ * the invoice's reminder history. Reminders only move forward, so a missed run never sends a backlog.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+const daysBetween = (from, to) => Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+
+/**
+ * Due date of an invoice - its own due date, else invoice date + customer credit days
+ * @param {Object} invoice
+ * @param {Object} customer - Customer document (creditDays)
+ * @returns {Date}
+ */
+export const getReminderDueDate = (invoice, customer) =>
+  startOfDay(invoice.dueDate || addDays(invoice.invoiceDate, customer?.creditDays || 0));
+
+/**
+ * Latest reminder due for an invoice on a day
+ * Never on the day of the sale itself
+ * @param {Array} rules - Active ReminderRules
+ * @param {Object} invoice - invoiceDate, balanceAmount
+ * @param {Date} dueDate
+ * @param {Date} asOf
+ * @returns {Object|null} - { rule, scheduledFor }
+ */
+export const getScheduledReminder = (rules, invoice, dueDate, asOf = new Date()) => {
+  const today = startOfDay(asOf);
+  const saleDay = startOfDay(invoice.invoiceDate);
+  let latest = null;
+
+  for (const rule of rules) {
+    if (invoice.balanceAmount < (rule.minBalance || 0)) continue;
+
+    const firstDate = addDays(dueDate, rule.offsetDays);
+    if (firstDate > today) continue;
+
+    let scheduledFor = firstDate;
+    if (rule.repeatEveryDays > 0) {
+      const occurrences = Math.floor(daysBetween(firstDate, today) / rule.repeatEveryDays);
+      scheduledFor = addDays(firstDate, occurrences * rule.repeatEveryDays);
+    }
+
+    if (scheduledFor <= saleDay) continue;
+
+    if (!latest || scheduledFor > latest.scheduledFor) {
+      latest = { rule, scheduledFor };
+    }
+  }
+
+  return latest;
+};
+
+/**
+ * Invoices of an organization that are due a reminder
+ * @param {String} organizationId
+ * @param {Date} asOf
+ * @returns {Array} - [{ invoice, customer, rule, scheduledFor, dueDate, daysOverdue }]
+ */
+export const getDueReminders = async (organizationId, asOf = new Date()) => {
+  const rules = await ReminderRule.find({ organizationId, isActive: true });
+  if (rules.length === 0) return [];
+
+  const invoices = await Invoice.find({
+    organizationId,
+    status: { $ne: 'CANCELLED' },
+    paymentStatus: { $in: ['UNPAID', 'PARTIAL'] },
+    balanceAmount: { $gt: 0 },
+    customer: { $ne: null }
+  })
+    .select('invoiceNumber invoiceDate dueDate grandTotal balanceAmount paymentStatus lastReminderFor customer')
+    .populate('customer', 'name phone email creditDays')
+    .sort({ invoiceDate: 1 });
+
+  const due = [];
+  for (const invoice of invoices) {
+    if (!invoice.customer) continue;
+
+    const dueDate = getReminderDueDate(invoice, invoice.customer);
+    const scheduled = getScheduledReminder(rules, invoice, dueDate, asOf);
+    if (!scheduled) continue;
+    if (invoice.lastReminderFor && scheduled.scheduledFor <= invoice.lastReminderFor) continue;
+
+    due.push({
+      invoice,
+      customer: invoice.customer,
+      rule: scheduled.rule,
+      scheduledFor: scheduled.scheduledFor,
+      dueDate,
+      daysOverdue: daysBetween(dueDate, asOf)
+    });
+  }
+
+  return due;
+};
+
+/**
+ * Queue a payment reminder for an invoice and add it to the invoice's reminder history
+ * Scheduled reminders claim their date first, so two runs never send the same reminder
+ * @param {Object} context - Express request, or { organizationId, user } from the worker
+ * @param {Object} invoice - Invoice document (populated customer)
+ * @param {Object} options - { rule, scheduledFor, asOf } - no rule = manual reminder
+ * @returns {Object|null} - Reminder history entry (null when already sent)
+ */
+export const sendInvoiceReminder = async (context, invoice, { rule, scheduledFor, asOf = new Date() } = {}) => {
+  const customer = invoice.customer;
+  const dueDate = getReminderDueDate(invoice, customer);
+
+  if (scheduledFor) {
+    const claim = await Invoice.updateOne(
+      {
+        _id: invoice._id,
+        $or: [{ lastReminderFor: null }, { lastReminderFor: { $lt: scheduledFor } }]
+      },
+      { $set: { lastReminderFor: scheduledFor } }
+    );
+    if (claim.modifiedCount === 0) return null;
+  }
+
+  const daysOverdue = daysBetween(dueDate, asOf);
+  const notifications = await notifyEvent(context, 'PAYMENT_REMINDER', {
+    party: customer,
+    reference: { type: 'INVOICE', id: invoice._id, number: invoice.invoiceNumber },
+    data: {
+      invoiceNumber: invoice.invoiceNumber,
+      invoiceDate: invoice.invoiceDate,
+      dueDate,
+      balanceAmount: invoice.balanceAmount,
+      daysOverdue: Math.max(daysOverdue, 0)
+    }
+  });
+
+  const reminder = {
+    rule: rule ? rule._id : undefined,
+    ruleName: rule ? rule.name : 'Manual',
+    scheduledFor: scheduledFor || startOfDay(asOf),
+    sentAt: new Date(),
+    balanceAmount: invoice.balanceAmount,
+    daysOverdue,
+    status: notifications.length > 0 ? 'QUEUED' : 'SKIPPED',
+    notifications: notifications.map(notification => notification._id),
+    sentBy: rule ? undefined : context.user._id
+  };
+
+  await Invoice.updateOne({ _id: invoice._id }, { $push: { reminders: reminder } });
+
+  return reminder;
+};
+
+/**
+ * Send the reminders due today
+ * @param {Object} options - { organizationId (default all organizations with active rules), asOf, dryRun }
+ * @returns {Object} - { queued, skipped, reminders }
+ */
+export const runPaymentReminders = async ({ organizationId, asOf = new Date(), dryRun = false } = {}) => {
+  const organizationIds = organizationId
+    ? [organizationId]
+    : await ReminderRule.distinct('organizationId', { isActive: true });
+
+  const result = { queued: 0, skipped: 0, reminders: [] };
+
+  for (const orgId of organizationIds) {
+    const dueReminders = await getDueReminders(orgId, asOf);
+
+    for (const due of dueReminders) {
+      const summary = {
+        invoice: due.invoice._id,
+        invoiceNumber: due.invoice.invoiceNumber,
+        customer: due.customer._id,
+        customerName: due.customer.name,
+        balanceAmount: due.invoice.balanceAmount,
+        dueDate: due.dueDate,
+        daysOverdue: due.daysOverdue,
+        rule: due.rule.name,
+        scheduledFor: due.scheduledFor
+      };
+
+      if (!dryRun) {
+        const reminder = await sendInvoiceReminder(
+          { organizationId: orgId, user: { _id: due.rule.userId } },
+          due.invoice,
+          { rule: due.rule, scheduledFor: due.scheduledFor, asOf }
+        );
+        if (!reminder) continue;
+
+        summary.status = reminder.status;
+        if (reminder.status === 'QUEUED') result.queued++;
+        else result.skipped++;
+      }
+
+      result.reminders.push(summary);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Check for due reminders every REMINDER_POLL_MINUTES (default 60)
+ * @returns {Object} - Interval handle
+ */
+export const startReminderWorker = () => {
+  const intervalMs = (Number(process.env.REMINDER_POLL_MINUTES) || 60) * 60 * 1000;
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runPaymentReminders();
+    } catch (error) {
+      console.error('Payment reminder error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+export default {
+  getReminderDueDate,
+  getScheduledReminder,
+  getDueReminders,
+  sendInvoiceReminder,
+  runPaymentReminders,
+  startReminderWorker
+};
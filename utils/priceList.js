@@ -0,0 +1,100 @@
+import PriceList from '../models/PriceList.js';
+
+/**
+ * Price list helpers
+ * A price list replaces Batch.sellingPrice on invoice lines; a price typed on the line
+ * still wins (manual override), and promotions are applied on top as discounts.
+ */
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Get the price list for an invoice - explicit price list first, then the customer's
+ * @param {String} organizationId
+ * @param {String} priceListId - Price list chosen on the invoice (optional)
+ * @param {Object} customer - Customer document (optional)
+ * @returns {Object|null} - Active PriceList document
+ */
+export const getPriceListForInvoice = async (organizationId, priceListId, customer) => {
+  const id = priceListId || customer?.priceList;
+  if (!id) return null;
+
+  return await PriceList.findOne({ _id: id, organizationId, isActive: true });
+};
+
+/**
+ * Resolve the list price of a product batch
+ * @param {Object} priceList - PriceList document
+ * @param {String} productId
+ * @param {Object} batch - Batch (or FIFO batch sale) with purchasePrice, sellingPrice, mrp
+ * @returns {Number|null} - List price, or null when the list has no rule for the product
+ */
+export const resolveListPrice = (priceList, productId, batch) => {
+  if (!priceList) return null;
+
+  const rule = priceList.items.find(item => item.product.toString() === productId.toString());
+  let price = null;
+
+  if (rule && rule.method === 'FIXED') {
+    price = rule.price;
+  } else {
+    const markupPercent = rule ? rule.markupPercent : priceList.defaultMarkupPercent;
+    // Markup needs a purchase price - fall back to the batch price otherwise
+    if (markupPercent !== undefined && markupPercent !== null && batch.purchasePrice > 0) {
+      price = batch.purchasePrice * (1 + markupPercent / 100);
+    }
+  }
+
+  if (price === null || price === undefined) return null;
+
+  if (priceList.capAtMrp && batch.mrp > 0) {
+    price = Math.min(price, batch.mrp);
+  }
+
+  return round(price);
+};
+
+/**
+ * Validate price list data
+ * @param {Object} data - Price list fields
+ * @returns {String|null} - Error message, or null when valid
+ */
+export const validatePriceList = (data) => {
+  if (!data.name || !data.name.trim()) {
+    return 'Price list name is required';
+  }
+
+  if (data.defaultMarkupPercent !== undefined && data.defaultMarkupPercent !== null && data.defaultMarkupPercent < 0) {
+    return 'Default markup cannot be negative';
+  }
+
+  const items = data.items || [];
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+
+    if (!item.product) {
+      return `Please select a product for rule #${i + 1}`;
+    }
+
+    if ((item.method || 'FIXED') === 'FIXED' && !(item.price >= 0)) {
+      return `Please enter a valid price for rule #${i + 1}`;
+    }
+
+    if (item.method === 'MARKUP' && !(item.markupPercent >= 0)) {
+      return `Please enter a valid markup for rule #${i + 1}`;
+    }
+  }
+
+  const productIds = items.map(item => item.product.toString());
+  if (new Set(productIds).size !== productIds.length) {
+    return 'Each product can only have one rule in a price list';
+  }
+
+  return null;
+};
+
+export default {
+  getPriceListForInvoice,
+  resolveListPrice,
+  validatePriceList
+};
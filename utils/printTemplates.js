@@ -0,0 +1,414 @@
+/**
+ * Printable document templates
+ * Renders stored documents into self-contained, print-ready HTML.
+ * A4 output is meant to be printed / saved as PDF from the browser,
+ * thermal output is sized for 58mm and 80mm roll printers.
+ */
+
+import { amountToWords } from './gstCalculations.js';
+
+export const PRINT_FORMATS = {
+  a4: { pageWidth: '210mm', pageSize: 'A4', compact: false },
+  thermal80: { pageWidth: '80mm', pageSize: '80mm auto', compact: true },
+  thermal58: { pageWidth: '58mm', pageSize: '58mm auto', compact: true }
+};
+
+/**
+ * Render an invoice as a printable HTML document
+ * @param {Object} invoice - Invoice document
+ * @param {Object} shopSettings - Shop settings (logo, address, GSTIN, terms)
+ * @param {String} format - 'a4', 'thermal80' or 'thermal58'
+ * @returns {String} - HTML document
+ */
+export const renderInvoiceHTML = (invoice, shopSettings, format = 'a4') => {
+  const layout = PRINT_FORMATS[format];
+  if (!layout) {
+    throw new Error(`Unsupported print format: ${format}`);
+  }
+
+  const shop = shopSettings || {};
+  const body = layout.compact
+    ? renderThermalInvoice(invoice, shop)
+    : renderA4Invoice(invoice, shop);
+
+  return wrapDocument(`Invoice ${invoice.invoiceNumber}`, body, layout);
+};
+
+/**
+ * Render a customer statement of account as a printable A4 document
+ * @param {Object} statement - From getCustomerStatement
+ * @param {Object} shopSettings - Shop settings (logo, address, GSTIN)
+ * @returns {String} - HTML document
+ */
+export const renderStatementHTML = (statement, shopSettings) => {
+  const shop = shopSettings || {};
+  const { customer } = statement;
+  const { summary } = statement.ageing;
+  const bucketKeys = Object.keys(summary).filter(key => key !== 'total');
+
+  const transactionRows = statement.transactions.map(transaction => `
+      <tr>
+        <td>${formatDate(transaction.date)}</td>
+        <td>${escapeHtml(transaction.type)}</td>
+        <td>${escapeHtml(transaction.referenceNumber)}</td>
+        <td>${escapeHtml(transaction.description)}</td>
+        <td class="num">${transaction.debit ? formatAmount(transaction.debit) : ''}</td>
+        <td class="num">${transaction.credit ? formatAmount(transaction.credit) : ''}</td>
+        <td class="num">${formatAmount(transaction.balance)}</td>
+      </tr>`).join('');
+
+  const billRows = statement.ageing.bills.map(bill => `
+      <tr>
+        <td>${escapeHtml(bill.invoiceNumber)}</td>
+        <td>${formatDate(bill.invoiceDate)}</td>
+        <td>${formatDate(bill.dueDate)}</td>
+        <td class="num">${formatAmount(bill.grandTotal)}</td>
+        <td class="num">${formatAmount(bill.balance)}</td>
+        <td class="num">${bill.ageDays}</td>
+      </tr>`).join('');
+
+  const body = `
+  <header class="shop">
+    ${shop.logo ? `<img class="logo" src="${escapeHtml(shop.logo)}" alt="logo">` : ''}
+    <div>
+      <h1>${escapeHtml(shop.shopName)}</h1>
+      <div>${escapeHtml(joinAddress(shop.address, shop.city, shop.state, shop.pincode))}</div>
+      ${shop.phone ? `<div>Phone: ${escapeHtml(shop.phone)}</div>` : ''}
+      ${shop.gstin ? `<div>GSTIN: ${escapeHtml(shop.gstin)}</div>` : ''}
+    </div>
+  </header>
+
+  <h2>STATEMENT OF ACCOUNT</h2>
+
+  <section class="parties">
+    <div>
+      <strong>To</strong>
+      <div>${escapeHtml(customer.name)}</div>
+      ${customer.address ? `<div>${escapeHtml(customer.address)}</div>` : ''}
+      ${customer.phone ? `<div>Phone: ${escapeHtml(customer.phone)}</div>` : ''}
+      ${customer.gstin ? `<div>GSTIN: ${escapeHtml(customer.gstin)}</div>` : ''}
+    </div>
+    <div>
+      <div><strong>Period:</strong> ${formatDate(statement.from)} to ${formatDate(statement.to)}</div>
+      <div><strong>Opening Balance:</strong> ${formatAmount(statement.openingBalance)}</div>
+      <div><strong>Closing Balance:</strong> ${formatAmount(statement.closingBalance)}</div>
+    </div>
+  </section>
+
+  <table class="items">
+    <thead>
+      <tr>
+        <th>Date</th><th>Type</th><th>Reference</th><th>Description</th>
+        <th class="num">Debit</th><th class="num">Credit</th><th class="num">Balance</th>
+      </tr>
+    </thead>
+    <tbody>
+      <tr><td>${formatDate(statement.from)}</td><td colspan="5">Opening Balance</td><td class="num">${formatAmount(statement.openingBalance)}</td></tr>${transactionRows}
+      <tr class="grand">
+        <td colspan="4">Closing Balance</td>
+        <td class="num">${formatAmount(statement.totalDebit)}</td>
+        <td class="num">${formatAmount(statement.totalCredit)}</td>
+        <td class="num">${formatAmount(statement.closingBalance)}</td>
+      </tr>
+    </tbody>
+  </table>
+
+  <h2>OUTSTANDING BILLS</h2>
+
+  <table class="items">
+    <thead>
+      <tr>
+        <th>Invoice No</th><th>Date</th><th>Due Date</th>
+        <th class="num">Bill Amount</th><th class="num">Outstanding</th><th class="num">Days</th>
+      </tr>
+    </thead>
+    <tbody>${billRows}
+    </tbody>
+  </table>
+
+  <section class="summary">
+    <table class="tax-breakup">
+      <thead>
+        <tr>${bucketKeys.map(key => `<th class="num">${key} days</th>`).join('')}<th class="num">Total</th></tr>
+      </thead>
+      <tbody>
+        <tr>${bucketKeys.map(key => `<td class="num">${formatAmount(summary[key])}</td>`).join('')}<td class="num">${formatAmount(summary.total)}</td></tr>
+      </tbody>
+    </table>
+  </section>
+
+  <footer>
+    <div>For ${escapeHtml(shop.shopName)}</div>
+    <div class="signature">Authorised Signatory</div>
+  </footer>`;
+
+  return wrapDocument(`Statement - ${customer.name}`, body, PRINT_FORMATS.a4);
+};
+
+const renderA4Invoice = (invoice, shop) => {
+  const isIGST = invoice.taxType === 'IGST';
+
+  const itemRows = invoice.items.map((item, index) => `
+      <tr>
+        <td>${index + 1}</td>
+        <td>${escapeHtml(item.productName)}</td>
+        <td>${escapeHtml(item.hsnCode)}</td>
+        <td>${escapeHtml(item.batchNo)}</td>
+        <td>${formatExpiry(item.expiryDate)}</td>
+        <td class="num">${item.quantity}</td>
+        <td class="num">${formatAmount(item.mrp)}</td>
+        <td class="num">${formatAmount(item.sellingPrice)}</td>
+        <td class="num">${item.discount || 0}</td>
+        <td class="num">${formatAmount(item.taxableAmount)}</td>
+        <td class="num">${item.gstRate}%</td>
+        ${isIGST
+          ? `<td class="num">${formatAmount(item.igst)}</td>`
+          : `<td class="num">${formatAmount(item.cgst)}</td><td class="num">${formatAmount(item.sgst)}</td>`}
+        <td class="num">${formatAmount(item.totalAmount)}</td>
+      </tr>`).join('');
+
+  const taxRows = summariseTaxByRate([...invoice.items, ...(invoice.charges || [])]).map(row => `
+      <tr>
+        <td>${row.rate}%</td>
+        <td class="num">${formatAmount(row.taxableAmount)}</td>
+        ${isIGST
+          ? `<td class="num">${formatAmount(row.igst)}</td>`
+          : `<td class="num">${formatAmount(row.cgst)}</td><td class="num">${formatAmount(row.sgst)}</td>`}
+        <td class="num">${formatAmount(row.cgst + row.sgst + row.igst)}</td>
+      </tr>`).join('');
+
+  return `
+  <header class="shop">
+    ${shop.logo ? `<img class="logo" src="${escapeHtml(shop.logo)}" alt="logo">` : ''}
+    <div>
+      <h1>${escapeHtml(shop.shopName)}</h1>
+      <div>${escapeHtml(joinAddress(shop.address, shop.city, shop.state, shop.pincode))}</div>
+      ${shop.phone ? `<div>Phone: ${escapeHtml(shop.phone)}</div>` : ''}
+      ${shop.gstin ? `<div>GSTIN: ${escapeHtml(shop.gstin)}</div>` : ''}
+    </div>
+  </header>
+
+  <h2>TAX INVOICE</h2>
+
+  <section class="parties">
+    <div>
+      <strong>Bill To</strong>
+      <div>${escapeHtml(invoice.customerName)}</div>
+      <div>${escapeHtml(joinAddress(invoice.customerAddress, invoice.customerCity, invoice.customerState))}</div>
+      ${invoice.customerPhone ? `<div>Phone: ${escapeHtml(invoice.customerPhone)}</div>` : ''}
+      ${invoice.customerGstin ? `<div>GSTIN: ${escapeHtml(invoice.customerGstin)}</div>` : ''}
+    </div>
+    <div>
+      <div><strong>Invoice No:</strong> ${escapeHtml(invoice.invoiceNumber)}</div>
+      <div><strong>Date:</strong> ${formatDate(invoice.invoiceDate)}</div>
+      <div><strong>Payment:</strong> ${escapeHtml(invoice.paymentMethod)} (${escapeHtml(invoice.paymentStatus)})</div>
+      ${invoice.doctorName ? `<div><strong>Doctor:</strong> ${escapeHtml(invoice.doctorName)}</div>` : ''}
+      ${invoice.prescriptionNumber ? `<div><strong>Rx No:</strong> ${escapeHtml(invoice.prescriptionNumber)}</div>` : ''}
+      ${invoice.irnStatus === 'GENERATED' ? `<div><strong>IRN:</strong> <span style="word-break: break-all;">${escapeHtml(invoice.irn)}</span></div>
+      <div><strong>Ack No:</strong> ${escapeHtml(invoice.ackNumber)} (${formatDate(invoice.ackDate)})</div>` : ''}
+    </div>
+  </section>
+
+  <table class="items">
+    <thead>
+      <tr>
+        <th>#</th><th>Item</th><th>HSN</th><th>Batch</th><th>Exp</th>
+        <th class="num">Qty</th><th class="num">MRP</th><th class="num">Rate</th><th class="num">Disc%</th>
+        <th class="num">Taxable</th><th class="num">GST</th>
+        ${isIGST ? '<th class="num">IGST</th>' : '<th class="num">CGST</th><th class="num">SGST</th>'}
+        <th class="num">Amount</th>
+      </tr>
+    </thead>
+    <tbody>${itemRows}
+    </tbody>
+  </table>
+
+  <section class="summary">
+    <table class="tax-breakup">
+      <thead>
+        <tr>
+          <th>GST Rate</th><th class="num">Taxable</th>
+          ${isIGST ? '<th class="num">IGST</th>' : '<th class="num">CGST</th><th class="num">SGST</th>'}
+          <th class="num">Total Tax</th>
+        </tr>
+      </thead>
+      <tbody>${taxRows}
+      </tbody>
+    </table>
+
+    <table class="totals">
+      ${renderTotalsRows(invoice)}
+    </table>
+  </section>
+
+  <p class="words"><strong>Amount in words:</strong> ${amountToWords(invoice.grandTotal)}</p>
+
+  ${shop.termsAndConditions ? `
+  <section class="terms">
+    <strong>Terms &amp; Conditions</strong>
+    <div>${escapeHtml(shop.termsAndConditions).replace(/\n/g, '<br>')}</div>
+  </section>` : ''}
+
+  <footer>
+    <div>For ${escapeHtml(shop.shopName)}</div>
+    <div class="signature">Authorised Signatory</div>
+  </footer>`;
+};
+
+const renderThermalInvoice = (invoice, shop) => {
+  const itemRows = invoice.items.map(item => `
+      <tr>
+        <td colspan="3">${escapeHtml(item.productName)}${item.batchNo ? ` <small>(${escapeHtml(item.batchNo)}${item.expiryDate ? ` ${formatExpiry(item.expiryDate)}` : ''})</small>` : ''}</td>
+      </tr>
+      <tr>
+        <td>${item.quantity} x ${formatAmount(item.sellingPrice)}</td>
+        <td class="num">${item.gstRate}%</td>
+        <td class="num">${formatAmount(item.totalAmount)}</td>
+      </tr>`).join('');
+
+  return `
+  <header class="center">
+    ${shop.logo ? `<img class="logo" src="${escapeHtml(shop.logo)}" alt="logo">` : ''}
+    <strong>${escapeHtml(shop.shopName)}</strong>
+    <div>${escapeHtml(joinAddress(shop.address, shop.city))}</div>
+    ${shop.phone ? `<div>Ph: ${escapeHtml(shop.phone)}</div>` : ''}
+    ${shop.gstin ? `<div>GSTIN: ${escapeHtml(shop.gstin)}</div>` : ''}
+  </header>
+  <hr>
+  <div>Bill: ${escapeHtml(invoice.invoiceNumber)}</div>
+  <div>Date: ${formatDate(invoice.invoiceDate)}</div>
+  <div>To: ${escapeHtml(invoice.customerName)}</div>
+  ${invoice.customerGstin ? `<div>GSTIN: ${escapeHtml(invoice.customerGstin)}</div>` : ''}
+  ${invoice.doctorName ? `<div>Dr: ${escapeHtml(invoice.doctorName)}</div>` : ''}
+  <hr>
+  <table class="items">
+    <tbody>${itemRows}
+    </tbody>
+  </table>
+  <hr>
+  <table class="totals">
+    ${renderTotalsRows(invoice)}
+  </table>
+  <hr>
+  <div class="words">${amountToWords(invoice.grandTotal)}</div>
+  ${shop.termsAndConditions ? `<div class="terms">${escapeHtml(shop.termsAndConditions).replace(/\n/g, '<br>')}</div>` : ''}
+  <div class="center">Thank you! Visit again.</div>`;
+};
+
+// Totals block shared by all layouts
+const renderTotalsRows = (invoice) => {
+  const rows = [['Taxable Amount', invoice.subtotal]];
+
+  // Charges (delivery, packing...) at their taxable value - GST is in the tax rows
+  (invoice.charges || []).forEach(charge => {
+    rows.push([`${escapeHtml(charge.description)} (SAC ${escapeHtml(charge.sacCode)})`, charge.taxableAmount]);
+  });
+
+  if (invoice.taxType === 'IGST') {
+    rows.push(['IGST', invoice.totalIGST]);
+  } else {
+    rows.push(['CGST', invoice.totalCGST]);
+    rows.push(['SGST', invoice.totalSGST]);
+  }
+
+  if (invoice.discount) rows.push(['Discount', -invoice.discount]);
+  if (invoice.roundOff) rows.push(['Round Off', invoice.roundOff]);
+  rows.push(['Grand Total', invoice.grandTotal]);
+
+  if (invoice.paidAmount) rows.push(['Paid', invoice.paidAmount]);
+  if (invoice.balanceAmount > 0) rows.push(['Balance', invoice.balanceAmount]);
+
+  return rows.map(([label, value]) =>
+    `<tr${label === 'Grand Total' ? ' class="grand"' : ''}><td>${label}</td><td class="num">${formatAmount(value)}</td></tr>`
+  ).join('\n      ');
+};
+
+// Group stored per-item tax amounts by GST rate
+const summariseTaxByRate = (items) => {
+  const grouped = {};
+
+  items.forEach(item => {
+    const rate = item.gstRate || 0;
+    if (!grouped[rate]) {
+      grouped[rate] = { rate, taxableAmount: 0, cgst: 0, sgst: 0, igst: 0 };
+    }
+    grouped[rate].taxableAmount += item.taxableAmount || 0;
+    grouped[rate].cgst += item.cgst || 0;
+    grouped[rate].sgst += item.sgst || 0;
+    grouped[rate].igst += item.igst || 0;
+  });
+
+  return Object.values(grouped).sort((a, b) => a.rate - b.rate);
+};
+
+const wrapDocument = (title, body, layout) => `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    @page { size: ${layout.pageSize}; margin: ${layout.compact ? '2mm' : '10mm'}; }
+    * { box-sizing: border-box; }
+    body { font-family: ${layout.compact ? "'Courier New', monospace" : 'Arial, sans-serif'}; font-size: ${layout.compact ? '11px' : '12px'}; width: ${layout.compact ? layout.pageWidth : 'auto'}; margin: 0 auto; color: #000; }
+    h1 { font-size: 18px; margin: 0; }
+    h2 { text-align: center; font-size: 14px; margin: 8px 0; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: ${layout.compact ? '1px 0' : '4px'}; vertical-align: top; text-align: left; }
+    .items th, .items td { ${layout.compact ? '' : 'border: 1px solid #999;'} }
+    .num { text-align: right; }
+    .center { text-align: center; }
+    .logo { max-height: ${layout.compact ? '40px' : '70px'}; ${layout.compact ? 'display: block; margin: 0 auto;' : 'margin-right: 12px;'} }
+    .shop { display: flex; align-items: center; border-bottom: 1px solid #000; padding-bottom: 6px; }
+    .parties { display: flex; justify-content: space-between; margin-bottom: 8px; }
+    .summary { display: flex; justify-content: space-between; gap: 16px; margin-top: 8px; }
+    .summary table { width: 48%; }
+    .tax-breakup th, .tax-breakup td { border: 1px solid #999; }
+    .grand td { font-weight: bold; border-top: 1px solid #000; }
+    .words, .terms { margin-top: 6px; }
+    hr { border: none; border-top: 1px dashed #000; }
+    footer { display: flex; flex-direction: column; align-items: flex-end; margin-top: 24px; }
+    .signature { margin-top: 36px; }
+  </style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+
+// Helper functions
+export const escapeHtml = (value) => {
+  if (value === undefined || value === null) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+export const formatAmount = (value) => {
+  return (Number(value) || 0).toFixed(2);
+};
+
+export const formatDate = (date) => {
+  if (!date) return '';
+  const d = new Date(date);
+  const day = String(d.getDate()).padStart(2, '0');
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const year = d.getFullYear();
+  return `${day}/${month}/${year}`;
+};
+
+const formatExpiry = (date) => {
+  if (!date) return '';
+  const d = new Date(date);
+  return `${String(d.getMonth() + 1).padStart(2, '0')}/${String(d.getFullYear()).slice(-2)}`;
+};
+
+const joinAddress = (...parts) => parts.filter(Boolean).join(', ');
+
+export default {
+  PRINT_FORMATS,
+  renderInvoiceHTML,
+  renderStatementHTML
+};
@@ -0,0 +1,164 @@
+import Promotion from '../models/Promotion.js';
+
+/**
+ * Promotion engine - picks the scheme that applies to an invoice line / bill
+ * Line discounts are percentages (same as the manual discount in calculateItemGST);
+ * buy X get Y adds free units instead. The better of the manual discount and the
+ * best line promotion is used.
+ */
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Get promotions valid on a date
+ * @param {String} organizationId
+ * @param {Date} date
+ * @returns {Array} - Promotion documents (highest priority first)
+ */
+export const getActivePromotions = async (organizationId, date = new Date()) => {
+  return await Promotion.find({
+    organizationId,
+    isActive: true,
+    validFrom: { $lte: date },
+    validTo: { $gte: date }
+  }).sort({ priority: -1, createdAt: 1 });
+};
+
+// Line promotion matches on product, manufacturer or category
+const matchesProduct = (promotion, product) => {
+  if (promotion.products.some(id => id.toString() === product._id.toString())) {
+    return true;
+  }
+
+  const manufacturer = (product.manufacturer || '').toLowerCase();
+  if (manufacturer && promotion.manufacturers.some(m => m.toLowerCase() === manufacturer)) {
+    return true;
+  }
+
+  const category = (product.category || '').toLowerCase();
+  return Boolean(category && promotion.categories.some(c => c.toLowerCase() === category));
+};
+
+/**
+ * Best line promotion for a product
+ * BUY_X_GET_Y keeps the billed units at full price and gives free units on top
+ * (every buyQuantity billed earns freeQuantity free); it is ranked against percentage
+ * schemes by the value given away as a share of the billed value (free units / billed units)
+ * @param {Array} promotions - Active promotions
+ * @param {Object} product - Product document
+ * @param {Number} quantity - Billed quantity of the line
+ * @returns {Object|null} - { promotion, discountPercent, freeQuantity, benefitPercent }
+ */
+export const getLinePromotion = (promotions, product, quantity) => {
+  let best = null;
+
+  promotions.forEach(promotion => {
+    if (promotion.type === 'BILL_SLAB' || !matchesProduct(promotion, product)) return;
+
+    let discountPercent = 0;
+    let freeQuantity = 0;
+    let benefitPercent = 0;
+
+    if (promotion.type === 'BUY_X_GET_Y') {
+      freeQuantity = Math.floor(quantity / promotion.buyQuantity) * promotion.freeQuantity;
+      benefitPercent = quantity > 0 ? (freeQuantity / quantity) * 100 : 0;
+    } else {
+      discountPercent = promotion.discountPercent || 0;
+      benefitPercent = discountPercent;
+    }
+
+    // Promotions are sorted by priority - only a strictly better benefit replaces the current pick
+    if (benefitPercent > 0 && (!best || benefitPercent > best.benefitPercent)) {
+      best = { promotion, discountPercent, freeQuantity, benefitPercent };
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Best bill slab promotion for a bill value
+ * @param {Array} promotions - Active promotions
+ * @param {Number} billValue - Bill value before bill-level discounts
+ * @returns {Object|null} - { promotion, slab, discountAmount }
+ */
+export const getBillPromotion = (promotions, billValue) => {
+  let best = null;
+
+  promotions.forEach(promotion => {
+    if (promotion.type !== 'BILL_SLAB') return;
+
+    // Highest slab reached
+    const slab = promotion.slabs
+      .filter(s => billValue >= s.minAmount)
+      .sort((a, b) => b.minAmount - a.minAmount)[0];
+
+    if (!slab) return;
+
+    let discountAmount = (billValue * (slab.discountPercent || 0)) / 100 + (slab.discountAmount || 0);
+    if (slab.maxDiscount) {
+      discountAmount = Math.min(discountAmount, slab.maxDiscount);
+    }
+    discountAmount = round(Math.min(discountAmount, billValue));
+
+    if (discountAmount > 0 && (!best || discountAmount > best.discountAmount)) {
+      best = { promotion, slab, discountAmount };
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Validate promotion data
+ * @param {Object} data - Promotion fields
+ * @returns {String|null} - Error message, or null when valid
+ */
+export const validatePromotion = (data) => {
+  if (!data.name || !data.name.trim()) {
+    return 'Promotion name is required';
+  }
+
+  if (!data.validFrom || !data.validTo || new Date(data.validTo) < new Date(data.validFrom)) {
+    return 'Please enter a valid date range';
+  }
+
+  if (data.type === 'BILL_SLAB') {
+    if (!data.slabs || data.slabs.length === 0) {
+      return 'Please add at least one bill value slab';
+    }
+    const invalidSlab = data.slabs.find(s => !(s.minAmount >= 0) || (!s.discountPercent && !s.discountAmount));
+    if (invalidSlab) {
+      return 'Each slab needs a minimum bill value and a discount';
+    }
+    return null;
+  }
+
+  const hasTarget = (data.products?.length || 0) + (data.manufacturers?.length || 0) + (data.categories?.length || 0) > 0;
+  if (!hasTarget) {
+    return 'Please select at least one product, manufacturer or category';
+  }
+
+  if (data.type === 'BUY_X_GET_Y') {
+    if (!(data.buyQuantity >= 1) || !(data.freeQuantity >= 1)) {
+      return 'Buy and free quantities must be at least 1';
+    }
+    return null;
+  }
+
+  if (data.type === 'PERCENT_OFF') {
+    if (!(data.discountPercent > 0) || data.discountPercent > 100) {
+      return 'Discount percent must be between 0 and 100';
+    }
+    return null;
+  }
+
+  return 'Invalid promotion type';
+};
+
+export default {
+  getActivePromotions,
+  getLinePromotion,
+  getBillPromotion,
+  validatePromotion
+};
@@ -0,0 +1,137 @@
+import Ledger from '../models/Ledger.js';
+import Invoice from '../models/Invoice.js';
+
+/**
+ * Cash shift (Z-report) calculations
+ * Cash movement comes from the CASH ledger account - every cash tender, payment, refund,
+ * expense and cash purchase posts there with the user who recorded it.
+ */
+
+const SOURCE_LABELS = {
+  INVOICE: 'Sales',
+  INVOICE_CANCELLATION: 'Invoice cancellations',
+  PAYMENT: 'Payments',
+  SALES_RETURN: 'Sales return refunds',
+  EXPENSE: 'Expenses',
+  PURCHASE: 'Purchases',
+  PURCHASE_RETURN: 'Purchase return refunds',
+  OPENING_BALANCE: 'Opening balance',
+  ADJUSTMENT: 'Adjustments'
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Build the shift report (X-report while open, Z-report at close)
+ * @param {Object} shift - CashShift document
+ * @param {Date} endTime - End of the period (defaults to now / closedAt)
+ * @param {Number} countedCash - Cash counted in the drawer (optional)
+ * @returns {Object} - { period, openingFloat, cashIn, cashOut, netCash, expectedCash, countedCash, variance, cashBySource, sales, tenders }
+ */
+export const buildShiftReport = async (shift, endTime = null, countedCash = null) => {
+  const from = shift.openedAt;
+  const to = endTime || shift.closedAt || new Date();
+
+  const cashEntries = await Ledger.find({
+    organizationId: shift.organizationId,
+    userId: shift.userId,
+    account: 'CASH',
+    createdAt: { $gte: from, $lte: to }
+  }).sort({ createdAt: 1 });
+
+  // Cash in / out grouped by source document type
+  const sources = {};
+  let cashIn = 0;
+  let cashOut = 0;
+
+  cashEntries.forEach(entry => {
+    const key = entry.referenceType;
+    if (!sources[key]) {
+      sources[key] = { source: key, label: SOURCE_LABELS[key] || key, cashIn: 0, cashOut: 0, entries: 0 };
+    }
+
+    if (entry.type === 'DEBIT') {
+      sources[key].cashIn += entry.amount;
+      cashIn += entry.amount;
+    } else {
+      sources[key].cashOut += entry.amount;
+      cashOut += entry.amount;
+    }
+    sources[key].entries += 1;
+  });
+
+  const cashBySource = Object.values(sources).map(source => ({
+    ...source,
+    cashIn: round(source.cashIn),
+    cashOut: round(source.cashOut),
+    net: round(source.cashIn - source.cashOut)
+  }));
+
+  // Invoices raised by the cashier during the shift
+  const invoices = await Invoice.find({
+    organizationId: shift.organizationId,
+    userId: shift.userId,
+    createdAt: { $gte: from, $lte: to }
+  }).select('grandTotal status');
+
+  const activeInvoices = invoices.filter(invoice => invoice.status !== 'CANCELLED');
+
+  // Every tender taken by the cashier during the shift (cash and non-cash)
+  const tenderSummary = await Invoice.aggregate([
+    { $match: { organizationId: shift.organizationId, 'payments.createdBy': shift.userId } },
+    { $unwind: '$payments' },
+    {
+      $match: {
+        'payments.createdBy': shift.userId,
+        'payments.createdAt': { $gte: from, $lte: to }
+      }
+    },
+    {
+      $group: {
+        _id: '$payments.paymentMethod',
+        amount: { $sum: '$payments.amount' },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const netCash = round(cashIn - cashOut);
+  const expectedCash = round((shift.openingFloat || 0) + netCash);
+
+  return {
+    period: { from, to },
+    openingFloat: shift.openingFloat || 0,
+    cashIn: round(cashIn),
+    cashOut: round(cashOut),
+    netCash,
+    expectedCash,
+    countedCash: countedCash !== null ? round(countedCash) : null,
+    variance: countedCash !== null ? round(countedCash - expectedCash) : null,
+    cashBySource,
+    sales: {
+      invoiceCount: activeInvoices.length,
+      cancelledCount: invoices.length - activeInvoices.length,
+      totalSales: round(activeInvoices.reduce((sum, invoice) => sum + invoice.grandTotal, 0))
+    },
+    tenders: tenderSummary.map(tender => ({
+      paymentMethod: tender._id,
+      amount: round(tender.amount),
+      count: tender.count
+    }))
+  };
+};
+
+/**
+ * Sum denomination counts
+ * @param {Array} denominations - [{ value, count }]
+ * @returns {Number}
+ */
+export const sumDenominations = (denominations = []) => {
+  return round(denominations.reduce((sum, d) => sum + (Number(d.value) || 0) * (Number(d.count) || 0), 0));
+};
+
+export default {
+  buildShiftReport,
+  sumDenominations
+};
@@ -0,0 +1,97 @@
+import StoreCreditTransaction from '../models/StoreCreditTransaction.js';
+import Customer from '../models/Customer.js';
+
+/**
+ * Store credit wallet helpers
+ * Customer.creditBalance mirrors the CUSTOMER_CREDIT ledger account per customer:
+ * STORE_CREDIT sales returns credit it, CREDIT_NOTE payments spend it.
+ */
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Credit / debit a customer's wallet and record the statement line
+ * Debits only succeed while the customer still holds enough credit
+ * @param {Object} data - { organizationId, userId, customer, type, amount (signed), invoice, invoiceNumber, salesReturn, creditNoteNumber, description }
+ * @param {Object} session - MongoDB session (optional)
+ * @returns {Object} - StoreCreditTransaction document
+ */
+export const recordStoreCreditTransaction = async (data, session = null) => {
+  const amount = round(data.amount);
+  const filter = { _id: data.customer, organizationId: data.organizationId };
+  if (amount < 0) {
+    filter.creditBalance = { $gte: -amount - 0.001 };
+  }
+
+  const customer = await Customer.findOneAndUpdate(
+    filter,
+    { $inc: { creditBalance: amount } },
+    { new: true, session }
+  );
+
+  if (!customer) {
+    throw new Error('Insufficient store credit');
+  }
+
+  const [transaction] = await StoreCreditTransaction.create([{
+    ...data,
+    amount,
+    balanceAfter: round(customer.creditBalance)
+  }], { session });
+
+  return transaction;
+};
+
+/**
+ * Validate spending store credit
+ * @param {Object} customer - Customer document
+ * @param {Number} amount - Credit to spend
+ * @returns {String|null} - Error message, or null when valid
+ */
+export const validateStoreCreditSpend = (customer, amount) => {
+  if (!customer) {
+    return 'Please select a customer to pay with store credit';
+  }
+
+  if (amount > (customer.creditBalance || 0) + 0.001) {
+    return `Insufficient store credit. Available: ₹${round(customer.creditBalance || 0)}, Requested: ₹${round(amount)}`;
+  }
+
+  return null;
+};
+
+/**
+ * Give back store credit spent on an invoice (cancellation / deletion)
+ * Ledger entries are handled with the invoice's payment entries.
+ * @param {Object} invoice - Invoice document
+ * @param {String} userId
+ * @param {String} reason - e.g. 'cancelled'
+ * @param {Object} session - MongoDB session (optional)
+ */
+export const reverseInvoiceStoreCredit = async (invoice, userId, reason, session = null) => {
+  const customerId = invoice.customer?._id || invoice.customer;
+  if (!customerId) return;
+
+  const spent = (invoice.payments || [])
+    .filter(payment => payment.paymentMethod === 'CREDIT_NOTE')
+    .reduce((sum, payment) => sum + payment.amount, 0);
+
+  if (spent > 0) {
+    await recordStoreCreditTransaction({
+      organizationId: invoice.organizationId,
+      userId,
+      customer: customerId,
+      type: 'REDEEM_REVERSAL',
+      amount: spent,
+      invoice: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      description: `Store credit returned - ${invoice.invoiceNumber} ${reason}`
+    }, session);
+  }
+};
+
+export default {
+  recordStoreCreditTransaction,
+  validateStoreCreditSpend,
+  reverseInvoiceStoreCredit
+};